@@ -9,9 +9,13 @@ import { C } from './config.js'
 import { S, V, ST_KEYS } from './state.js'
 import { ri } from './utils/math.js'
 import { pickKeys } from './utils/kvs.js'
+import { queueWebhook } from './webhook.js'
 
-// Module-local timer for high temp alarm delay
+// Module-local timers for high / low temp alarm delay
 let alarm_highTimer = 0
+// #if lowtemp
+let alarm_lowTimer = 0
+// #endif
 
 // ----------------------------------------------------------
 // ALARM SEVERITY
@@ -27,17 +31,51 @@ let alarm_highTimer = 0
  *
  * Severity mapping:
  *   fatal    - WELD, LOCKED (requires reboot)
- *   critical - HIGH temp (safety concern)
+ *   critical - HIGH / LOW temp, HEAT runaway (safety concern)
  *   error    - FAIL, STUCK (sensor issues)
  *   warning  - All others
  */
 function getSeverity(alarm) {
   if (alarm === ALM.WELD || alarm === ALM.LOCKED) return 'fatal'
   if (alarm === ALM.HIGH) return 'critical'
+  // #if lowtemp
+  if (alarm === ALM.LOW) return 'critical'
+  // #endif
+  // #if heater
+  if (alarm === ALM.HEAT) return 'critical'
+  // #endif
   if (alarm === ALM.FAIL || alarm === ALM.STUCK) return 'error'
   return 'warning'
 }
 
+// #if latch
+/**
+ * GET ALARM POLICY
+ * Maps alarm type to how it clears once its condition is gone.
+ *
+ * @param  {string} alarm - Alarm code from ALM constants
+ * @returns {string}       - 'fatal', 'ack', 'hold' or 'auto'
+ *
+ * Policy mapping:
+ *   fatal - WELD, LOCKED (latched, ack_alarm with confirmation token)
+ *   ack   - COOL, HEAT (latched until ack_alarm / reset_alarms)
+ *   hold  - HIGH, LOW, GHOST (latched until clear for alm_holdSec)
+ *   auto  - All others (follow condition every loop)
+ */
+function getAlarmPolicy(alarm) {
+  if (getSeverity(alarm) === 'fatal') return 'fatal'
+  if (alarm === ALM.COOL) return 'ack'
+  // #if heater
+  if (alarm === ALM.HEAT) return 'ack'
+  // #endif
+  if (alarm === ALM.HIGH || alarm === ALM.GHOST) return 'hold'
+  // #if lowtemp
+  if (alarm === ALM.LOW) return 'hold'
+  // #endif
+  return 'auto'
+}
+// #endif
+
 // ----------------------------------------------------------
 // FAULT DETAIL BUILDER
 // Formats alarm-specific detail strings for fault log.
@@ -57,17 +95,26 @@ function getSeverity(alarm) {
  *   GHOST - "75W/30s" (watts detected / duration)
  *   COOL  - "A:25 R:24 C:23 E:4" (air peak, raw, smooth, evap)
  *   HIGH  - "12C/5m" (peak temp / duration minutes)
+ *   LOW   - "-2C/30m" (temp at onset / duration minutes)
+ *   DOOR  - "12C/5m" (peak temp / duration minutes)
  *   FAIL  - "Null:3" (error count)
  *   STUCK - "Air:10m" (stuck duration minutes)
  */
 function formatFaultDetail(alarm, pending, durSec) {
   let durMin = ri(durSec / 60)
+  let isTemp = alarm === ALM.HIGH
+  // #if lowtemp
+  isTemp = isTemp || alarm === ALM.LOW
+  // #endif
+  // #if door,dooresc
+  isTemp = isTemp || alarm === ALM.DOOR
+  // #endif
   if (alarm === ALM.GHOST) return (pending.watts || 0).toFixed(0) + 'W/' + durSec + 's'
   if (alarm === ALM.COOL) return 'A:' + (pending.peak || 0).toFixed(0)
     + ' R:' + (pending.airRaw || 0).toFixed(0)
     + ' C:' + (pending.airSmt || 0).toFixed(0)
     + ' E:' + (pending.evap || 0).toFixed(0)
-  if (alarm === ALM.HIGH) return (pending.peak || 0).toFixed(0) + 'C/' + durMin + 'm'
+  if (isTemp) return (pending.peak || 0).toFixed(0) + 'C/' + durMin + 'm'
   if (alarm === ALM.FAIL) return 'Null:' + V.sns_errCnt
   if (alarm === ALM.STUCK) return 'Air:' + durMin + 'm'
   return durMin + 'm'
@@ -130,6 +177,40 @@ function recordFault(severity, alarm, detail) {
   }
 }
 
+// ----------------------------------------------------------
+// ALARM EVENTS
+// One MQTT message per raise / clear so consumers need not
+// diff consecutive status messages. Also queued for webhooks.
+// ----------------------------------------------------------
+
+// #if events,webhook
+/**
+ * publishAlarmEvent - Publish alarm transition to event topic
+ *
+ * @param {string} ev - 'raise' or 'clear'
+ * @param {string} alarm - Alarm code from ALM constants
+ * @param {number} startTs - Alarm start (unix seconds)
+ * @param {number} durSec - Seconds active (0 on raise)
+ * @param {string} detail - formatFaultDetail string
+ */
+function publishAlarmEvent(ev, alarm, startTs, durSec, detail) {
+  let evt = {
+    ev: ev,
+    alarm: alarm,
+    sev: getSeverity(alarm),
+    ts: startTs,
+    dur: durSec,
+    detail: detail,
+  }
+  // #if events
+  MQTT.publish(C.sys_mqttEvent, JSON.stringify(evt), 1, false)
+  // #endif
+  // #if webhook
+  queueWebhook(evt)
+  // #endif
+}
+// #endif
+
 // ----------------------------------------------------------
 // ALARM EDGE DETECTION
 // Detects rising/falling alarm edges and triggers logging.
@@ -140,6 +221,7 @@ function recordFault(severity, alarm, detail) {
  * PROCESS ALARM EDGES
  * Detects alarm state transitions and manages fault logging lifecycle.
  * Rising edge captures context, falling edge logs the fault.
+ * Both edges publish an event (see publishAlarmEvent).
  *
  * @param  {string} alarmBefore - Previous loop's alarm state
  * @param  {string} alarmAfter  - Current loop's alarm state
@@ -161,13 +243,17 @@ function processAlarmEdges(alarmBefore, alarmAfter, swWatts, tAirRaw, tEvap) {
     let detail = formatFaultDetail(alarmBefore, V.flt_pendCode, duration)
     let sev = getSeverity(alarmBefore)
     if (sev !== 'fatal') recordFault(sev, alarmBefore, detail)
+    // #if events,webhook
+    publishAlarmEvent('clear', alarmBefore, V.flt_pendCode.t, duration, detail)
+    // #endif
     V.flt_pendCode = null
   }
 
   // RISING OR CHANGE TO NEW ALARM: start tracking new pending
   if (alarmAfter !== ALM.NONE && alarmAfter !== alarmBefore) {
+    let t = ri(Date.now() / 1000)
     V.flt_pendCode = {
-      t: ri(Date.now() / 1000),
+      t: t,
       alarm: alarmAfter,
       peak: V.sns_airSmoothDeg,
       watts: (V.hw_hasPM && S.sys_isRelayOn) ? swWatts : 0,
@@ -175,6 +261,9 @@ function processAlarmEdges(alarmBefore, alarmAfter, swWatts, tAirRaw, tEvap) {
       airSmt: V.sns_airSmoothDeg,
       evap: (typeof tEvap === 'number') ? tEvap : 0,
     }
+    // #if events,webhook
+    publishAlarmEvent('raise', alarmAfter, t, 0, formatFaultDetail(alarmAfter, V.flt_pendCode, 0))
+    // #endif
   }
 }
 
@@ -187,9 +276,9 @@ function processAlarmEdges(alarmBefore, alarmAfter, swWatts, tAirRaw, tEvap) {
 /**
  * CLEAR NON-FATAL ALARMS
  * Resets alarm state for re-evaluation each loop iteration.
- * Fatal alarms (WELD, LOCKED) are sticky and require reboot.
+ * Call BEFORE the loop's detection steps; applyAlarmPolicy restores latches.
  *
- * WELD and LOCKED alarms persist until device restart.
+ * WELD and LOCKED alarms persist until acknowledged (or device restart).
  */
 function clearNonFatalAlarms() {
   if (V.sys_alarm !== ALM.LOCKED && V.sys_alarm !== ALM.WELD) {
@@ -218,6 +307,58 @@ function applySensorAlarms(alarmFail, alarmStuck) {
   if (alarmStuck) V.sys_alarm = ALM.STUCK
 }
 
+// ----------------------------------------------------------
+// ALARM LATCHING
+// Holds non-auto alarms after their condition clears (see getAlarmPolicy).
+// ----------------------------------------------------------
+
+// #if latch
+/**
+ * APPLY ALARM POLICY
+ * Call after all alarm evaluations. Latches the raw alarm if its policy
+ * is not auto, re-applies the latch when nothing is raised this loop and
+ * releases 'hold' latches once clear for alm_holdSec.
+ * A fatal latch is never displaced and always overrides the raw alarm.
+ * An 'ack' latch is not displaced by a 'hold' alarm, which is shown
+ * while raised but not latched.
+ *
+ * @param  {number} now - Current timestamp (seconds)
+ */
+function applyAlarmPolicy(now) {
+  let raw = V.sys_alarm
+  let latchPolicy = getAlarmPolicy(V.alm_latch)
+  let rawPolicy = getAlarmPolicy(raw)
+  let isFatal = latchPolicy === 'fatal'
+  let isKept = isFatal || (latchPolicy === 'ack' && rawPolicy === 'hold')
+  if (rawPolicy !== 'auto' && !isKept && raw !== V.alm_latch) {
+    V.alm_latch = raw
+    V.alm_latchTs = now
+  }
+  if (raw === V.alm_latch) {
+    V.alm_seenTs = now
+    return
+  }
+  if (V.alm_latch === ALM.NONE) return
+  if (getAlarmPolicy(V.alm_latch) === 'hold' && now - V.alm_seenTs >= C.alm_holdSec) {
+    print('✅ ALARM Cleared after hold: ' + V.alm_latch)
+    V.alm_latch = ALM.NONE
+    return
+  }
+  if (raw === ALM.NONE || isFatal) V.sys_alarm = V.alm_latch
+}
+
+/**
+ * RELEASE ALARM
+ * Drops the latch (acknowledgement). Detection re-raises the alarm on
+ * the next loop if its condition is still present.
+ */
+function releaseAlarm() {
+  print('✅ ALARM Acknowledged: ' + V.alm_latch)
+  if (V.sys_alarm === V.alm_latch) V.sys_alarm = ALM.NONE
+  V.alm_latch = ALM.NONE
+}
+// #endif
+
 // ----------------------------------------------------------
 // HIGH TEMP ALARM CHECK
 // Triggers alarm if temp exceeds threshold for delay period.
@@ -251,16 +392,54 @@ function checkHighTempAlarm(tCtrl, isDeepDefrost) {
   return false
 }
 
+// ----------------------------------------------------------
+// LOW TEMP ALARM CHECK
+// Freeze protection only cuts the compressor; this makes it visible.
+// ----------------------------------------------------------
+
+// #if lowtemp
+/**
+ * CHECK LOW TEMP ALARM
+ * Triggers LOW alarm when control temp stays below threshold.
+ * Not suppressed by turbo or defrost: cold air is never expected there.
+ * Never replaces a fatal alarm (a welded relay keeps cooling below the
+ * limit). Prints only when the delay is first exceeded.
+ *
+ * @param  {number}  tCtrl - Control temperature (smoothed air)
+ * @returns {boolean}       - True if alarm triggered this call
+ */
+function checkLowTempAlarm(tCtrl) {
+  if (C.alm_lowEnable && tCtrl < C.alm_lowDeg) {
+    alarm_lowTimer += C.sys_loopSec
+    if (alarm_lowTimer > C.alm_lowDelaySec) {
+      if (getSeverity(V.sys_alarm) === 'fatal') return false
+      V.sys_alarm = ALM.LOW
+      if (alarm_lowTimer - C.sys_loopSec <= C.alm_lowDelaySec) {
+        print('ALARM 🚨 Low temp: ' + tCtrl.toFixed(1) + 'C below ' + C.alm_lowDeg + 'C for ' + Math.floor(alarm_lowTimer / 60) + 'm')
+      }
+      return true
+    }
+  } else {
+    alarm_lowTimer = 0
+  }
+  return false
+}
+// #endif
+
 // ----------------------------------------------------------
 // EXPORTS
 // ----------------------------------------------------------
 
 export {
   getSeverity,
+  getAlarmPolicy,
   formatFaultDetail,
   recordFault,
   processAlarmEdges,
   clearNonFatalAlarms,
   applySensorAlarms,
+  applyAlarmPolicy,
+  releaseAlarm,
   checkHighTempAlarm,
+  checkLowTempAlarm,
 }
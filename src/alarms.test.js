@@ -7,8 +7,9 @@ import { describe, it, expect, beforeEach, vi } from 'vitest'
 
 describe('Alarms', () => {
   let getSeverity, formatFaultDetail, recordFault
-  let processAlarmEdges, clearNonFatalAlarms, applySensorAlarms, checkHighTempAlarm
-  let mockS, mockV, mockC, mockALM
+  let processAlarmEdges, clearNonFatalAlarms, applySensorAlarms, checkHighTempAlarm, checkLowTempAlarm
+  let getAlarmPolicy, applyAlarmPolicy, releaseAlarm
+  let mockS, mockV, mockC, mockALM, mockQueueWebhook
 
   beforeEach(async () => {
     vi.resetModules()
@@ -19,10 +20,13 @@ describe('Alarms', () => {
       WELD: 'ALARM_RELAY_WELD',
       LOCKED: 'ALARM_ROTOR_LOCKED',
       HIGH: 'ALARM_HIGH_TEMP',
+      LOW: 'ALARM_LOW_TEMP',
       FAIL: 'ALARM_SENSOR_FAIL',
       STUCK: 'ALARM_SENSOR_STUCK',
       GHOST: 'ALARM_COMP_GHOST',
       COOL: 'ALARM_COOLING_FAIL',
+      HEAT: 'ALARM_HEATER_RUNAWAY',
+      DOOR: 'ALARM_DOOR_OPEN',
     }
 
     // Create mock state
@@ -43,6 +47,9 @@ describe('Alarms', () => {
       flt_pendCode: null,
       hw_hasPM: true,
       trb_isActive: false,
+      alm_latch: 'NONE',
+      alm_latchTs: 0,
+      alm_seenTs: 0,
     }
 
     // Create mock config
@@ -51,6 +58,11 @@ describe('Alarms', () => {
       alm_highEnable: true,
       alm_highDeg: 15.0,
       alm_highDelaySec: 300,
+      alm_lowEnable: true,
+      alm_lowDeg: 0.0,
+      alm_lowDelaySec: 300,
+      alm_holdSec: 600,
+      sys_mqttEvent: 'fridge/event',
     }
 
     // Mock global print
@@ -61,6 +73,12 @@ describe('Alarms', () => {
       call: vi.fn(),
     }
 
+    // Mock global MQTT
+    global.MQTT = {
+      publish: vi.fn(),
+    }
+    mockQueueWebhook = vi.fn()
+
     // Mock Date.now for consistent timestamps
     vi.spyOn(Date, 'now').mockReturnValue(1000000000)
 
@@ -75,6 +93,7 @@ describe('Alarms', () => {
     vi.doMock('./utils/math.js', () => ({
       ri: vi.fn((v) => Math.floor(v)),
     }))
+    vi.doMock('./webhook.js', () => ({ queueWebhook: mockQueueWebhook }))
     vi.doMock('./utils/object.js', () => ({
       pickKeys: vi.fn((obj, keys) => {
         let result = {}
@@ -91,6 +110,10 @@ describe('Alarms', () => {
     clearNonFatalAlarms = module.clearNonFatalAlarms
     applySensorAlarms = module.applySensorAlarms
     checkHighTempAlarm = module.checkHighTempAlarm
+    checkLowTempAlarm = module.checkLowTempAlarm
+    getAlarmPolicy = module.getAlarmPolicy
+    applyAlarmPolicy = module.applyAlarmPolicy
+    releaseAlarm = module.releaseAlarm
   })
 
   // ----------------------------------------------------------
@@ -110,6 +133,14 @@ describe('Alarms', () => {
       expect(getSeverity(mockALM.HIGH)).toBe('critical')
     })
 
+    it('should return critical for LOW alarm', () => {
+      expect(getSeverity(mockALM.LOW)).toBe('critical')
+    })
+
+    it('should return critical for HEAT alarm', () => {
+      expect(getSeverity(mockALM.HEAT)).toBe('critical')
+    })
+
     it('should return error for FAIL alarm', () => {
       expect(getSeverity(mockALM.FAIL)).toBe('error')
     })
@@ -158,6 +189,16 @@ describe('Alarms', () => {
       expect(result).toBe('19C/10m')
     })
 
+    it('should format LOW alarm detail', () => {
+      const result = formatFaultDetail(mockALM.LOW, { peak: -2.4 }, 1800)
+      expect(result).toBe('-2C/30m')
+    })
+
+    it('should format DOOR alarm detail', () => {
+      const result = formatFaultDetail(mockALM.DOOR, { peak: 9.2 }, 2400)
+      expect(result).toBe('9C/40m')
+    })
+
     it('should format FAIL alarm detail', () => {
       mockV.sns_errCnt = 5
       const result = formatFaultDetail(mockALM.FAIL, {}, 300)
@@ -305,6 +346,58 @@ describe('Alarms', () => {
 
       expect(mockV.flt_pendCode).toBeNull()
     })
+
+    it('should publish raise event on rising edge', () => {
+      mockV.sns_airSmoothDeg = 18.5
+
+      processAlarmEdges(mockALM.NONE, mockALM.HIGH, 0)
+
+      expect(global.MQTT.publish).toHaveBeenCalledTimes(1)
+      let call = global.MQTT.publish.mock.calls[0]
+      expect(call[0]).toBe('fridge/event')
+      expect(JSON.parse(call[1])).toEqual({
+        ev: 'raise', alarm: mockALM.HIGH, sev: 'critical', ts: 1000000, dur: 0, detail: '19C/0m',
+      })
+      expect(call[2]).toBe(1)
+      expect(call[3]).toBe(false)
+      expect(mockQueueWebhook).toHaveBeenCalledWith(JSON.parse(call[1]))
+    })
+
+    it('should publish clear event with start time and duration', () => {
+      mockV.flt_pendCode = { t: 999400, alarm: mockALM.GHOST, peak: 5.0, watts: 50 }
+
+      processAlarmEdges(mockALM.GHOST, mockALM.NONE, 0)
+
+      expect(JSON.parse(global.MQTT.publish.mock.calls[0][1])).toEqual({
+        ev: 'clear', alarm: mockALM.GHOST, sev: 'warning', ts: 999400, dur: 600, detail: '50W/600s',
+      })
+    })
+
+    it('should publish clear then raise when alarm changes', () => {
+      mockV.flt_pendCode = { t: 999900, alarm: mockALM.STUCK }
+
+      processAlarmEdges(mockALM.STUCK, mockALM.FAIL, 0)
+
+      let evs = global.MQTT.publish.mock.calls.map(c => JSON.parse(c[1]))
+      expect(evs.map(e => e.ev + ':' + e.alarm)).toEqual([
+        'clear:' + mockALM.STUCK, 'raise:' + mockALM.FAIL,
+      ])
+    })
+
+    it('should publish clear event for fatal alarm without logging it', () => {
+      mockV.flt_pendCode = { t: 999900, alarm: mockALM.WELD }
+
+      processAlarmEdges(mockALM.WELD, mockALM.NONE, 0)
+
+      expect(mockS.flt_fatalArr.length).toBe(0)
+      expect(JSON.parse(global.MQTT.publish.mock.calls[0][1]).sev).toBe('fatal')
+    })
+
+    it('should not publish on stable alarm state', () => {
+      processAlarmEdges(mockALM.HIGH, mockALM.HIGH, 0)
+
+      expect(global.MQTT.publish).not.toHaveBeenCalled()
+    })
   })
 
   // ----------------------------------------------------------
@@ -353,6 +446,107 @@ describe('Alarms', () => {
   // APPLY SENSOR ALARMS TESTS
   // ----------------------------------------------------------
 
+  // ----------------------------------------------------------
+  // ALARM POLICY TESTS
+  // ----------------------------------------------------------
+
+  describe('getAlarmPolicy', () => {
+    it.each([
+      ['WELD', 'fatal'],
+      ['LOCKED', 'fatal'],
+      ['COOL', 'ack'],
+      ['HEAT', 'ack'],
+      ['HIGH', 'hold'],
+      ['LOW', 'hold'],
+      ['GHOST', 'hold'],
+      ['FAIL', 'auto'],
+      ['DOOR', 'auto'],
+      ['NONE', 'auto'],
+    ])('should map %s to %s', (key, policy) => {
+      expect(getAlarmPolicy(mockALM[key])).toBe(policy)
+    })
+  })
+
+  describe('applyAlarmPolicy', () => {
+    it('should latch raised alarm and re-apply it once condition clears', () => {
+      mockV.sys_alarm = mockALM.COOL
+      applyAlarmPolicy(1000)
+      expect(mockV.alm_latch).toBe(mockALM.COOL)
+      expect(mockV.alm_latchTs).toBe(1000)
+
+      mockV.sys_alarm = mockALM.NONE
+      applyAlarmPolicy(9000)
+      expect(mockV.sys_alarm).toBe(mockALM.COOL)
+    })
+
+    it('should not latch auto alarms', () => {
+      mockV.sys_alarm = mockALM.FAIL
+      applyAlarmPolicy(1000)
+
+      expect(mockV.alm_latch).toBe('NONE')
+    })
+
+    it('should release hold alarm after clear for alm_holdSec', () => {
+      mockV.sys_alarm = mockALM.HIGH
+      applyAlarmPolicy(1000)
+
+      mockV.sys_alarm = mockALM.NONE
+      applyAlarmPolicy(1599)
+      expect(mockV.sys_alarm).toBe(mockALM.HIGH)
+
+      mockV.sys_alarm = mockALM.NONE
+      applyAlarmPolicy(1600)
+      expect(mockV.sys_alarm).toBe(mockALM.NONE)
+      expect(mockV.alm_latch).toBe('NONE')
+    })
+
+    it('should let raw auto alarm show over latch without dropping it', () => {
+      mockV.alm_latch = mockALM.COOL
+      mockV.sys_alarm = mockALM.FAIL
+      applyAlarmPolicy(1000)
+
+      expect(mockV.sys_alarm).toBe(mockALM.FAIL)
+      expect(mockV.alm_latch).toBe(mockALM.COOL)
+    })
+
+    it('should keep an unacknowledged ack latch when a hold alarm is raised', () => {
+      mockV.alm_latch = mockALM.COOL
+      mockV.alm_latchTs = 500
+      mockV.sys_alarm = mockALM.HIGH
+      applyAlarmPolicy(1000)
+
+      expect(mockV.sys_alarm).toBe(mockALM.HIGH)
+      expect(mockV.alm_latch).toBe(mockALM.COOL)
+      expect(mockV.alm_latchTs).toBe(500)
+
+      mockV.sys_alarm = mockALM.NONE
+      applyAlarmPolicy(5000)
+      expect(mockV.sys_alarm).toBe(mockALM.COOL)
+    })
+
+    it('should keep fatal latch and override lower raised alarm', () => {
+      mockV.alm_latch = mockALM.WELD
+      mockV.alm_latchTs = 500
+      mockV.sys_alarm = mockALM.HIGH
+      applyAlarmPolicy(1000)
+
+      expect(mockV.alm_latch).toBe(mockALM.WELD)
+      expect(mockV.alm_latchTs).toBe(500)
+      expect(mockV.sys_alarm).toBe(mockALM.WELD)
+    })
+  })
+
+  describe('releaseAlarm', () => {
+    it('should drop latch and clear matching active alarm', () => {
+      mockV.alm_latch = mockALM.COOL
+      mockV.sys_alarm = mockALM.COOL
+      releaseAlarm()
+
+      expect(mockV.alm_latch).toBe('NONE')
+      expect(mockV.sys_alarm).toBe('NONE')
+    })
+  })
+
   describe('applySensorAlarms', () => {
     it('should apply FAIL alarm when alarmFail is true', () => {
       mockV.sys_alarm = mockALM.NONE
@@ -465,4 +659,71 @@ describe('Alarms', () => {
       expect(mockV.sys_alarm).toBe(mockALM.HIGH)
     })
   })
+  // ----------------------------------------------------------
+  // CHECK LOW TEMP ALARM TESTS
+  // ----------------------------------------------------------
+
+  describe('checkLowTempAlarm', () => {
+    it('should trigger alarm after delay exceeded via multiple calls', () => {
+      // alm_lowDelaySec = 300, sys_loopSec = 5: 61 calls to exceed
+      for (let i = 0; i < 60; i++) {
+        expect(checkLowTempAlarm(-0.5)).toBe(false)
+      }
+      expect(mockV.sys_alarm).not.toBe(mockALM.LOW)
+
+      expect(checkLowTempAlarm(-0.5)).toBe(true)
+      expect(mockV.sys_alarm).toBe(mockALM.LOW)
+    })
+
+    it('should reset timer when temp rises to threshold', () => {
+      for (let i = 0; i < 50; i++) {
+        checkLowTempAlarm(-0.5)
+      }
+      checkLowTempAlarm(0.0)
+      for (let i = 0; i < 60; i++) {
+        checkLowTempAlarm(-0.5)
+      }
+      expect(mockV.sys_alarm).not.toBe(mockALM.LOW)
+    })
+
+    it('should still trigger during turbo mode', () => {
+      mockV.trb_isActive = true
+      for (let i = 0; i < 61; i++) {
+        checkLowTempAlarm(-0.5)
+      }
+      expect(mockV.sys_alarm).toBe(mockALM.LOW)
+    })
+
+    it('should not trigger when disabled', () => {
+      mockC.alm_lowEnable = false
+      for (let i = 0; i < 61; i++) {
+        checkLowTempAlarm(-5.0)
+      }
+      expect(mockV.sys_alarm).not.toBe(mockALM.LOW)
+    })
+
+    it('should not replace a fatal alarm', () => {
+      mockV.sys_alarm = mockALM.WELD
+      for (let i = 0; i < 61; i++) {
+        checkLowTempAlarm(-0.5)
+      }
+      expect(mockV.sys_alarm).toBe(mockALM.WELD)
+    })
+
+    it('should replace a non-fatal alarm', () => {
+      mockV.sys_alarm = mockALM.HIGH
+      for (let i = 0; i < 61; i++) {
+        checkLowTempAlarm(-0.5)
+      }
+      expect(mockV.sys_alarm).toBe(mockALM.LOW)
+    })
+
+    it('should print only when the alarm is raised', () => {
+      for (let i = 0; i < 70; i++) {
+        checkLowTempAlarm(-0.5)
+      }
+      expect(global.print).toHaveBeenCalledTimes(1)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Low temp'))
+    })
+  })
 })
@@ -19,12 +19,39 @@ let DEFAULT = {
   sys_sensFailLimit: 5,      // Loops of bad data before Limp Mode
   sys_mqttTopic: 'fridge/status',
   sys_mqttCmd: 'fridge/command',
+  sys_mqttAvail: 'fridge/availability', // Retained online/offline
+  // #if events
+  sys_mqttEvent: 'fridge/event', // Alarm raise/clear events
+  // #endif
+  // #if summary
+  sys_mqttStats: 'fridge/stats', // Retained rollover summaries (/hour, /day)
+  // #endif
+  sys_mqttSecret: '',        // HMAC key for signed commands ('' = unsigned), kept without sign to lock commands
+  // #if ha
+  sys_haEnable: true,        // Publish Home Assistant discovery at boot
+  sys_haPrefix: 'homeassistant',
+  // #endif
 
   // CTL - Thermostat Control
   ctl_targetDeg: 4.0,        // Target Temp (C)
   ctl_hystDeg: 1.0,          // Base Hysteresis (C)
   ctl_smoothAlpha: 0.08,     // EMA Smoothing Factor
 
+  // #if schedule
+  // SCH - Setpoint Schedule (max 8 windows, first match wins)
+  // Window: [dayMask (bit0=Sun), startHHMM, endHHMM, targetDeg, hystDeg (0 = normal)]
+  sch_windows: [],
+  // #endif
+
+  // #if pid
+  // PID - Time-Proportioning Control (replaces hysteresis band when enabled)
+  pid_enable: false,
+  pid_kp: 0.5,               // Duty per C of error
+  pid_ki: 0.0002,            // Duty per C*s of accumulated error
+  pid_kd: 0,                 // Duty per C/s of error change (0 = PI)
+  pid_windowSec: 1200,       // ON/OFF window length: 20 min
+  // #endif
+
   // ADT - Adaptive Hysteresis (Run-Time Based)
   adt_enable: true,
   adt_hystMinDeg: 0.5,       // Tightest allowed control
@@ -43,10 +70,17 @@ let DEFAULT = {
   lmp_onSec: 1800,           // 30 Minutes ON (66% Duty)
   lmp_offSec: 900,           // 15 Minutes OFF
 
-  // DOR - Door Open Detection (dP/dt)
+  // DOR - Door Open Detection (contact input, dP/dt fallback)
   dor_enable: true,
   dor_rateDegMin: 5.0,       // Trigger if temp rises > 5C per minute
   dor_pauseSec: 300,         // Stop cooling for 5 mins
+  // #if door
+  dor_inputId: -1,           // Reed contact input (-1 = none, ON = open)
+  dor_alarmSec: 300,         // Door-left-open alarm after 5 mins
+  // #endif
+  // #if dooresc
+  dor_escSec: 1800,          // No contact: alarm if air not recovered 30 mins after event
+  // #endif
 
   // DFR - Defrost Logic
   dfr_dynEnable: true,
@@ -57,6 +91,9 @@ let DEFAULT = {
   dfr_schedEnable: true,
   dfr_schedHour: 1,          // 01:00 AM
   dfr_schedDurSec: 3600,     // 1 Hour duration
+  // #if mandefrost
+  dfr_manDurSec: 1800,       // Manual defrost default (defrost_now)
+  // #endif
 
   // WLD - Relay Weld Detection (Physics)
   wld_enable: true,
@@ -69,10 +106,30 @@ let DEFAULT = {
   sns_stuckTimeSec: 14400,   // 4 Hours stuck = Alarm
   sns_stuckEpsDeg: 0.2,      // Reset timer if moves > 0.2C
 
-  // ALM - High Temp Alert
+  // ALM - High / Low Temp Alert, Latching
   alm_highEnable: true,
   alm_highDeg: 10.0,         // Critical Alert Threshold
   alm_highDelaySec: 600,     // Must persist for 10 Minutes
+  // #if lowtemp
+  alm_lowEnable: true,
+  alm_lowDeg: 0.0,           // Freezing risk (welded relay, cold garage)
+  alm_lowDelaySec: 1800,     // Must persist for 30 Minutes
+  // #endif
+  // #if latch
+  alm_holdSec: 600,          // 'hold' alarms latch until clear for 10 Minutes
+  // #endif
+  // #if tempstats,excursion
+  alm_limitDeg: 5.0,         // Food-safety limit: time above is logged per hour
+  // #endif
+
+  // #if webhook
+  // WHK - Alarm Webhooks (HTTP POST on raise/clear)
+  whk_urls: [],              // Up to 3 URLs ([] = off)
+  whk_minSev: 'critical',    // Lowest severity sent: fatal/critical/error/warning
+  whk_body: 'Fridge {alarm} {ev} ({sev}) {detail}', // Template, '{' first = JSON
+  whk_retryMax: 5,           // Retries before a delivery is dropped
+  whk_retrySec: 30,          // First retry delay, doubles each try
+  // #endif
 
   // PWR - Power Monitoring
   pwr_enable: true,
@@ -81,6 +138,9 @@ let DEFAULT = {
   pwr_runMaxW: 400,          // Locked Rotor (>400W)
   pwr_ghostTripSec: 60,      // Confirm Ghost for 60s
   pwr_ghostMaxCnt: 3,      // Escalate to fatal after N ghost runs
+  // #if energy
+  pwr_tariffPerKwh: 0,       // Energy price for cost estimate (0 = off)
+  // #endif
 
   // TRB - Turbo Mode
   trb_enable: true,
@@ -88,6 +148,25 @@ let DEFAULT = {
   trb_hystDeg: 0.5,
   trb_maxTimeSec: 10800,     // 3 Hours
 
+  // #if vacation
+  // VAC - Vacation Mode (turbo and door detection off while active)
+  vac_targetAddDeg: 3.0,     // Raise target by 3C
+  vac_hystAddDeg: 1.0,       // Widen hysteresis (and adaptive bounds) by 1C
+  vac_reportSec: 300,        // MQTT status every 5 min instead of every loop
+  // #endif
+
+  // #if heater
+  // HTR - Heater Output (second switch or remote Shelly)
+  htr_enable: false,
+  htr_switchId: 1,           // Switch ID (local, or on htr_host)
+  htr_host: '',              // Remote Shelly IP/host ('' = local switch)
+  htr_deadbandDeg: 0.5,      // Gap between cooling OFF and heating ON
+  htr_minOnSec: 60,
+  htr_minOffSec: 120,
+  htr_maxRunSec: 3600,       // Forced rest after 1 hour ON
+  htr_runawayDeg: 5.0,       // Alarm if air > target + 5C with heater ON (or stuck ON)
+  // #endif
+
   // GAS - Gas Leak Detection
   gas_checkSec: 900,         // Gas Leak Check Time
   gas_failDiff: 5.0,         // Gas Leak Diff (evap must be 5C colder than air)
@@ -107,20 +186,72 @@ let C = {}
 
 let CFG_KEYS = {
   'fridge_cfg_sys': ['sys_loopSec', 'sys_sensAirId', 'sys_sensEvpId', 'sys_sensFailLimit',
-    'sys_mqttTopic', 'sys_mqttCmd'],
+    'sys_mqttTopic', 'sys_mqttCmd', 'sys_mqttAvail',
+    // #if events
+    'sys_mqttEvent',
+    // #endif
+    // #if summary
+    'sys_mqttStats',
+    // #endif
+    // #if ha
+    'sys_haEnable', 'sys_haPrefix',
+    // #endif
+  ],
+  'fridge_cfg_sec': ['sys_mqttSecret'],
   'fridge_cfg_ctl': ['ctl_targetDeg', 'ctl_hystDeg', 'ctl_smoothAlpha'],
+  // #if schedule
+  'fridge_cfg_sch': ['sch_windows'],
+  // #endif
+  // #if pid
+  'fridge_cfg_pid': ['pid_enable', 'pid_kp', 'pid_ki', 'pid_kd', 'pid_windowSec'],
+  // #endif
   'fridge_cfg_adt': ['adt_enable', 'adt_hystMinDeg', 'adt_hystMaxDeg',
     'adt_targetMinSec', 'adt_targetMaxSec'],
   'fridge_cfg_cmp': ['cmp_minOnSec', 'cmp_minOffSec', 'cmp_maxRunSec', 'cmp_freezeCutDeg'],
   'fridge_cfg_lmp': ['lmp_enable', 'lmp_onSec', 'lmp_offSec'],
-  'fridge_cfg_dor': ['dor_enable', 'dor_rateDegMin', 'dor_pauseSec'],
+  'fridge_cfg_dor': ['dor_enable', 'dor_rateDegMin', 'dor_pauseSec',
+    // #if door
+    'dor_inputId', 'dor_alarmSec',
+    // #endif
+    // #if dooresc
+    'dor_escSec',
+    // #endif
+  ],
   'fridge_cfg_dfr': ['dfr_dynEnable', 'dfr_dynTrigDeg', 'dfr_dynEndDeg', 'dfr_dynDwellSec',
-    'dfr_schedEnable', 'dfr_schedHour', 'dfr_schedDurSec'],
+    'dfr_schedEnable', 'dfr_schedHour', 'dfr_schedDurSec',
+    // #if mandefrost
+    'dfr_manDurSec',
+    // #endif
+  ],
   'fridge_cfg_wld': ['wld_enable', 'wld_waitSec', 'wld_winSec', 'wld_dropDeg'],
   'fridge_cfg_sns': ['sns_stuckEnable', 'sns_stuckTimeSec', 'sns_stuckEpsDeg'],
-  'fridge_cfg_alm': ['alm_highEnable', 'alm_highDeg', 'alm_highDelaySec'],
-  'fridge_cfg_pwr': ['pwr_enable', 'pwr_startMaskSec', 'pwr_runMinW', 'pwr_runMaxW', 'pwr_ghostTripSec', 'pwr_ghostMaxCnt'],
+  'fridge_cfg_alm': ['alm_highEnable', 'alm_highDeg', 'alm_highDelaySec',
+    // #if lowtemp
+    'alm_lowEnable', 'alm_lowDeg', 'alm_lowDelaySec',
+    // #endif
+    // #if latch
+    'alm_holdSec',
+    // #endif
+    // #if tempstats,excursion
+    'alm_limitDeg',
+    // #endif
+  ],
+  // #if webhook
+  'fridge_cfg_whk': ['whk_urls', 'whk_minSev', 'whk_body', 'whk_retryMax', 'whk_retrySec'],
+  // #endif
+  'fridge_cfg_pwr': ['pwr_enable', 'pwr_startMaskSec', 'pwr_runMinW', 'pwr_runMaxW', 'pwr_ghostTripSec', 'pwr_ghostMaxCnt',
+    // #if energy
+    'pwr_tariffPerKwh',
+    // #endif
+  ],
   'fridge_cfg_trb': ['trb_enable', 'trb_targetDeg', 'trb_hystDeg', 'trb_maxTimeSec'],
+  // #if vacation
+  'fridge_cfg_vac': ['vac_targetAddDeg', 'vac_hystAddDeg', 'vac_reportSec'],
+  // #endif
+  // #if heater
+  'fridge_cfg_htr': ['htr_enable', 'htr_switchId', 'htr_host', 'htr_deadbandDeg',
+    'htr_minOnSec', 'htr_minOffSec', 'htr_maxRunSec', 'htr_runawayDeg'],
+  // #endif
   'fridge_cfg_gas': ['gas_checkSec', 'gas_failDiff'],
 }
 
@@ -131,15 +262,16 @@ let CFG_KEYS = {
 // ----------------------------------------------------------
 
 /**
- * validateNumber - Validate a single numeric config field
- * Resets to default if value is out of range.
+ * checkNum - Validate a single numeric config field
+ * Resets to default if value is out of range. Kept short: it is called
+ * once per numeric field and top-level names are not minified.
  *
  * @param {string} f - Field name
  * @param {number} min - Minimum allowed value
  * @param {number} max - Maximum allowed value
  * @param {string[]} bad - Array to collect invalid field names
  */
-function validateNumber(f, min, max, bad) {
+function checkNum(f, min, max, bad) {
   let v = C[f]
   if (typeof v !== 'number' || v < min || v > max) {
     C[f] = DEFAULT[f]
@@ -152,7 +284,7 @@ function validateNumber(f, min, max, bad) {
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateSystem(bad) {
-  validateNumber('sys_loopSec', 1, 60, bad)
+  checkNum('sys_loopSec', 1, 60, bad)
 }
 
 /**
@@ -160,19 +292,95 @@ function validateSystem(bad) {
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateCtl(bad) {
-  validateNumber('ctl_targetDeg', -5, 15, bad)
-  validateNumber('ctl_hystDeg', 0.1, 5, bad)
+  checkNum('ctl_targetDeg', -5, 15, bad)
+  checkNum('ctl_hystDeg', 0.1, 5, bad)
+}
+
+// #if schedule
+/**
+ * isValidHhmm - Check HHMM time of day (0-2359, minutes < 60)
+ * @param {number} t - Time as HHMM integer
+ * @returns {boolean} - True if valid
+ */
+function isValidHhmm(t) {
+  return t >= 0 && t <= 2359 && t % 100 < 60 && t === Math.floor(t)
 }
 
+/**
+ * isValidWindow - Check one setpoint schedule window
+ * Target and hysteresis use the same ranges as ctl_targetDeg/ctl_hystDeg.
+ *
+ * @param {number[]} w - [dayMask, startHHMM, endHHMM, targetDeg, hystDeg]
+ * @returns {boolean} - True if valid
+ */
+function isValidWindow(w) {
+  if (!w || w.constructor !== Array || w.length !== 5) return false
+  for (let i = 0; i < 5; i++) {
+    if (typeof w[i] !== 'number') return false
+  }
+  if (w[0] < 1 || w[0] > 127 || w[0] !== Math.floor(w[0])) return false
+  if (!isValidHhmm(w[1]) || !isValidHhmm(w[2]) || w[1] === w[2]) return false
+  return isValidWindowTemps(w[3], w[4])
+}
+
+/**
+ * isValidWindowTemps - Check window target and hysteresis
+ * @param {number} t - Target (C)
+ * @param {number} h - Hysteresis (C), 0 = normal
+ * @returns {boolean} - True if valid
+ */
+function isValidWindowTemps(t, h) {
+  if (t < -5 || t > 15) return false
+  return h === 0 || (h >= 0.1 && h <= 5)
+}
+
+/**
+ * isValidSchedule - Check a full setpoint schedule (max 8 windows)
+ * @param {number[][]} arr - Window list
+ * @returns {boolean} - True if valid
+ */
+function isValidSchedule(arr) {
+  if (!arr || arr.constructor !== Array || arr.length > 8) return false
+  for (let i = 0; i < arr.length; i++) {
+    if (!isValidWindow(arr[i])) return false
+  }
+  return true
+}
+
+/**
+ * validateSch - Validate setpoint schedule (all-or-nothing)
+ * @param {string[]} bad - Array to collect invalid field names
+ */
+function validateSch(bad) {
+  if (!isValidSchedule(C.sch_windows)) {
+    C.sch_windows = DEFAULT.sch_windows
+    bad.push('sch_windows')
+  }
+}
+// #endif
+
+// #if pid
+/**
+ * validatePid - Validate PID control config fields
+ * @param {string[]} bad - Array to collect invalid field names
+ */
+function validatePid(bad) {
+  checkNum('pid_kp', 0, 5, bad)
+  checkNum('pid_ki', 0, 0.01, bad)
+  checkNum('pid_kd', 0, 600, bad)
+  checkNum('pid_windowSec', 600, 7200, bad)
+}
+// #endif
+
 /**
  * validateCmp - Validate compressor protection config fields
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateCmp(bad) {
-  validateNumber('cmp_minOnSec', 60, 600, bad)
-  validateNumber('cmp_minOffSec', 60, 900, bad)
-  validateNumber('cmp_maxRunSec', 1800, 14400, bad)
-  validateNumber('cmp_freezeCutDeg', -2, 2, bad)
+  checkNum('cmp_minOnSec', 60, 600, bad)
+  checkNum('cmp_minOffSec', 60, 900, bad)
+  checkNum('cmp_maxRunSec', 1800, 14400, bad)
+  checkNum('cmp_freezeCutDeg', -2, 2, bad)
 }
 
 /**
@@ -180,27 +388,58 @@ function validateCmp(bad) {
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateTrb(bad) {
-  validateNumber('trb_maxTimeSec', 1800, 21600, bad)
+  checkNum('trb_maxTimeSec', 1800, 21600, bad)
+}
+
+// #if vacation
+/**
+ * validateVac - Validate vacation mode config fields
+ * @param {string[]} bad - Array to collect invalid field names
+ */
+function validateVac(bad) {
+  checkNum('vac_targetAddDeg', 0, 10, bad)
+  checkNum('vac_hystAddDeg', 0, 3, bad)
+  checkNum('vac_reportSec', 5, 3600, bad)
 }
+// #endif
 
 /**
  * validateAdt - Validate adaptive hysteresis config fields
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateAdt(bad) {
-  validateNumber('adt_hystMinDeg', 0.1, 5, bad)
-  validateNumber('adt_hystMaxDeg', 0.1, 5, bad)
-  validateNumber('adt_targetMinSec', 300, 3600, bad)
-  validateNumber('adt_targetMaxSec', 600, 7200, bad)
+  checkNum('adt_hystMinDeg', 0.1, 5, bad)
+  checkNum('adt_hystMaxDeg', 0.1, 5, bad)
+  checkNum('adt_targetMinSec', 300, 3600, bad)
+  checkNum('adt_targetMaxSec', 600, 7200, bad)
 }
 
 /**
  * validateDor - Validate door detection config fields
+ * Input 0 is the turbo switch and cannot be the door contact while turbo is enabled.
+ * Escalation window must outlast the pause, or every event would escalate.
+ *
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateDor(bad) {
-  validateNumber('dor_rateDegMin', 0.5, 20, bad)
-  validateNumber('dor_pauseSec', 30, 3600, bad)
+  checkNum('dor_rateDegMin', 0.5, 20, bad)
+  checkNum('dor_pauseSec', 30, 3600, bad)
+  // #if door
+  checkNum('dor_inputId', -1, 3, bad)
+  checkNum('dor_alarmSec', 30, 7200, bad)
+  if (C.dor_inputId === 0 && C.trb_enable) {
+    C.dor_inputId = DEFAULT.dor_inputId
+    bad.push('dor_inputId')
+  }
+  // #endif
+  // #if dooresc
+  checkNum('dor_escSec', 600, 14400, bad)
+  if (C.dor_escSec <= C.dor_pauseSec) {
+    C.dor_pauseSec = DEFAULT.dor_pauseSec
+    C.dor_escSec = DEFAULT.dor_escSec
+    bad.push('dor_esc_range')
+  }
+  // #endif
 }
 
 /**
@@ -208,11 +447,14 @@ function validateDor(bad) {
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateDfr(bad) {
-  validateNumber('dfr_dynTrigDeg', -40, 0, bad)
-  validateNumber('dfr_dynEndDeg', -20, 5, bad)
-  validateNumber('dfr_dynDwellSec', 60, 7200, bad)
-  validateNumber('dfr_schedHour', 0, 23, bad)
-  validateNumber('dfr_schedDurSec', 300, 14400, bad)
+  checkNum('dfr_dynTrigDeg', -40, 0, bad)
+  checkNum('dfr_dynEndDeg', -20, 5, bad)
+  checkNum('dfr_dynDwellSec', 60, 7200, bad)
+  checkNum('dfr_schedHour', 0, 23, bad)
+  checkNum('dfr_schedDurSec', 300, 14400, bad)
+  // #if mandefrost
+  checkNum('dfr_manDurSec', 300, 14400, bad)
+  // #endif
 }
 
 /**
@@ -220,9 +462,9 @@ function validateDfr(bad) {
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateWld(bad) {
-  validateNumber('wld_waitSec', 60, 7200, bad)
-  validateNumber('wld_winSec', 300, 14400, bad)
-  validateNumber('wld_dropDeg', 0.05, 5, bad)
+  checkNum('wld_waitSec', 60, 7200, bad)
+  checkNum('wld_winSec', 300, 14400, bad)
+  checkNum('wld_dropDeg', 0.05, 5, bad)
 }
 
 /**
@@ -230,8 +472,8 @@ function validateWld(bad) {
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateSns(bad) {
-  validateNumber('sns_stuckTimeSec', 300, 86400, bad)
-  validateNumber('sns_stuckEpsDeg', 0.05, 5, bad)
+  checkNum('sns_stuckTimeSec', 300, 86400, bad)
+  checkNum('sns_stuckEpsDeg', 0.05, 5, bad)
 }
 
 /**
@@ -239,29 +481,101 @@ function validateSns(bad) {
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateAlm(bad) {
-  validateNumber('alm_highDeg', 0, 40, bad)
-  validateNumber('alm_highDelaySec', 60, 7200, bad)
+  checkNum('alm_highDeg', 0, 40, bad)
+  checkNum('alm_highDelaySec', 60, 7200, bad)
+  // #if lowtemp
+  checkNum('alm_lowDeg', -30, 20, bad)
+  checkNum('alm_lowDelaySec', 60, 7200, bad)
+  // #endif
+  // #if latch
+  checkNum('alm_holdSec', 0, 7200, bad)
+  // #endif
+  // #if tempstats,excursion
+  checkNum('alm_limitDeg', -30, 40, bad)
+  // #endif
+}
+
+// #if webhook
+/**
+ * isValidUrlList - Check webhook URL list (max 3 http(s) URLs)
+ * @param {string[]} arr - URL list
+ * @returns {boolean} - True if valid
+ */
+function isValidUrlList(arr) {
+  if (!arr || arr.constructor !== Array || arr.length > 3) return false
+  for (let i = 0; i < arr.length; i++) {
+    let u = arr[i]
+    if (typeof u !== 'string' || (u.indexOf('http://') !== 0 && u.indexOf('https://') !== 0)) return false
+  }
+  return true
+}
+
+/**
+ * validateWhk - Validate alarm webhook config fields
+ * @param {string[]} bad - Array to collect invalid field names
+ */
+function validateWhk(bad) {
+  if (!isValidUrlList(C.whk_urls)) {
+    C.whk_urls = DEFAULT.whk_urls
+    bad.push('whk_urls')
+  }
+  if (['fatal', 'critical', 'error', 'warning'].indexOf(C.whk_minSev) === -1) {
+    C.whk_minSev = DEFAULT.whk_minSev
+    bad.push('whk_minSev')
+  }
+  if (typeof C.whk_body !== 'string' || C.whk_body === '') {
+    C.whk_body = DEFAULT.whk_body
+    bad.push('whk_body')
+  }
+  checkNum('whk_retryMax', 0, 10, bad)
+  checkNum('whk_retrySec', 5, 600, bad)
 }
+// #endif
 
 /**
  * validatePower - Validate power monitoring config fields
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validatePower(bad) {
-  validateNumber('pwr_startMaskSec', 1, 120, bad)
-  validateNumber('pwr_runMinW', 1, 1000, bad)
-  validateNumber('pwr_runMaxW', 50, 2000, bad)
-  validateNumber('pwr_ghostTripSec', 5, 600, bad)
-  validateNumber('pwr_ghostMaxCnt', 1, 10, bad)
+  checkNum('pwr_startMaskSec', 1, 120, bad)
+  checkNum('pwr_runMinW', 1, 1000, bad)
+  checkNum('pwr_runMaxW', 50, 2000, bad)
+  checkNum('pwr_ghostTripSec', 5, 600, bad)
+  checkNum('pwr_ghostMaxCnt', 1, 10, bad)
+  // #if energy
+  checkNum('pwr_tariffPerKwh', 0, 1000, bad)
+  // #endif
+}
+
+// #if heater
+/**
+ * validateHtr - Validate heater output config fields
+ * Local switch 0 is the compressor and cannot be the heater.
+ *
+ * @param {string[]} bad - Array to collect invalid field names
+ */
+function validateHtr(bad) {
+  checkNum('htr_switchId', 0, 3, bad)
+  checkNum('htr_deadbandDeg', 0, 5, bad)
+  checkNum('htr_minOnSec', 10, 1800, bad)
+  checkNum('htr_minOffSec', 10, 1800, bad)
+  checkNum('htr_maxRunSec', 300, 14400, bad)
+  checkNum('htr_runawayDeg', 1, 20, bad)
+  if (typeof C.htr_host !== 'string' || (C.htr_host === '' && C.htr_switchId === 0)) {
+    C.htr_host = DEFAULT.htr_host
+    C.htr_switchId = DEFAULT.htr_switchId
+    bad.push('htr_switchId')
+  }
 }
+// #endif
 
 /**
  * validateGas - Validate gas leak detection config fields
  * @param {string[]} bad - Array to collect invalid field names
  */
 function validateGas(bad) {
-  validateNumber('gas_checkSec', 60, 7200, bad)
-  validateNumber('gas_failDiff', 1, 20, bad)
+  checkNum('gas_checkSec', 60, 7200, bad)
+  checkNum('gas_failDiff', 1, 20, bad)
 }
 
 /**
@@ -274,15 +588,30 @@ function validateConfig() {
   let bad = []
   validateSystem(bad)
   validateCtl(bad)
+  // #if schedule
+  validateSch(bad)
+  // #endif
+  // #if pid
+  validatePid(bad)
+  // #endif
   validateCmp(bad)
   validateTrb(bad)
+  // #if vacation
+  validateVac(bad)
+  // #endif
   validateAdt(bad)
   validateDor(bad)
   validateDfr(bad)
   validateWld(bad)
   validateSns(bad)
   validateAlm(bad)
+  // #if webhook
+  validateWhk(bad)
+  // #endif
   validatePower(bad)
+  // #if heater
+  validateHtr(bad)
+  // #endif
   validateGas(bad)
   // Range checks: min must be < max
   if (C.adt_hystMinDeg >= C.adt_hystMaxDeg) {
@@ -295,10 +624,64 @@ function validateConfig() {
     C.adt_targetMaxSec = DEFAULT.adt_targetMaxSec
     bad.push('adt_target_range')
   }
+  // #if lowtemp
+  if (C.alm_lowDeg >= C.alm_highDeg) {
+    C.alm_lowDeg = DEFAULT.alm_lowDeg
+    C.alm_highDeg = DEFAULT.alm_highDeg
+    bad.push('alm_temp_range')
+  }
+  // #endif
   if (bad.length > 0) print('⚠️ CONFIG: Reverted: ' + bad.join(','))
   return bad
 }
 
+// ----------------------------------------------------------
+// BUILT-IN PROFILES
+// Built on demand (code, not heap). Each sets the same fields so
+// switching between them is deterministic.
+// ----------------------------------------------------------
+
+// #if profiles
+/**
+ * getBuiltinProfile - Get config overrides for a built-in profile
+ * Fields of optional features are only set when built in, so every
+ * override stays a config_set-able key.
+ *
+ * @param {string} name - 'fridge', 'beer', 'wine' or 'freezer-lite'
+ * @returns {object|null} - Overrides, or null if not built-in
+ */
+function getBuiltinProfile(name) {
+  let p = null
+  if (name === 'fridge') {
+    p = { ctl_targetDeg: 4.0, ctl_hystDeg: 1.0, adt_enable: true, cmp_freezeCutDeg: 0.5,
+      cmp_maxRunSec: 7200, dfr_dynEnable: true, dfr_schedEnable: true, alm_highDeg: 10.0 }
+  }
+  if (name === 'beer') {
+    p = { ctl_targetDeg: 3.0, ctl_hystDeg: 0.5, adt_enable: true, cmp_freezeCutDeg: 0.0,
+      cmp_maxRunSec: 7200, dfr_dynEnable: true, dfr_schedEnable: true, alm_highDeg: 8.0 }
+  }
+  if (name === 'wine') {
+    p = { ctl_targetDeg: 12.0, ctl_hystDeg: 0.5, adt_enable: false, cmp_freezeCutDeg: 2.0,
+      cmp_maxRunSec: 7200, dfr_dynEnable: false, dfr_schedEnable: false, alm_highDeg: 18.0 }
+  }
+  if (name === 'freezer-lite') {
+    p = { ctl_targetDeg: -1.0, ctl_hystDeg: 0.5, adt_enable: true, cmp_freezeCutDeg: -2.0,
+      cmp_maxRunSec: 10800, dfr_dynEnable: true, dfr_schedEnable: true, alm_highDeg: 5.0 }
+  }
+  if (p === null) return null
+  // #if tempstats,excursion
+  p.alm_limitDeg = name === 'wine' ? 18.0 : 5.0
+  // #endif
+  // #if lowtemp
+  p.alm_lowDeg = name === 'wine' ? 5.0 : name === 'freezer-lite' ? -5.0 : 0.0
+  // #endif
+  // #if pid
+  p.pid_enable = name === 'wine'
+  // #endif
+  return p
+}
+// #endif
+
 // ----------------------------------------------------------
 // LOAD CONFIG FROM KVS
 // ----------------------------------------------------------
@@ -351,4 +734,4 @@ function persistConfig(onComplete) {
 // EXPORTS
 // ----------------------------------------------------------
 
-export { DEFAULT, C, CFG_KEYS, validateConfig, loadConfig, persistConfig }
+export { DEFAULT, C, CFG_KEYS, validateConfig, isValidSchedule, getBuiltinProfile, loadConfig, persistConfig }
@@ -6,7 +6,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 
 describe('Configuration', () => {
-  let DEFAULT, C, CFG_KEYS, validateConfig, loadConfig
+  let DEFAULT, C, CFG_KEYS, validateConfig, isValidSchedule, getBuiltinProfile, loadConfig
   let mockLoadChunksSeq, mockSyncToKvs, mockSaveAllToKvs
   let loadChunksSeqCallback
 
@@ -36,6 +36,8 @@ describe('Configuration', () => {
     C = module.C
     CFG_KEYS = module.CFG_KEYS
     validateConfig = module.validateConfig
+    isValidSchedule = module.isValidSchedule
+    getBuiltinProfile = module.getBuiltinProfile
     loadConfig = module.loadConfig
 
     for (let k in DEFAULT) {
@@ -85,6 +87,7 @@ describe('Configuration', () => {
     it('should define all MQTT topics', () => {
       expect(DEFAULT.sys_mqttTopic).toBe('fridge/status')
       expect(DEFAULT.sys_mqttCmd).toBe('fridge/command')
+      expect(DEFAULT.sys_mqttEvent).toBe('fridge/event')
     })
 
     it('should have all expected config keys', () => {
@@ -124,6 +127,9 @@ describe('Configuration', () => {
       expect(CFG_KEYS['fridge_cfg_alm']).toBeDefined()
       expect(CFG_KEYS['fridge_cfg_pwr']).toBeDefined()
       expect(CFG_KEYS['fridge_cfg_trb']).toBeDefined()
+      expect(CFG_KEYS['fridge_cfg_sec']).toEqual(['sys_mqttSecret'])
+      expect(CFG_KEYS['fridge_cfg_sch']).toEqual(['sch_windows'])
+      expect(CFG_KEYS['fridge_cfg_pid']).toEqual(['pid_enable', 'pid_kp', 'pid_ki', 'pid_kd', 'pid_windowSec'])
       // Note: gas keys were merged into fridge_cfg_wld to reduce chunk count
     })
 
@@ -253,6 +259,138 @@ describe('Configuration', () => {
       expect(bad).toContain('ctl_targetDeg')
       expect(bad).toContain('cmp_minOnSec')
     })
+
+    it('should revert pid_windowSec if out of range', () => {
+      C.pid_windowSec = 60
+      const bad = validateConfig()
+      expect(bad).toContain('pid_windowSec')
+      expect(C.pid_windowSec).toBe(DEFAULT.pid_windowSec)
+    })
+
+    it('should reject local switch 0 as heater output', () => {
+      C.htr_switchId = 0
+      const bad = validateConfig()
+      expect(bad).toContain('htr_switchId')
+      expect(C.htr_switchId).toBe(DEFAULT.htr_switchId)
+    })
+
+    it('should allow switch 0 on remote heater host', () => {
+      C.htr_switchId = 0
+      C.htr_host = '192.168.1.50'
+      expect(validateConfig()).toEqual([])
+    })
+
+    it('should reject turbo input 0 as door contact', () => {
+      C.dor_inputId = 0
+      const bad = validateConfig()
+      expect(bad).toContain('dor_inputId')
+      expect(C.dor_inputId).toBe(-1)
+
+      C.trb_enable = false
+      C.dor_inputId = 0
+      expect(validateConfig()).toEqual([])
+    })
+
+    it('should revert door escalation window not longer than pause', () => {
+      C.dor_escSec = 600
+      C.dor_pauseSec = 900
+      const bad = validateConfig()
+      expect(bad).toContain('dor_esc_range')
+      expect(C.dor_pauseSec).toBe(DEFAULT.dor_pauseSec)
+      expect(C.dor_escSec).toBe(DEFAULT.dor_escSec)
+    })
+
+    it('should revert low alarm threshold not below high', () => {
+      C.alm_lowDeg = 12
+      const bad = validateConfig()
+      expect(bad).toContain('alm_temp_range')
+      expect(C.alm_lowDeg).toBe(DEFAULT.alm_lowDeg)
+    })
+
+    it('should accept up to 3 http(s) webhook URLs', () => {
+      C.whk_urls = ['http://ntfy.lan/fridge', 'https://gotify.example/message?token=x']
+      expect(validateConfig()).toEqual([])
+    })
+
+    it.each([
+      [['ftp://host']],
+      [['http://a', 'http://b', 'http://c', 'http://d']],
+      [[42]],
+      ['http://a'],
+    ])('should revert invalid webhook URL list %j', (urls) => {
+      C.whk_urls = urls
+      const bad = validateConfig()
+      expect(bad).toContain('whk_urls')
+      expect(C.whk_urls).toEqual([])
+    })
+
+    it('should revert unknown webhook severity and empty template', () => {
+      C.whk_minSev = 'info'
+      C.whk_body = ''
+      const bad = validateConfig()
+      expect(bad).toEqual(expect.arrayContaining(['whk_minSev', 'whk_body']))
+      expect(C.whk_minSev).toBe('critical')
+      expect(C.whk_body).toBe(DEFAULT.whk_body)
+    })
+
+    it('should revert out-of-range food-safety limit', () => {
+      C.alm_limitDeg = 50
+      expect(validateConfig()).toContain('alm_limitDeg')
+      expect(C.alm_limitDeg).toBe(DEFAULT.alm_limitDeg)
+    })
+
+    it('should revert whole schedule if any window is invalid', () => {
+      C.sch_windows = [[127, 600, 900, 3, 0], [127, 600, 960, 3, 0]]
+      const bad = validateConfig()
+      expect(bad).toContain('sch_windows')
+      expect(C.sch_windows).toEqual([])
+    })
+  })
+
+  // ----------------------------------------------------------
+  // SCHEDULE VALIDATION TESTS
+  // ----------------------------------------------------------
+
+  describe('getBuiltinProfile', () => {
+    it.each(['fridge', 'beer', 'wine', 'freezer-lite'])('should define %s with valid values', (name) => {
+      const p = getBuiltinProfile(name)
+      Object.assign(C, p)
+
+      expect(validateConfig()).toEqual([])
+      expect(Object.keys(p).sort()).toEqual(Object.keys(getBuiltinProfile('fridge')).sort())
+    })
+
+    it('should return null for unknown name', () => {
+      expect(getBuiltinProfile('custom')).toBeNull()
+    })
+  })
+
+  describe('isValidSchedule', () => {
+    it('should accept empty and well-formed schedules', () => {
+      expect(isValidSchedule([])).toBe(true)
+      expect(isValidSchedule([[62, 530, 800, 2.5, 0], [1, 2200, 600, 6, 1.5]])).toBe(true)
+    })
+
+    it('should reject more than 8 windows', () => {
+      const w = [127, 0, 100, 4, 0]
+      expect(isValidSchedule(Array(8).fill(w))).toBe(true)
+      expect(isValidSchedule(Array(9).fill(w))).toBe(false)
+    })
+
+    it.each([
+      ['non-array', { a: 1 }],
+      ['short window', [[127, 600, 900, 3]]],
+      ['zero day mask', [[0, 600, 900, 3, 0]]],
+      ['day mask > 127', [[128, 600, 900, 3, 0]]],
+      ['minutes >= 60', [[127, 675, 900, 3, 0]]],
+      ['time > 2359', [[127, 600, 2400, 3, 0]]],
+      ['start equals end', [[127, 600, 600, 3, 0]]],
+      ['target out of range', [[127, 600, 900, 20, 0]]],
+      ['hysteresis out of range', [[127, 600, 900, 3, 0.05]]],
+      ['string field', [[127, '600', 900, 3, 0]]],
+    ])('should reject %s', (name, arr) => {
+      expect(isValidSchedule(arr)).toBe(false)
+    })
   })
 
   // ----------------------------------------------------------
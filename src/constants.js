@@ -19,6 +19,9 @@ let ST = {
   LIMP_COOL: 'LIMP_COOL',   // Blind cycle ON
   TURBO_COOL: 'TURBO_COOL', // Turbo Mode Active (Running)
   TURBO_IDLE: 'TURBO_IDLE',  // Turbo Mode Active (Idle)
+  // #if heater
+  HEATING: 'HEATING',       // Compressor OFF, heater output ON
+  // #endif
 }
 
 // ----------------------------------------------------------
@@ -36,6 +39,9 @@ let RSN = {
   DEFR_SCHED: 'DEFR_SCHED',       // Scheduled defrost
   DEFR_TRIG: 'DEFR_TRIG',         // Defrost just triggered
   DEFR_DYN: 'DEFR_DYN',            // Dynamic defrost active
+  // #if mandefrost
+  DEFR_MAN: 'DEFR_MAN',           // Manual defrost (MQTT command)
+  // #endif
 }
 
 // ----------------------------------------------------------
@@ -48,10 +54,19 @@ let ALM = {
   WELD: 'ALARM_RELAY_WELD',       // Fatal: Relay welded
   LOCKED: 'ALARM_ROTOR_LOCKED',   // Fatal: Motor seized
   HIGH: 'ALARM_HIGH_TEMP',        // Critical: Temp high
+  // #if lowtemp
+  LOW: 'ALARM_LOW_TEMP',          // Critical: Temp low (freezing)
+  // #endif
   FAIL: 'ALARM_SENSOR_FAIL',      // Error: Sensor broken
   STUCK: 'ALARM_SENSOR_STUCK',    // Error: Sensor frozen
   GHOST: 'ALARM_COMP_GHOST',      // Warning: Motor trip (Recoverable)
   COOL: 'ALARM_COOLING_FAIL',      // Warning: Gas Leak / Valve Fail
+  // #if heater
+  HEAT: 'ALARM_HEATER_RUNAWAY',   // Critical: Heater stuck / overshoot
+  // #endif
+  // #if door,dooresc
+  DOOR: 'ALARM_DOOR_OPEN',        // Warning: Door left open (contact input)
+  // #endif
 }
 
 // ----------------------------------------------------------
@@ -69,6 +84,9 @@ let ICO = {
   LIMP_COOL: '⚠️',
   TURBO_COOL: '🚀',
   TURBO_IDLE: '🚀',
+  // #if heater
+  HEATING: '🔥',
+  // #endif
 }
 
 // ----------------------------------------------------------
@@ -33,10 +33,11 @@ describe('Constants', () => {
       expect(ST.LIMP_COOL).toBe('LIMP_COOL')
       expect(ST.TURBO_COOL).toBe('TURBO_COOL')
       expect(ST.TURBO_IDLE).toBe('TURBO_IDLE')
+      expect(ST.HEATING).toBe('HEATING')
     })
 
-    it('should have exactly 9 status values', () => {
-      expect(Object.keys(ST)).toHaveLength(9)
+    it('should have exactly 10 status values', () => {
+      expect(Object.keys(ST)).toHaveLength(10)
     })
   })
 
@@ -55,10 +56,11 @@ describe('Constants', () => {
       expect(RSN.DEFR_SCHED).toBe('DEFR_SCHED')
       expect(RSN.DEFR_TRIG).toBe('DEFR_TRIG')
       expect(RSN.DEFR_DYN).toBe('DEFR_DYN')
+      expect(RSN.DEFR_MAN).toBe('DEFR_MAN')
     })
 
-    it('should have exactly 9 reason values', () => {
-      expect(Object.keys(RSN)).toHaveLength(9)
+    it('should have exactly 10 reason values', () => {
+      expect(Object.keys(RSN)).toHaveLength(10)
     })
   })
 
@@ -76,10 +78,13 @@ describe('Constants', () => {
       expect(ALM.STUCK).toBe('ALARM_SENSOR_STUCK')
       expect(ALM.GHOST).toBe('ALARM_COMP_GHOST')
       expect(ALM.COOL).toBe('ALARM_COOLING_FAIL')
+      expect(ALM.HEAT).toBe('ALARM_HEATER_RUNAWAY')
+      expect(ALM.DOOR).toBe('ALARM_DOOR_OPEN')
+      expect(ALM.LOW).toBe('ALARM_LOW_TEMP')
     })
 
-    it('should have exactly 8 alarm values', () => {
-      expect(Object.keys(ALM)).toHaveLength(8)
+    it('should have exactly 11 alarm values', () => {
+      expect(Object.keys(ALM)).toHaveLength(11)
     })
 
     it('should have unique alarm string values', () => {
@@ -9,7 +9,7 @@ import { C } from './config.js'
 import { S, V, persistState } from './state.js'
 import { ri, r1, r2, r3, formatXmYs } from './utils/math.js'
 import { canTurnOn, canTurnOff, getTimeUntilOnAllowed, getTimeUntilOffAllowed, isMaxRunExceeded, isFreezeProtectionActive } from './protection.js'
-import { getEffectiveHysteresis, handleTurboMode, handleLimpMode, handleDynamicDefrost, isScheduledDefrost, isDoorPauseActive } from './features.js'
+import { getEffectiveTarget, getEffectiveHysteresis, handleTurboMode, handleLimpMode, handleDynamicDefrost, handleManualDefrost, isScheduledDefrost, isDoorPauseActive } from './features.js'
 import { incrementCycleCount } from './metrics.js'
 
 // ----------------------------------------------------------
@@ -30,7 +30,7 @@ function setIdleState(reason) {
 
 // ----------------------------------------------------------
 // THERMOSTAT LOGIC
-// Hysteresis-based temperature control.
+// Hysteresis band, or PI(D) time-proportioning when pid_enable.
 // ----------------------------------------------------------
 
 /**
@@ -48,6 +48,43 @@ function evaluateThermostat(tCtrl, target, hyst) {
   return null // Within band - no change
 }
 
+// #if pid
+/**
+ * updatePidDuty - Advance PI(D) loop by one tick
+ * Integral is clamped to 0-1 so it cannot wind up while saturated.
+ *
+ * @param {number} tCtrl - Control temperature
+ * @param {number} target - Target temperature
+ * @returns {number} Duty fraction (0-1)
+ */
+function updatePidDuty(tCtrl, target) {
+  let dt = C.sys_loopSec
+  let err = tCtrl - target
+  let deriv = V.pid_lastErr === null ? 0 : (err - V.pid_lastErr) / dt
+  V.pid_lastErr = err
+  V.pid_integ = Math.max(0, Math.min(1, V.pid_integ + C.pid_ki * err * dt))
+  let u = C.pid_kp * err + V.pid_integ + C.pid_kd * deriv
+  V.pid_duty = Math.max(0, Math.min(1, u))
+  return V.pid_duty
+}
+
+/**
+ * evaluatePid - Time-proportioning control
+ * Relay is wanted ON for the first duty * pid_windowSec of each window.
+ * Min ON/OFF and max run are still enforced by the callers.
+ *
+ * @param {number} tCtrl - Control temperature
+ * @param {number} target - Target temperature
+ * @param {number} now - Current timestamp (seconds)
+ * @returns {boolean} true=cool, false=idle
+ */
+function evaluatePid(tCtrl, target, now) {
+  let duty = updatePidDuty(tCtrl, target)
+  if (now - V.pid_winStartTs >= C.pid_windowSec) V.pid_winStartTs = now
+  return (now - V.pid_winStartTs) < duty * C.pid_windowSec
+}
+// #endif
+
 // ----------------------------------------------------------
 // RELAY CONTROL
 // Direct relay switching with state management.
@@ -148,18 +185,18 @@ function setRelay(state, now, tAir, tEvap, skipSnap) {
 
 /**
  * determineMode - Main decision engine for relay state
- * Priority order: Fatal > Limp > Defrost > Door > Freeze > MaxRun > Normal
+ * Priority order: Fatal > Limp > Turbo > Door > Manual/Sched Defrost > Freeze > MaxRun > Dyn Defrost > Normal
  *
  * @param {number} tCtrl - Control temperature (smoothed air)
  * @param {number} tEvap - Evaporator temperature
  * @param {number} now - Current timestamp (seconds)
  * @returns {object} { wantOn, status, reason, detail }
  */
-// eslint-disable-next-line complexity -- 9 priority levels in mode determination (fatal/limp/turbo/door/defrost/freeze/maxrun/dynamic/normal)
+// eslint-disable-next-line complexity -- 10 priority levels in mode determination (fatal/limp/turbo/door/manual/sched/freeze/maxrun/dynamic/normal)
 // eslint-disable-next-line sonarjs/cognitive-complexity -- Priority cascade requires sequential evaluation with early returns
 function determineMode(tCtrl, tEvap, now) {
   // Get base target and hysteresis
-  let target = C.ctl_targetDeg
+  let target = getEffectiveTarget()
   let hyst = getEffectiveHysteresis()
 
   // Priority 1: FATAL ALARMS (WELD, LOCKED)
@@ -188,30 +225,43 @@ function determineMode(tCtrl, tEvap, now) {
     return { wantOn: false, status: S.sys_isRelayOn ? ST.WANT_IDLE : ST.IDLE, reason: RSN.PROT_DOOR, detail: 'Door pause' }
   }
 
-  // Priority 5: SCHEDULED DEFROST
+  // #if mandefrost
+  // Priority 5: MANUAL DEFROST (respects min ON via executeSwitchDecision)
+  if (handleManualDefrost(C.sys_loopSec)) {
+    return { wantOn: false, status: S.sys_isRelayOn ? ST.WANT_IDLE : ST.IDLE, reason: RSN.DEFR_MAN, detail: 'Manual defrost: ' + Math.ceil(V.dfr_manRemSec / 60) + 'm left' }
+  }
+  // #endif
+
+  // Priority 6: SCHEDULED DEFROST
   if (isScheduledDefrost()) {
     S.dfr_isActive = false  // Clear dynamic defrost flag during scheduled defrost
     return { wantOn: false, status: S.sys_isRelayOn ? ST.WANT_IDLE : ST.IDLE, reason: RSN.DEFR_SCHED, detail: 'Scheduled defrost' }
   }
 
-  // Priority 6: FREEZE PROTECTION
+  // Priority 7: FREEZE PROTECTION
   if (isFreezeProtectionActive(tCtrl)) {
     return { wantOn: false, status: S.sys_isRelayOn ? ST.WANT_IDLE : ST.IDLE, reason: RSN.PROT_AIR_FRZ, detail: 'Freeze cut' }
   }
 
-  // Priority 7: MAX RUN PROTECTION
+  // Priority 8: MAX RUN PROTECTION
   if (isMaxRunExceeded(now)) {
     return { wantOn: false, status: ST.WANT_IDLE, reason: RSN.PROT_MAX_ON, detail: 'Max run exceeded' }
   }
 
-  // Priority 8: DYNAMIC DEFROST
+  // Priority 9: DYNAMIC DEFROST
   if (handleDynamicDefrost(tEvap)) {
     return { wantOn: false, status: S.sys_isRelayOn ? ST.WANT_IDLE : ST.IDLE, reason: RSN.DEFR_DYN, detail: 'Dynamic defrost' }
   }
 
-  // Priority 9: NORMAL THERMOSTAT
+  // Priority 10: NORMAL THERMOSTAT (PID time-proportioning when enabled, turbo stays bang-bang)
   let thermostat = evaluateThermostat(tCtrl, target, hyst)
   let wantOn = (thermostat !== null) ? thermostat : S.sys_isRelayOn
+  // #if pid
+  if (C.pid_enable && !turbo && tCtrl !== null) {
+    wantOn = evaluatePid(tCtrl, target, now)
+    detail = 'PID ' + ri(V.pid_duty * 100) + '%'
+  }
+  // #endif
 
   // Determine status based on turbo and relay state
   let status
@@ -297,6 +347,8 @@ function executeSwitchDecision(wantOn, now, tAir, tEvap, isLimp) {
 export {
   setIdleState,
   evaluateThermostat,
+  updatePidDuty,
+  evaluatePid,
   setRelay,
   determineMode,
   executeSwitchDecision,
@@ -6,7 +6,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 
 describe('Control', () => {
-  let setIdleState, evaluateThermostat, setRelay, determineMode, executeSwitchDecision
+  let setIdleState, evaluateThermostat, updatePidDuty, evaluatePid, setRelay, determineMode, executeSwitchDecision
   let mockS, mockV, mockC, mockST, mockRSN, mockALM
 
   beforeEach(async () => {
@@ -34,6 +34,7 @@ describe('Control', () => {
       PROT_DOOR: 'PROT_DOOR_OPEN',
       DEFR_SCHED: 'DEFR_SCHED',
       DEFR_DYN: 'DEFR_DYN',
+      DEFR_MAN: 'DEFR_MAN',
     }
 
     mockALM = {
@@ -64,6 +65,10 @@ describe('Control', () => {
       sns_wasErr: false,
       hlt_startDeg: 0,
       hlt_lastScore: 0,
+      pid_integ: 0,
+      pid_lastErr: null,
+      pid_duty: 0,
+      pid_winStartTs: 0,
     }
 
     // Create mock config
@@ -72,6 +77,11 @@ describe('Control', () => {
       ctl_targetDeg: 4.0,
       cmp_freezeCutDeg: -2.0,
       cmp_maxRunSec: 3600,
+      pid_enable: false,
+      pid_kp: 0.5,
+      pid_ki: 0.001,
+      pid_kd: 0,
+      pid_windowSec: 1200,
     }
 
     // Mock global print
@@ -115,6 +125,7 @@ describe('Control', () => {
       isMaxRunExceeded: vi.fn(() => false),
     }))
     vi.doMock('./features.js', () => ({
+      getEffectiveTarget: vi.fn(() => mockC.ctl_targetDeg),
       getEffectiveHysteresis: vi.fn(() => 0.5),
       handleTurboMode: vi.fn(() => null),
       handleLimpMode: vi.fn(() => ({
@@ -123,6 +134,7 @@ describe('Control', () => {
         detail: 'Limp off',
       })),
       handleDynamicDefrost: vi.fn(() => false),
+      handleManualDefrost: vi.fn(() => false),
       isScheduledDefrost: vi.fn(() => false),
       isDoorPauseActive: vi.fn(() => false),
     }))
@@ -133,6 +145,8 @@ describe('Control', () => {
     const module = await import('./control.js')
     setIdleState = module.setIdleState
     evaluateThermostat = module.evaluateThermostat
+    updatePidDuty = module.updatePidDuty
+    evaluatePid = module.evaluatePid
     setRelay = module.setRelay
     determineMode = module.determineMode
     executeSwitchDecision = module.executeSwitchDecision
@@ -187,6 +201,66 @@ describe('Control', () => {
     })
   })
 
+  // ----------------------------------------------------------
+  // PID CONTROL TESTS
+  // ----------------------------------------------------------
+
+  describe('PID control', () => {
+    it('should compute proportional plus integral duty', () => {
+      // err 1.0: P = 0.5, I = 0.001 * 1.0 * 5s = 0.005
+      expect(updatePidDuty(5.0, 4.0)).toBeCloseTo(0.505)
+      expect(mockV.pid_lastErr).toBe(1.0)
+    })
+
+    it('should add derivative term from previous error', () => {
+      mockC.pid_kd = 10
+      mockC.pid_ki = 0
+      updatePidDuty(4.5, 4.0)
+
+      // err 0.5 -> 0.6 over 5s: P = 0.3, D = 10 * 0.02 = 0.2
+      expect(updatePidDuty(4.6, 4.0)).toBeCloseTo(0.5)
+    })
+
+    it('should clamp duty and integral to 0-1', () => {
+      mockV.pid_integ = 0.99
+      expect(updatePidDuty(10.0, 4.0)).toBe(1)
+      expect(mockV.pid_integ).toBe(1)
+
+      expect(updatePidDuty(-5.0, 4.0)).toBe(0)
+      expect(mockV.pid_integ).toBeGreaterThanOrEqual(0)
+    })
+
+    it('should want ON for duty fraction of window', () => {
+      mockC.pid_ki = 0
+      // err 1.0 -> duty 0.5 -> ON for first 600s of 1200s window
+      expect(evaluatePid(5.0, 4.0, 10000)).toBe(true)
+      expect(mockV.pid_winStartTs).toBe(10000)
+      expect(evaluatePid(5.0, 4.0, 10599)).toBe(true)
+      expect(evaluatePid(5.0, 4.0, 10600)).toBe(false)
+      expect(evaluatePid(5.0, 4.0, 11200)).toBe(true)
+      expect(mockV.pid_winStartTs).toBe(11200)
+    })
+
+    it('should use PID in determineMode when enabled', () => {
+      mockC.pid_enable = true
+      mockC.pid_ki = 0
+      mockV.pid_winStartTs = 1000000
+      // Within hysteresis band (bang-bang = no change) but duty 0.2 -> ON
+      const result = determineMode(4.4, -10.0, 1000100)
+
+      expect(result.wantOn).toBe(true)
+      expect(result.detail).toBe('PID 20%')
+    })
+
+    it('should keep bang-bang thermostat when disabled', () => {
+      mockV.pid_winStartTs = 1000000
+      const result = determineMode(4.4, -10.0, 1000100)
+
+      expect(result.wantOn).toBe(false)
+      expect(mockV.pid_duty).toBe(0)
+    })
+  })
+
   // ----------------------------------------------------------
   // SET RELAY TESTS
   // ----------------------------------------------------------
@@ -427,10 +501,12 @@ describe('Control', () => {
         isMaxRunExceeded: vi.fn(() => false),
       }))
       vi.doMock('./features.js', () => ({
+        getEffectiveTarget: vi.fn(() => mockC.ctl_targetDeg),
         getEffectiveHysteresis: vi.fn(() => 0.5),
         handleTurboMode: vi.fn(() => null),
         handleLimpMode: vi.fn(() => ({ wantOn: false, status: mockST.LIMP_IDLE, detail: 'Limp off' })),
         handleDynamicDefrost: vi.fn(() => false),
+        handleManualDefrost: vi.fn(() => false),
         isScheduledDefrost: vi.fn(() => false),
         isDoorPauseActive: vi.fn(() => true),  // Door pause active
       }))
@@ -463,10 +539,12 @@ describe('Control', () => {
         isMaxRunExceeded: vi.fn(() => false),
       }))
       vi.doMock('./features.js', () => ({
+        getEffectiveTarget: vi.fn(() => mockC.ctl_targetDeg),
         getEffectiveHysteresis: vi.fn(() => 0.5),
         handleTurboMode: vi.fn(() => null),
         handleLimpMode: vi.fn(() => ({ wantOn: false, status: mockST.LIMP_IDLE, detail: 'Limp off' })),
         handleDynamicDefrost: vi.fn(() => false),
+        handleManualDefrost: vi.fn(() => false),
         isScheduledDefrost: vi.fn(() => true),  // Scheduled defrost active
         isDoorPauseActive: vi.fn(() => false),
       }))
@@ -481,6 +559,48 @@ describe('Control', () => {
       expect(mockS.dfr_isActive).toBe(false)  // Cleared during scheduled defrost
     })
 
+    it('should return manual defrost ahead of scheduled defrost', async () => {
+      vi.resetModules()
+
+      vi.doMock('./constants.js', () => ({ ST: mockST, RSN: mockRSN, ALM: mockALM }))
+      vi.doMock('./config.js', () => ({ C: mockC }))
+      vi.doMock('./state.js', () => ({ S: mockS, V: mockV, persistState: vi.fn() }))
+      vi.doMock('./utils/math.js', () => ({
+        ri: vi.fn((v) => Math.floor(v)),
+        r2: vi.fn((v) => Math.round(v * 100) / 100),
+        r3: vi.fn((v) => Math.round(v * 1000) / 1000),
+      }))
+      vi.doMock('./protection.js', () => ({
+        canTurnOn: vi.fn(() => true),
+        canTurnOff: vi.fn(() => true),
+        getTimeUntilOnAllowed: vi.fn(() => 0),
+        getTimeUntilOffAllowed: vi.fn(() => 0),
+        isFreezeProtectionActive: vi.fn(() => false),
+        isMaxRunExceeded: vi.fn(() => false),
+      }))
+      vi.doMock('./features.js', () => ({
+        getEffectiveTarget: vi.fn(() => mockC.ctl_targetDeg),
+        getEffectiveHysteresis: vi.fn(() => 0.5),
+        handleTurboMode: vi.fn(() => null),
+        handleLimpMode: vi.fn(() => ({ wantOn: false, status: mockST.LIMP_IDLE, detail: 'Limp off' })),
+        handleDynamicDefrost: vi.fn(() => false),
+        handleManualDefrost: vi.fn(() => true),  // Manual defrost running
+        isScheduledDefrost: vi.fn(() => true),
+        isDoorPauseActive: vi.fn(() => false),
+      }))
+      vi.doMock('./metrics.js', () => ({ incrementCycleCount: vi.fn() }))
+
+      const module = await import('./control.js')
+      mockV.dfr_manRemSec = 900
+      mockS.sys_isRelayOn = true
+      const result = module.determineMode(5.0, -10.0, 1000000)
+
+      expect(result.wantOn).toBe(false)
+      expect(result.status).toBe(mockST.WANT_IDLE)
+      expect(result.reason).toBe('DEFR_MAN')
+      expect(result.detail).toBe('Manual defrost: 15m left')
+    })
+
     it('should return max run exceeded when compressor ran too long', async () => {
       vi.resetModules()
 
@@ -501,10 +621,12 @@ describe('Control', () => {
         isMaxRunExceeded: vi.fn(() => true),  // Max run exceeded
       }))
       vi.doMock('./features.js', () => ({
+        getEffectiveTarget: vi.fn(() => mockC.ctl_targetDeg),
         getEffectiveHysteresis: vi.fn(() => 0.5),
         handleTurboMode: vi.fn(() => null),
         handleLimpMode: vi.fn(() => ({ wantOn: false, status: mockST.LIMP_IDLE, detail: 'Limp off' })),
         handleDynamicDefrost: vi.fn(() => false),
+        handleManualDefrost: vi.fn(() => false),
         isScheduledDefrost: vi.fn(() => false),
         isDoorPauseActive: vi.fn(() => false),
       }))
@@ -538,10 +660,12 @@ describe('Control', () => {
         isMaxRunExceeded: vi.fn(() => false),
       }))
       vi.doMock('./features.js', () => ({
+        getEffectiveTarget: vi.fn(() => mockC.ctl_targetDeg),
         getEffectiveHysteresis: vi.fn(() => 0.5),
         handleTurboMode: vi.fn(() => null),
         handleLimpMode: vi.fn(() => ({ wantOn: false, status: mockST.LIMP_IDLE, detail: 'Limp off' })),
-        handleDynamicDefrost: vi.fn(() => true),  // Dynamic defrost active
+        handleDynamicDefrost: vi.fn(() => true),
+        handleManualDefrost: vi.fn(() => false),  // Dynamic defrost active
         isScheduledDefrost: vi.fn(() => false),
         isDoorPauseActive: vi.fn(() => false),
       }))
@@ -574,6 +698,7 @@ describe('Control', () => {
         isMaxRunExceeded: vi.fn(() => false),
       }))
       vi.doMock('./features.js', () => ({
+        getEffectiveTarget: vi.fn(() => mockC.ctl_targetDeg),
         getEffectiveHysteresis: vi.fn(() => 0.5),
         handleTurboMode: vi.fn(() => ({
           target: 2.0,  // Override target
@@ -582,6 +707,7 @@ describe('Control', () => {
         })),
         handleLimpMode: vi.fn(() => ({ wantOn: false, status: mockST.LIMP_IDLE, detail: 'Limp off' })),
         handleDynamicDefrost: vi.fn(() => false),
+        handleManualDefrost: vi.fn(() => false),
         isScheduledDefrost: vi.fn(() => false),
         isDoorPauseActive: vi.fn(() => false),
       }))
@@ -706,10 +832,12 @@ describe('Control', () => {
         isMaxRunExceeded: vi.fn(() => false),
       }))
       vi.doMock('./features.js', () => ({
+        getEffectiveTarget: vi.fn(() => mockC.ctl_targetDeg),
         getEffectiveHysteresis: vi.fn(() => 0.5),
         handleTurboMode: vi.fn(() => null),
         handleLimpMode: vi.fn(() => ({ wantOn: false, status: mockST.LIMP_IDLE, detail: 'Limp off' })),
         handleDynamicDefrost: vi.fn(() => false),
+        handleManualDefrost: vi.fn(() => false),
         isScheduledDefrost: vi.fn(() => false),
         isDoorPauseActive: vi.fn(() => false),
       }))
@@ -753,10 +881,12 @@ describe('Control', () => {
         isMaxRunExceeded: vi.fn(() => false),
       }))
       vi.doMock('./features.js', () => ({
+        getEffectiveTarget: vi.fn(() => mockC.ctl_targetDeg),
         getEffectiveHysteresis: vi.fn(() => 0.5),
         handleTurboMode: vi.fn(() => null),
         handleLimpMode: vi.fn(() => ({ wantOn: false, status: mockST.LIMP_IDLE, detail: 'Limp off' })),
         handleDynamicDefrost: vi.fn(() => false),
+        handleManualDefrost: vi.fn(() => false),
         isScheduledDefrost: vi.fn(() => false),
         isDoorPauseActive: vi.fn(() => false),
       }))
@@ -0,0 +1,148 @@
+// ==============================================================================
+// EXCURSION LOG
+// HACCP-style record of every period the smoothed air temperature spent
+// above alm_limitDeg: start, end, peak, and what was going on meanwhile
+// (door, defrost, alarm). Bounded ring in KVS, exported as JSON or CSV.
+// ==============================================================================
+
+import { ALM } from './constants.js'
+import { C } from './config.js'
+import { S, V, persistState } from './state.js'
+import { r1, ri } from './utils/math.js'
+import { isScheduledDefrost, isManualDefrost, isDoorOpen } from './features.js'
+
+// Closed entries kept in exc_logArr, newest first (~30 bytes each)
+let EXC_LOG_MAX = 20
+
+// Close only below alm_limitDeg minus this, so drift around the limit
+// does not log a run of tiny excursions
+let EXC_HYST_DEG = 0.5
+
+// Cause bits, OR-ed over the whole excursion
+let EXC_DOOR = 1
+let EXC_DEFROST = 2
+let EXC_ALARM = 4
+
+// ----------------------------------------------------------
+// RECORDER
+// ----------------------------------------------------------
+
+/**
+ * getExcCause - Cause bits for the current tick
+ *
+ * @returns {number} - EXC_DOOR | EXC_DEFROST | EXC_ALARM
+ */
+function getExcCause() {
+  let cause = 0
+  if (isDoorOpen()) cause = cause | EXC_DOOR
+  if (S.dfr_isActive || isScheduledDefrost() || isManualDefrost()) cause = cause | EXC_DEFROST
+  if (V.sys_alarm !== ALM.NONE) cause = cause | EXC_ALARM
+  return cause
+}
+
+/**
+ * closeExcursion - Store the open excursion, reset it and save state
+ * Saved at once so a closed record does not wait for the periodic save.
+ *
+ * @param {number} now - Current time (seconds)
+ */
+function closeExcursion(now) {
+  let rec = [S.exc_startTs, ri(now), r1(S.exc_peakDeg), S.exc_cause]
+
+  // Add to front (manual - unshift not in Shelly)
+  let arr = S.exc_logArr
+  let len = arr.length < EXC_LOG_MAX ? arr.length + 1 : EXC_LOG_MAX
+  for (let i = len - 1; i > 0; i--) arr[i] = arr[i - 1]
+  arr[0] = rec
+
+  print('✅ EXC   : Closed after ' + (rec[1] - rec[0]) + 's, peak ' + rec[2] + 'C')
+  S.exc_startTs = 0
+  S.exc_peakDeg = 0
+  S.exc_cause = 0
+  persistState()
+}
+
+/**
+ * updateExcursion - Open, extend or close the excursion entry
+ * Opens when air rises above alm_limitDeg, closes once it is back below
+ * alm_limitDeg - EXC_HYST_DEG. Ticks without valid sensors neither open
+ * nor close. Opening and extending are saved by the periodic state save.
+ *
+ * @param {number|null} tAir - Smoothed air temp, null when sensors invalid
+ * @param {number} now - Current time (seconds)
+ */
+function updateExcursion(tAir, now) {
+  if (typeof tAir !== 'number') return
+  if (S.exc_startTs === 0) {
+    if (tAir <= C.alm_limitDeg) return
+    S.exc_startTs = ri(now)
+    S.exc_peakDeg = tAir
+    S.exc_cause = 0
+    print('⚠️ EXC   : Air ' + tAir.toFixed(1) + 'C above limit ' + C.alm_limitDeg + 'C')
+  } else if (tAir < C.alm_limitDeg - EXC_HYST_DEG) {
+    closeExcursion(now)
+    return
+  }
+  if (tAir > S.exc_peakDeg) S.exc_peakDeg = tAir
+  S.exc_cause = S.exc_cause | getExcCause()
+}
+
+// ----------------------------------------------------------
+// EXPORT
+// ----------------------------------------------------------
+
+/**
+ * causeText - Cause bits as text
+ *
+ * @param {number} cause - Cause bits
+ * @returns {string} - e.g. 'door+alarm', '' if none
+ */
+function causeText(cause) {
+  let out = []
+  if (cause & EXC_DOOR) out.push('door')
+  if (cause & EXC_DEFROST) out.push('defrost')
+  if (cause & EXC_ALARM) out.push('alarm')
+  return out.join('+')
+}
+
+/**
+ * getExcursions - Logged excursions, newest first
+ * An open excursion is listed first with end null.
+ *
+ * @param {number} now - Current time (seconds)
+ * @returns {object[]} - { start, end, dur, peak, cause }
+ */
+function getExcursions(now) {
+  let out = []
+  if (S.exc_startTs > 0) {
+    out.push({ start: S.exc_startTs, end: null, dur: ri(now) - S.exc_startTs, peak: r1(S.exc_peakDeg),
+      cause: causeText(S.exc_cause) })
+  }
+  for (let i = 0; i < S.exc_logArr.length; i++) {
+    let r = S.exc_logArr[i]
+    out.push({ start: r[0], end: r[1], dur: r[1] - r[0], peak: r[2], cause: causeText(r[3]) })
+  }
+  return out
+}
+
+/**
+ * getExcursionsCsv - Logged excursions as CSV with header row
+ *
+ * @param {number} now - Current time (seconds)
+ * @returns {string} - 'start,end,dur,peak,cause' lines, end empty if open
+ */
+function getExcursionsCsv(now) {
+  let list = getExcursions(now)
+  let csv = 'start,end,dur,peak,cause\n'
+  for (let i = 0; i < list.length; i++) {
+    let e = list[i]
+    csv += e.start + ',' + (e.end === null ? '' : e.end) + ',' + e.dur + ',' + e.peak + ',' + e.cause + '\n'
+  }
+  return csv
+}
+
+export {
+  updateExcursion,
+  getExcursions,
+  getExcursionsCsv,
+}
@@ -0,0 +1,175 @@
+// ==============================================================================
+// EXCURSION LOG TESTS
+// Validates open above the limit, close below it with hysteresis, peak
+// and cause tracking, ring bound,
+// and JSON / CSV export.
+// ==============================================================================
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+describe('Excursion Log', () => {
+  let updateExcursion, getExcursions, getExcursionsCsv
+  let mockS, mockV, mockIsScheduledDefrost, mockPersistState
+
+  beforeEach(async () => {
+    vi.resetModules()
+
+    mockS = {
+      exc_logArr: [],
+      exc_startTs: 0,
+      exc_peakDeg: 0,
+      exc_cause: 0,
+      dfr_isActive: false,
+    }
+    mockV = {
+      sys_alarm: 'NONE',
+      dor_hasContact: false,
+      dor_isOpen: false,
+      dor_pauseRemSec: 0,
+    }
+    mockIsScheduledDefrost = vi.fn(() => false)
+    mockPersistState = vi.fn()
+
+    global.print = vi.fn()
+
+    vi.doMock('./constants.js', () => ({ ALM: { NONE: 'NONE' } }))
+    vi.doMock('./config.js', () => ({ C: { alm_limitDeg: 5 } }))
+    vi.doMock('./state.js', () => ({ S: mockS, V: mockV, persistState: mockPersistState }))
+    vi.doMock('./utils/math.js', () => ({
+      r1: vi.fn((v) => Math.round(v * 10) / 10),
+      ri: vi.fn((v) => Math.floor(v)),
+    }))
+    vi.doMock('./features.js', () => ({
+      isScheduledDefrost: mockIsScheduledDefrost,
+      isManualDefrost: vi.fn(() => false),
+      isDoorOpen: vi.fn(() => (mockV.dor_hasContact ? mockV.dor_isOpen : mockV.dor_pauseRemSec > 0)),
+    }))
+
+    const module = await import('./excursion.js')
+    updateExcursion = module.updateExcursion
+    getExcursions = module.getExcursions
+    getExcursionsCsv = module.getExcursionsCsv
+  })
+
+  // ----------------------------------------------------------
+  // RECORDER
+  // ----------------------------------------------------------
+
+  describe('updateExcursion', () => {
+    it('should stay closed at or below the limit', () => {
+      updateExcursion(5, 1000)
+
+      expect(mockS.exc_startTs).toBe(0)
+    })
+
+    it('should open above the limit', () => {
+      updateExcursion(5.2, 1000.5)
+
+      expect(mockS.exc_startTs).toBe(1000)
+      expect(mockS.exc_peakDeg).toBe(5.2)
+    })
+
+    it('should track the peak and close on return', () => {
+      updateExcursion(6, 1000)
+      updateExcursion(7.34, 1005)
+      updateExcursion(6.5, 1010)
+      updateExcursion(4.4, 1600)
+
+      expect(mockS.exc_logArr).toEqual([[1000, 1600, 7.3, 0]])
+      expect(mockS.exc_startTs).toBe(0)
+    })
+
+    it('should save state when an excursion closes, not while it is open', () => {
+      updateExcursion(6, 1000)
+      updateExcursion(7, 1005)
+      expect(mockPersistState).not.toHaveBeenCalled()
+
+      updateExcursion(4.4, 1600)
+
+      expect(mockPersistState).toHaveBeenCalledTimes(1)
+    })
+
+    it('should stay open while drifting around the limit', () => {
+      for (let i = 0; i < 10; i++) {
+        updateExcursion(5.1, 1000 + i * 20)
+        updateExcursion(4.6, 1010 + i * 20)
+      }
+
+      expect(mockS.exc_startTs).toBe(1000)
+      expect(mockS.exc_logArr).toEqual([])
+    })
+
+    it('should ignore ticks without valid sensors', () => {
+      updateExcursion(6, 1000)
+      updateExcursion(null, 1005)
+
+      expect(mockS.exc_startTs).toBe(1000)
+      expect(mockS.exc_logArr).toEqual([])
+    })
+
+    it('should collect causes seen during the excursion', () => {
+      mockV.dor_pauseRemSec = 30
+      updateExcursion(6, 1000)
+      mockV.dor_pauseRemSec = 0
+      mockIsScheduledDefrost.mockReturnValue(true)
+      updateExcursion(6, 1005)
+      mockV.sys_alarm = 'ALARM_HIGH_TEMP'
+      updateExcursion(6, 1010)
+
+      expect(mockS.exc_cause).toBe(7)
+    })
+
+    it('should use the door contact when fitted', () => {
+      mockV.dor_hasContact = true
+      mockV.dor_pauseRemSec = 30
+      updateExcursion(6, 1000)
+
+      expect(mockS.exc_cause).toBe(0)
+    })
+
+    it('should keep newest first and cap at 20 entries', () => {
+      for (let i = 0; i < 22; i++) {
+        updateExcursion(6, i * 100)
+        updateExcursion(4, i * 100 + 50)
+      }
+
+      expect(mockS.exc_logArr.length).toBe(20)
+      expect(mockS.exc_logArr[0][0]).toBe(2100)
+      expect(mockS.exc_logArr[19][0]).toBe(200)
+    })
+  })
+
+  // ----------------------------------------------------------
+  // EXPORT
+  // ----------------------------------------------------------
+
+  describe('getExcursions', () => {
+    it('should list open excursion first, then closed ones', () => {
+      mockS.exc_logArr = [[1000, 1600, 7.3, 5]]
+      mockS.exc_startTs = 2000
+      mockS.exc_peakDeg = 6.04
+      mockS.exc_cause = 2
+
+      expect(getExcursions(2300)).toEqual([
+        { start: 2000, end: null, dur: 300, peak: 6, cause: 'defrost' },
+        { start: 1000, end: 1600, dur: 600, peak: 7.3, cause: 'door+alarm' },
+      ])
+    })
+
+    it('should return empty list without excursions', () => {
+      expect(getExcursions(1000)).toEqual([])
+    })
+  })
+
+  describe('getExcursionsCsv', () => {
+    it('should render header and one row per excursion', () => {
+      mockS.exc_logArr = [[1000, 1600, 7.3, 0]]
+      mockS.exc_startTs = 2000
+      mockS.exc_peakDeg = 6
+      mockS.exc_cause = 1
+
+      expect(getExcursionsCsv(2300)).toBe(
+        'start,end,dur,peak,cause\n2000,,300,6,door\n1000,1600,600,7.3,\n')
+    })
+  })
+})
@@ -1,10 +1,11 @@
 // ==============================================================================
 // OPTIONAL FEATURES
-// Door detection, defrost, turbo mode, limp mode, and adaptive hysteresis.
+// Setpoint schedule, vacation mode, door detection, defrost, turbo mode,
+// limp mode, and adaptive hysteresis.
 // All features can be enabled/disabled via config.
 // ==============================================================================
 
-import { ST, ADAPT } from './constants.js'
+import { ST, ALM, ADAPT } from './constants.js'
 import { C } from './config.js'
 import { S, V, persistState } from './state.js'
 import { r2 } from './utils/math.js'
@@ -12,6 +13,126 @@ import { r2 } from './utils/math.js'
 // Module-local timer for defrost dwell period
 let defr_dwellTimer = 0
 
+// ----------------------------------------------------------
+// SETPOINT SCHEDULE
+// Time windows overriding target (and optionally hysteresis).
+// ----------------------------------------------------------
+
+// #if schedule
+/**
+ * isWindowActive - Check if schedule window covers day/time
+ * Overnight windows (start > end) belong to the day they start on.
+ *
+ * @param {number[]} w - [dayMask, startHHMM, endHHMM, targetDeg, hystDeg]
+ * @param {number} day - Day of week (0 = Sunday)
+ * @param {number} t - Time of day as HHMM
+ * @returns {boolean} True if window active
+ */
+function isWindowActive(w, day, t) {
+  if (w[1] < w[2]) return ((w[0] >> day) & 1) === 1 && t >= w[1] && t < w[2]
+  if (t >= w[1]) return ((w[0] >> day) & 1) === 1
+  if (t < w[2]) return ((w[0] >> ((day + 6) % 7)) & 1) === 1
+  return false
+}
+
+/**
+ * getActiveWindow - Find first schedule window covering local time
+ * Creates fresh Date internally - mJS loses Date prototype in callbacks.
+ *
+ * @returns {number[]|null} Active window or null
+ */
+function getActiveWindow() {
+  let w = C.sch_windows
+  if (!w || w.length === 0) return null
+  let d = new Date()
+  let day = d.getDay()
+  let t = d.getHours() * 100 + d.getMinutes()
+  for (let i = 0; i < w.length; i++) {
+    if (isWindowActive(w[i], day, t)) return w[i]
+  }
+  return null
+}
+// #endif
+
+/**
+ * getEffectiveTarget - Get current target temperature
+ * Active schedule window target, else ctl_targetDeg; raised in vacation.
+ *
+ * @returns {number} Target temperature
+ */
+function getEffectiveTarget() {
+  let t = C.ctl_targetDeg
+  // #if schedule
+  let w = getActiveWindow()
+  if (w) t = w[3]
+  // #endif
+  // #if vacation
+  if (isVacation()) t += C.vac_targetAddDeg
+  // #endif
+  return t
+}
+
+// ----------------------------------------------------------
+// VACATION MODE
+// Relaxed band and reduced reporting while away.
+// Safety checks (alarms, protection, defrost) are unaffected.
+// ----------------------------------------------------------
+
+// #if vacation
+/**
+ * isVacation - Check if vacation mode is active
+ *
+ * @returns {boolean} True while vacation mode on
+ */
+function isVacation() {
+  return S.vac_isActive === true
+}
+
+/**
+ * startVacation - Enter vacation mode
+ * Cancels turbo and any door pause, both disabled while away.
+ *
+ * @param {number} untilTs - End timestamp (seconds), 0 = until cancelled
+ */
+function startVacation(untilTs) {
+  S.vac_isActive = true
+  S.vac_untilTs = untilTs
+  V.trb_isActive = false
+  V.trb_remSec = 0
+  V.dor_pauseRemSec = 0
+  // #if dooresc
+  V.dor_epiTs = 0
+  V.dor_isEsc = false
+  // #endif
+  persistState()
+  print('✅ VAC Vacation mode: ON' + (untilTs > 0 ? ' until ts ' + untilTs : ' until cancelled'))
+}
+
+/**
+ * stopVacation - Leave vacation mode
+ * @returns {boolean} True if vacation mode was active
+ */
+function stopVacation() {
+  if (!isVacation()) return false
+  S.vac_isActive = false
+  S.vac_untilTs = 0
+  persistState()
+  print('✅ VAC Vacation mode: OFF')
+  return true
+}
+
+/**
+ * checkVacationExpiry - End vacation once its end time passes
+ * @param {number} now - Current timestamp (seconds)
+ */
+function checkVacationExpiry(now) {
+  if (isVacation() && S.vac_untilTs > 0 && now >= S.vac_untilTs) {
+    print('ℹ️ VAC End date reached')
+    stopVacation()
+  }
+}
+// #endif
+
 // ----------------------------------------------------------
 // ADAPTIVE HYSTERESIS
 // Dynamically adjusts temperature band based on cycle metrics.
@@ -19,17 +140,25 @@ let defr_dwellTimer = 0
 
 /**
  * getEffectiveHysteresis - Get current hysteresis value
- * Returns base value when adaptive disabled, bounded adaptive otherwise.
+ * Active schedule window hysteresis wins; otherwise base value when
+ * adaptive disabled, bounded adaptive otherwise. Vacation widens the
+ * result by vac_hystAddDeg.
  *
  * @returns {number} Current hysteresis value
  */
 function getEffectiveHysteresis() {
   // When adaptive is disabled, use base hysteresis from config
-  if (!C.adt_enable) return C.ctl_hystDeg
+  let h = C.ctl_hystDeg
   // Adaptive mode: bound within configured limits
-  if (S.adt_hystDeg > C.adt_hystMaxDeg) return C.adt_hystMaxDeg
-  if (S.adt_hystDeg < C.adt_hystMinDeg) return C.adt_hystMinDeg
-  return S.adt_hystDeg
+  if (C.adt_enable) h = Math.min(Math.max(S.adt_hystDeg, C.adt_hystMinDeg), C.adt_hystMaxDeg)
+  // #if schedule
+  let w = getActiveWindow()
+  if (w && w[4] > 0) h = w[4]
+  // #endif
+  // #if vacation
+  if (isVacation()) h += C.vac_hystAddDeg
+  // #endif
+  return h
 }
 
 /**
@@ -47,6 +176,9 @@ function adaptHysteresis(avgOn, avgOff, cycleCount) {
   // === GUARDS ===
   if (V.trb_isActive) return null
   if (!C.adt_enable) return null
+  // #if pid
+  if (C.pid_enable) return null
+  // #endif
   if (cycleCount < 1) return null
 
   // === METRICS ===
@@ -72,7 +204,7 @@ function adaptHysteresis(avgOn, avgOff, cycleCount) {
 
   // === FREEZE PROTECTION GUARD ===
   let canWiden = true
-  let newLower = C.ctl_targetDeg - (S.adt_hystDeg + 0.1)
+  let newLower = getEffectiveTarget() - (S.adt_hystDeg + 0.1)
   if (newLower <= C.cmp_freezeCutDeg + ADAPT.FREEZE_MARGIN_DEG) {
     canWiden = false
   }
@@ -180,6 +312,9 @@ function checkTurboSwitch(switchState) {
   V.trb_prevSw = switchState
 
   if (!C.trb_enable) return false
+  // #if vacation
+  if (isVacation()) return false
+  // #endif
 
   let activated = false
   if (switchState && wasLow) {
@@ -218,12 +353,100 @@ function handleTurboMode(dt) {
 
 // ----------------------------------------------------------
 // DOOR DETECTION
-// Detects rapid temperature rise indicating door open.
+// Reed contact on dor_inputId when wired, otherwise rapid temperature rise.
 // ----------------------------------------------------------
 
+// #if door
+/**
+ * checkDoorContact - Track door contact input edges
+ * Opening starts the pause timer (capped at dor_pauseSec) and counts the
+ * opening; closing ends the pause and adds the open time to the total.
+ * Vacation skips the pause only. Unreadable input falls back to dP/dt.
+ *
+ * @param {number} now - Current timestamp (seconds)
+ */
+function checkDoorContact(now) {
+  V.dor_hasContact = false
+  let inp = (C.dor_enable && C.dor_inputId >= 0) ? Shelly.getComponentStatus('Input', C.dor_inputId) : null
+  if (!inp || typeof inp.state !== 'boolean') {
+    V.dor_isOpen = false
+    return
+  }
+  V.dor_hasContact = true
+  if (inp.state === V.dor_isOpen) return
+
+  V.dor_isOpen = inp.state
+  if (inp.state) {
+    V.dor_openTs = now
+    V.dor_pauseRemSec = C.dor_pauseSec
+    // #if vacation
+    if (isVacation()) V.dor_pauseRemSec = 0
+    // #endif
+    S.dor_openCnt++
+    print('DOOR 🚪 Contact open')
+  } else {
+    S.dor_openTotalSec += now - V.dor_openTs
+    V.dor_pauseRemSec = 0
+    print('DOOR 🚪 Contact closed after ' + (now - V.dor_openTs) + 's')
+  }
+}
+// #endif
+
+// #if door,dooresc
+/**
+ * applyDoorAlarm - Raise door-left-open alarm
+ * Contact open past dor_alarmSec, or escalated rate episode without contact.
+ * Called after clearNonFatalAlarms; lowest priority of the re-applied alarms.
+ *
+ * @param {number} now - Current timestamp (seconds)
+ */
+function applyDoorAlarm(now) {
+  let isLeftOpen = false
+  // #if dooresc
+  isLeftOpen = V.dor_isEsc
+  // #endif
+  // #if door
+  if (V.dor_hasContact) isLeftOpen = V.dor_isOpen && now - V.dor_openTs >= C.dor_alarmSec
+  // #endif
+  if (isLeftOpen && V.sys_alarm === ALM.NONE) V.sys_alarm = ALM.DOOR
+}
+// #endif
+
+// #if dooresc
+/**
+ * trackDoorEpisode - Escalate rate-detected door events
+ * An episode starts at the first event and ends once no pause is running and
+ * air is back within 0.5C of its pre-event value. Still open after dor_escSec
+ * (events re-triggering or air still rising) means the door is ajar: escalate
+ * and stop pausing so cooling can fight the load.
+ *
+ * @param {number} tAirMedian - Current median air temperature
+ * @param {boolean} detected - True if event detected this call
+ * @param {number} now - Current timestamp (seconds)
+ */
+function trackDoorEpisode(tAirMedian, detected, now) {
+  if (V.dor_epiTs === 0) {
+    if (detected) {
+      V.dor_epiTs = now
+      V.dor_epiDeg = V.dor_refDeg
+    }
+    return
+  }
+  if (!detected && V.dor_pauseRemSec <= 0 && tAirMedian <= V.dor_epiDeg + 0.5) {
+    if (V.dor_isEsc) print('✅ DOOR  : Air recovered, episode closed')
+    V.dor_epiTs = 0
+    V.dor_isEsc = false
+  } else if (!V.dor_isEsc && now - V.dor_epiTs >= C.dor_escSec) {
+    V.dor_isEsc = true
+    V.dor_pauseRemSec = 0
+    print('🚨 DOOR  : Left open? Not recovered in ' + (now - V.dor_epiTs) + 's, cooling resumed')
+  }
+}
+// #endif
+
 /**
  * detectDoorOpen - Monitor temperature rise for door events
- * Triggers pause timer when rate exceeds threshold.
+ * Triggers pause timer when rate exceeds threshold, unless escalated.
  *
  * @param {number} tAirMedian - Current median air temperature
  * @param {number} now - Current timestamp (seconds)
@@ -231,10 +454,18 @@ function handleTurboMode(dt) {
  */
 function detectDoorOpen(tAirMedian, now) {
   if (!C.dor_enable) return false
+  // #if vacation
+  if (isVacation()) return false
+  // #endif
 
   let detected = false
 
-  if (V.dor_refTs > 0 && V.dor_refDeg !== 0) {
+  // Contact input is authoritative when readable; dP/dt is the fallback
+  let useRate = true
+  // #if door
+  useRate = !V.dor_hasContact
+  // #endif
+  if (useRate && V.dor_refTs > 0 && V.dor_refDeg !== 0) {
     let dt = now - V.dor_refTs
     // Guard: Only calculate rate if dt is at least half the loop interval.
     // Prevents false positives from timer overlap or clock jitter.
@@ -242,11 +473,17 @@ function detectDoorOpen(tAirMedian, now) {
       let rate = (tAirMedian - V.dor_refDeg) / dt * 60.0
       if (rate > C.dor_rateDegMin) {
         V.dor_pauseRemSec = C.dor_pauseSec
+        // #if dooresc
+        if (V.dor_isEsc) V.dor_pauseRemSec = 0
+        // #endif
         print('DOOR 🚪 Event detected: +' + rate.toFixed(2) + ' deg/min')
         detected = true
       }
     }
   }
+  // #if dooresc
+  if (useRate) trackDoorEpisode(tAirMedian, detected, now)
+  // #endif
 
   V.dor_refDeg = r2(tAirMedian)
   V.dor_refTs = now
@@ -266,6 +503,19 @@ function isDoorPauseActive() {
   return V.dor_pauseRemSec > 0
 }
 
+/**
+ * isDoorOpen - Check if the door is open
+ * Contact input state when readable, else a running door pause.
+ *
+ * @returns {boolean} True if open
+ */
+function isDoorOpen() {
+  // #if door
+  if (V.dor_hasContact) return V.dor_isOpen
+  // #endif
+  return V.dor_pauseRemSec > 0
+}
+
 // ----------------------------------------------------------
 // DEFROST
 // Scheduled and dynamic defrost management.
@@ -306,6 +556,63 @@ function checkDefrostTrigger(tEvap) {
   return false
 }
 
+// #if mandefrost
+/**
+ * startManualDefrost - Begin operator-requested defrost
+ * Cancels turbo, which would otherwise burn its timer while held off.
+ *
+ * @param {number} sec - Duration in seconds
+ */
+function startManualDefrost(sec) {
+  V.dfr_manRemSec = sec
+  V.trb_isActive = false
+  V.trb_remSec = 0
+  print('DEFR ❄️ Manual defrost: started for ' + Math.round(sec / 60) + 'm')
+}
+
+/**
+ * cancelManualDefrost - End manual defrost early
+ * @returns {boolean} True if a manual defrost was running
+ */
+function cancelManualDefrost() {
+  if (V.dfr_manRemSec <= 0) return false
+  V.dfr_manRemSec = 0
+  print('✅ DEFR Manual defrost: cancelled')
+  return true
+}
+
+/**
+ * handleManualDefrost - Decrement manual defrost countdown
+ *
+ * @param {number} dt - Time delta (seconds)
+ * @returns {boolean} True if defrost is still active
+ */
+function handleManualDefrost(dt) {
+  if (V.dfr_manRemSec <= 0) return false
+  V.dfr_manRemSec -= dt
+  if (V.dfr_manRemSec <= 0) {
+    V.dfr_manRemSec = 0
+    print('✅ DEFR Manual defrost: complete')
+    return false
+  }
+  return true
+}
+// #endif
+
+/**
+ * isManualDefrost - Check if manual defrost is running
+ * Always false in builds without the mandefrost feature.
+ *
+ * @returns {boolean} True while countdown > 0
+ */
+function isManualDefrost() {
+  let on = false
+  // #if mandefrost
+  on = V.dfr_manRemSec > 0
+  // #endif
+  return on
+}
+
 /**
  * handleDynamicDefrost - Manage defrost dwell and completion
  * Returns true while defrost is active.
@@ -378,6 +685,14 @@ function handleLimpMode() {
 // ----------------------------------------------------------
 
 export {
+  // Setpoint Schedule
+  isWindowActive,
+  getEffectiveTarget,
+  // Vacation Mode
+  isVacation,
+  startVacation,
+  stopVacation,
+  checkVacationExpiry,
   // Adaptive Hysteresis
   getEffectiveHysteresis,
   adaptHysteresis,
@@ -385,12 +700,19 @@ export {
   checkTurboSwitch,
   handleTurboMode,
   // Door Detection
+  checkDoorContact,
+  applyDoorAlarm,
   detectDoorOpen,
   isDoorPauseActive,
+  isDoorOpen,
   // Defrost
   isScheduledDefrost,
   checkDefrostTrigger,
   handleDynamicDefrost,
+  startManualDefrost,
+  cancelManualDefrost,
+  isManualDefrost,
+  handleManualDefrost,
   // Limp Mode
   handleLimpMode,
 }
@@ -1,15 +1,18 @@
 // ==============================================================================
 // FEATURES TESTS
-// Validates door detection, defrost, turbo, limp, and adaptive hysteresis.
+// Validates setpoint schedule, vacation mode, door detection, defrost, turbo,
+// limp, and adaptive hysteresis.
 // ==============================================================================
 
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 
 describe('Features', () => {
-  let getEffectiveHysteresis, adaptHysteresis
+  let isWindowActive, getEffectiveTarget, getEffectiveHysteresis, adaptHysteresis
+  let startVacation, stopVacation, checkVacationExpiry
   let checkTurboSwitch, handleTurboMode
-  let detectDoorOpen, isDoorPauseActive
+  let checkDoorContact, applyDoorAlarm, detectDoorOpen, isDoorPauseActive
   let isScheduledDefrost, checkDefrostTrigger, handleDynamicDefrost
+  let startManualDefrost, cancelManualDefrost, isManualDefrost, handleManualDefrost
   let handleLimpMode
   let mockS, mockV, mockC, mockST, mockADAPT
 
@@ -41,6 +44,8 @@ describe('Features', () => {
       adt_hystDeg: 0.5,
       dfr_isActive: false,
       sys_isRelayOn: false,
+      dor_openCnt: 0,
+      dor_openTotalSec: 0,
     }
 
     // Create mock volatile state
@@ -52,11 +57,18 @@ describe('Features', () => {
       dor_refDeg: 0,
       dor_refTs: 0,
       dor_pauseRemSec: 0,
+      dor_hasContact: false,
+      dor_isOpen: false,
+      dor_openTs: 0,
+      dor_epiTs: 0,
+      dor_epiDeg: 0,
+      dor_isEsc: false,
       hw_hasPM: true,
       sys_alarm: 'NONE',
       pwr_ghostSec: 0,
       adt_lastDir: null,
       adt_consecCnt: 0,
+      dfr_manRemSec: 0,
     }
 
     // Create mock config
@@ -76,6 +88,9 @@ describe('Features', () => {
       dor_enable: true,
       dor_rateDegMin: 0.5,
       dor_pauseSec: 180,
+      dor_inputId: -1,
+      dor_alarmSec: 300,
+      dor_escSec: 1800,
       dfr_schedEnable: true,
       dfr_schedHour: 3,
       dfr_schedDurSec: 1800,
@@ -91,6 +106,8 @@ describe('Features', () => {
       lmp_enable: true,
       lmp_onSec: 900,
       lmp_offSec: 1800,
+      vac_targetAddDeg: 3.0,
+      vac_hystAddDeg: 1.0,
     }
 
     // Mock global print
@@ -99,11 +116,12 @@ describe('Features', () => {
     // Mock global Shelly
     global.Shelly = {
       getUptimeMs: vi.fn(() => 0),
+      getComponentStatus: vi.fn(() => ({ state: false })),
       call: vi.fn(),
     }
 
     // Mock dependencies
-    vi.doMock('./constants.js', () => ({ ST: mockST, ADAPT: mockADAPT }))
+    vi.doMock('./constants.js', () => ({ ST: mockST, ALM: { NONE: 'NONE', DOOR: 'ALARM_DOOR_OPEN' }, ADAPT: mockADAPT }))
     vi.doMock('./config.js', () => ({ C: mockC }))
     vi.doMock('./state.js', () => ({ S: mockS, V: mockV, persistState: vi.fn() }))
     vi.doMock('./utils/math.js', () => ({
@@ -111,18 +129,147 @@ describe('Features', () => {
     }))
 
     const module = await import('./features.js')
+    isWindowActive = module.isWindowActive
+    getEffectiveTarget = module.getEffectiveTarget
+    startVacation = module.startVacation
+    stopVacation = module.stopVacation
+    checkVacationExpiry = module.checkVacationExpiry
     getEffectiveHysteresis = module.getEffectiveHysteresis
     adaptHysteresis = module.adaptHysteresis
     checkTurboSwitch = module.checkTurboSwitch
     handleTurboMode = module.handleTurboMode
+    checkDoorContact = module.checkDoorContact
+    applyDoorAlarm = module.applyDoorAlarm
     detectDoorOpen = module.detectDoorOpen
     isDoorPauseActive = module.isDoorPauseActive
     isScheduledDefrost = module.isScheduledDefrost
     checkDefrostTrigger = module.checkDefrostTrigger
     handleDynamicDefrost = module.handleDynamicDefrost
+    startManualDefrost = module.startManualDefrost
+    cancelManualDefrost = module.cancelManualDefrost
+    isManualDefrost = module.isManualDefrost
+    handleManualDefrost = module.handleManualDefrost
     handleLimpMode = module.handleLimpMode
   })
 
+  // ----------------------------------------------------------
+  // SETPOINT SCHEDULE TESTS
+  // ----------------------------------------------------------
+
+  describe('isWindowActive', () => {
+    // Mon-Fri = bits 1..5
+    const weekdays = 0b0111110
+
+    it('should match same-day window on listed day only', () => {
+      const w = [weekdays, 600, 900, 2.0, 0]
+      expect(isWindowActive(w, 1, 600)).toBe(true)
+      expect(isWindowActive(w, 1, 859)).toBe(true)
+      expect(isWindowActive(w, 1, 900)).toBe(false)
+      expect(isWindowActive(w, 0, 700)).toBe(false)
+    })
+
+    it('should attribute overnight window after midnight to start day', () => {
+      // Friday 22:00 → Saturday 06:00
+      const w = [1 << 5, 2200, 600, 6.0, 0]
+      expect(isWindowActive(w, 5, 2300)).toBe(true)
+      expect(isWindowActive(w, 6, 300)).toBe(true)
+      expect(isWindowActive(w, 5, 300)).toBe(false)
+      expect(isWindowActive(w, 6, 2300)).toBe(false)
+      expect(isWindowActive(w, 6, 1200)).toBe(false)
+    })
+
+    it('should wrap Saturday overnight window into Sunday', () => {
+      const w = [1 << 6, 2300, 100, 6.0, 0]
+      expect(isWindowActive(w, 0, 30)).toBe(true)
+    })
+  })
+
+  describe('getEffectiveTarget', () => {
+    it('should return ctl_targetDeg without schedule', () => {
+      expect(getEffectiveTarget()).toBe(4.0)
+    })
+
+    it('should return first active window target', () => {
+      mockC.sch_windows = [[127, 2200, 600, 6.0, 0], [127, 0, 2359, 5.0, 0]]
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date(2024, 0, 1, 23, 0, 0))
+      expect(getEffectiveTarget()).toBe(6.0)
+      vi.setSystemTime(new Date(2024, 0, 1, 12, 0, 0))
+      expect(getEffectiveTarget()).toBe(5.0)
+      vi.useRealTimers()
+    })
+
+    it('should fall back to ctl_targetDeg outside windows', () => {
+      mockC.sch_windows = [[127, 500, 700, 2.0, 0]]
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date(2024, 0, 1, 12, 0, 0))
+      expect(getEffectiveTarget()).toBe(4.0)
+      vi.useRealTimers()
+    })
+  })
+
+  // ----------------------------------------------------------
+  // VACATION MODE TESTS
+  // ----------------------------------------------------------
+
+  describe('vacation mode', () => {
+    it('should raise target and hysteresis while active', () => {
+      mockS.adt_hystDeg = 0.5
+      startVacation(0)
+
+      expect(getEffectiveTarget()).toBe(7.0)
+      expect(getEffectiveHysteresis()).toBe(1.5)
+
+      stopVacation()
+      expect(getEffectiveTarget()).toBe(4.0)
+      expect(getEffectiveHysteresis()).toBe(0.5)
+    })
+
+    it('should cancel turbo and door pause on start', () => {
+      mockV.trb_isActive = true
+      mockV.trb_remSec = 600
+      mockV.dor_pauseRemSec = 120
+
+      startVacation(0)
+
+      expect(mockV.trb_isActive).toBe(false)
+      expect(mockV.dor_pauseRemSec).toBe(0)
+    })
+
+    it('should ignore turbo switch and door events while active', () => {
+      startVacation(0)
+
+      expect(checkTurboSwitch(true)).toBe(false)
+      mockV.dor_refTs = 1000
+      mockV.dor_refDeg = 4.0
+      expect(detectDoorOpen(10.0, 1005)).toBe(false)
+    })
+
+    it('should end on expiry but not before', () => {
+      startVacation(2000)
+
+      checkVacationExpiry(1999)
+      expect(mockS.vac_isActive).toBe(true)
+      checkVacationExpiry(2000)
+      expect(mockS.vac_isActive).toBe(false)
+      expect(mockS.vac_untilTs).toBe(0)
+    })
+
+    it('should never expire without end date', () => {
+      startVacation(0)
+
+      checkVacationExpiry(9999999999)
+
+      expect(mockS.vac_isActive).toBe(true)
+    })
+
+    it('should report whether vacation was active on stop', () => {
+      expect(stopVacation()).toBe(false)
+      startVacation(0)
+      expect(stopVacation()).toBe(true)
+    })
+  })
+
   // ----------------------------------------------------------
   // ADAPTIVE HYSTERESIS TESTS
   // ----------------------------------------------------------
@@ -142,6 +289,16 @@ describe('Features', () => {
       mockS.adt_hystDeg = 0.1
       expect(getEffectiveHysteresis()).toBe(0.3)
     })
+
+    it('should use active window hysteresis when set', () => {
+      mockC.sch_windows = [[127, 0, 2359, 6.0, 2.0]]
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date(2024, 0, 1, 12, 0, 0))
+      expect(getEffectiveHysteresis()).toBe(2.0)
+      mockC.sch_windows = [[127, 0, 2359, 6.0, 0]]
+      expect(getEffectiveHysteresis()).toBe(0.5)
+      vi.useRealTimers()
+    })
   })
 
   describe('adaptHysteresis', () => {
@@ -279,6 +436,12 @@ describe('Features', () => {
       expect(result).toBeNull()
     })
 
+    it('should return null when PID control is enabled', () => {
+      mockC.pid_enable = true
+      const result = adaptHysteresis(200, 500, 3)
+      expect(result).toBeNull()
+    })
+
     it('should return null with zero cycles', () => {
       const result = adaptHysteresis(200, 500, 0)
       expect(result).toBeNull()
@@ -620,6 +783,139 @@ describe('Features', () => {
     })
   })
 
+  describe('checkDoorContact', () => {
+    beforeEach(() => {
+      mockC.dor_inputId = 1
+    })
+
+    it('should ignore input when not configured', () => {
+      mockC.dor_inputId = -1
+      checkDoorContact(100)
+
+      expect(global.Shelly.getComponentStatus).not.toHaveBeenCalled()
+      expect(mockV.dor_hasContact).toBe(false)
+    })
+
+    it('should start pause and count opening on open edge', () => {
+      global.Shelly.getComponentStatus.mockReturnValue({ state: true })
+      checkDoorContact(100)
+
+      expect(global.Shelly.getComponentStatus).toHaveBeenCalledWith('Input', 1)
+      expect(mockV.dor_isOpen).toBe(true)
+      expect(mockV.dor_openTs).toBe(100)
+      expect(mockV.dor_pauseRemSec).toBe(180)
+      expect(mockS.dor_openCnt).toBe(1)
+
+      checkDoorContact(105)
+      expect(mockS.dor_openCnt).toBe(1)
+    })
+
+    it('should end pause and add open time on close edge', () => {
+      mockV.dor_isOpen = true
+      mockV.dor_openTs = 100
+      mockV.dor_pauseRemSec = 120
+      mockS.dor_openTotalSec = 30
+      checkDoorContact(160)
+
+      expect(mockV.dor_isOpen).toBe(false)
+      expect(mockV.dor_pauseRemSec).toBe(0)
+      expect(mockS.dor_openTotalSec).toBe(90)
+    })
+
+    it('should fall back to dP/dt when input unreadable', () => {
+      mockV.dor_isOpen = true
+      global.Shelly.getComponentStatus.mockReturnValue(null)
+      checkDoorContact(100)
+
+      expect(mockV.dor_hasContact).toBe(false)
+      expect(mockV.dor_isOpen).toBe(false)
+    })
+
+    it('should skip rate detection while contact is readable', () => {
+      checkDoorContact(100)
+      mockV.dor_refDeg = 4.0
+      mockV.dor_refTs = 40
+
+      expect(detectDoorOpen(10.0, 100)).toBe(false)
+      expect(mockV.dor_refDeg).toBe(10.0)
+    })
+  })
+
+  describe('door episode escalation', () => {
+    beforeEach(() => {
+      mockV.dor_refDeg = 4.0
+      mockV.dor_refTs = 100
+      detectDoorOpen(6.0, 160)
+    })
+
+    it('should open episode at first event with pre-event air', () => {
+      expect(mockV.dor_epiTs).toBe(160)
+      expect(mockV.dor_epiDeg).toBe(4.0)
+    })
+
+    it('should close episode once pause ended and air recovered', () => {
+      mockV.dor_pauseRemSec = 0
+      detectDoorOpen(5.0, 400)
+      expect(mockV.dor_epiTs).toBe(160)
+
+      detectDoorOpen(4.4, 460)
+      expect(mockV.dor_epiTs).toBe(0)
+    })
+
+    it('should escalate and resume cooling when air not recovered', () => {
+      detectDoorOpen(6.5, 1000)
+      expect(mockV.dor_isEsc).toBe(false)
+
+      detectDoorOpen(7.0, 1960)
+      expect(mockV.dor_isEsc).toBe(true)
+      expect(mockV.dor_pauseRemSec).toBe(0)
+    })
+
+    it('should not pause on re-trigger while escalated', () => {
+      mockV.dor_isEsc = true
+      mockV.dor_pauseRemSec = 0
+      expect(detectDoorOpen(9.0, 220)).toBe(true)
+
+      expect(mockV.dor_pauseRemSec).toBe(0)
+    })
+
+    it('should clear escalation on recovery', () => {
+      mockV.dor_isEsc = true
+      mockV.dor_pauseRemSec = 0
+      detectDoorOpen(4.0, 2000)
+
+      expect(mockV.dor_isEsc).toBe(false)
+    })
+  })
+
+  describe('applyDoorAlarm', () => {
+    it('should raise alarm on escalated episode without contact', () => {
+      mockV.dor_isEsc = true
+      applyDoorAlarm(1000)
+
+      expect(mockV.sys_alarm).toBe('ALARM_DOOR_OPEN')
+    })
+
+    it('should raise alarm after door left open past delay', () => {
+      mockV.dor_hasContact = true
+      mockV.dor_isOpen = true
+      mockV.dor_openTs = 100
+      applyDoorAlarm(399)
+      expect(mockV.sys_alarm).toBe('NONE')
+
+      applyDoorAlarm(400)
+      expect(mockV.sys_alarm).toBe('ALARM_DOOR_OPEN')
+    })
+
+    it('should not override another alarm', () => {
+      mockV.dor_isOpen = true
+      mockV.sys_alarm = 'ALARM_SENSOR_FAIL'
+      applyDoorAlarm(1000)
+
+      expect(mockV.sys_alarm).toBe('ALARM_SENSOR_FAIL')
+    })
+  })
+
   describe('isDoorPauseActive', () => {
     it('should return true when timer active', () => {
       mockV.dor_pauseRemSec = 100
@@ -761,6 +1057,42 @@ describe('Features', () => {
     })
   })
 
+  describe('manual defrost', () => {
+    it('should start countdown and cancel turbo', () => {
+      mockV.trb_isActive = true
+      mockV.trb_remSec = 1000
+
+      startManualDefrost(600)
+
+      expect(mockV.dfr_manRemSec).toBe(600)
+      expect(isManualDefrost()).toBe(true)
+      expect(mockV.trb_isActive).toBe(false)
+      expect(mockV.trb_remSec).toBe(0)
+    })
+
+    it('should count down and complete', () => {
+      startManualDefrost(10)
+
+      expect(handleManualDefrost(5)).toBe(true)
+      expect(handleManualDefrost(5)).toBe(false)
+      expect(mockV.dfr_manRemSec).toBe(0)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Manual defrost: complete'))
+    })
+
+    it('should return false when not running', () => {
+      expect(handleManualDefrost(5)).toBe(false)
+      expect(isManualDefrost()).toBe(false)
+    })
+
+    it('should cancel running defrost', () => {
+      startManualDefrost(600)
+
+      expect(cancelManualDefrost()).toBe(true)
+      expect(isManualDefrost()).toBe(false)
+      expect(cancelManualDefrost()).toBe(false)
+    })
+  })
+
   // ----------------------------------------------------------
   // LIMP MODE TESTS
   // ----------------------------------------------------------
@@ -0,0 +1,194 @@
+// ==============================================================================
+// HEATER OUTPUT
+// Optional second output driven as a heater (garage fridge, fermentation chamber).
+// Local switch or remote Shelly via HTTP RPC, own min ON/OFF and runaway guard.
+// ==============================================================================
+
+import { ST, ALM } from './constants.js'
+import { C } from './config.js'
+import { S, V } from './state.js'
+import { getEffectiveTarget, getEffectiveHysteresis } from './features.js'
+
+// ----------------------------------------------------------
+// OUTPUT SWITCHING
+// ----------------------------------------------------------
+
+/**
+ * sendHeater - Command one heater output
+ * Uses Switch.Set on a local switch, or HTTP RPC when host is set.
+ *
+ * @param {string} host - Remote Shelly IP/host ('' = local switch)
+ * @param {number} id - Switch ID
+ * @param {boolean} state - Desired output state
+ */
+function sendHeater(host, id, state) {
+  // CRITICAL: Use $_ prefix for callback params (mJS scoping bug, see setRelay)
+  let cb = function ($_res, $_err) {
+    if ($_err !== 0) print('⚠️ HEAT  : Output command failed: ' + $_err)
+  }
+  if (host !== '') {
+    Shelly.call('HTTP.GET', {
+      url: 'http://' + host + '/rpc/Switch.Set?id=' + id + '&on=' + state,
+      timeout: 5,
+    }, cb)
+  } else {
+    Shelly.call('Switch.Set', { id: id, on: state }, cb)
+  }
+}
+
+/**
+ * setHeater - Switch heater output and update timestamps
+ * Commands htr_host / htr_switchId and remembers it as the driven output.
+ *
+ * @param {boolean} state - Desired heater state
+ * @param {number} now - Current timestamp (seconds)
+ */
+function setHeater(state, now) {
+  print(state ? '🔥 HEAT  : ON' : '⏹️ HEAT  : OFF')
+  V.htr_isOn = state
+  if (state) {
+    V.htr_onTs = now
+  } else {
+    V.htr_offTs = now
+  }
+  V.htr_outHost = C.htr_host
+  V.htr_outId = C.htr_switchId
+  sendHeater(C.htr_host, C.htr_switchId, state)
+}
+
+/**
+ * releaseOldOutput - Switch off an output that is no longer configured
+ * htr_host / htr_switchId changed (config_set, profile_use) while the
+ * heater was ON: the old output would stay ON unguarded. The new output
+ * is left unknown, so the next decision always commands it.
+ *
+ * @param {number} now - Current timestamp (seconds)
+ */
+function releaseOldOutput(now) {
+  if (V.htr_isOn !== true) return
+  if (V.htr_outHost === C.htr_host && V.htr_outId === C.htr_switchId) return
+  print('⏹️ HEAT  : Output changed, switching old output OFF')
+  sendHeater(V.htr_outHost, V.htr_outId, false)
+  V.htr_isOn = null
+  V.htr_offTs = now
+}
+
+// ----------------------------------------------------------
+// HEATER DECISION
+// Band sits below the cooling band, separated by htr_deadbandDeg.
+// ----------------------------------------------------------
+
+/**
+ * isHeaterStuck - Detect heat while the heater is commanded OFF
+ * Compressor running past gas_checkSec with air warmer than when it
+ * started means something heats against it: a welded heater relay, or a
+ * remote Shelly that missed the OFF command. A normal pull-down cools.
+ *
+ * @param {number} tCtrl - Control temperature
+ * @param {number} now - Current timestamp (seconds)
+ * @returns {boolean} - True if the heater looks stuck ON
+ */
+function isHeaterStuck(tCtrl, now) {
+  if (V.htr_isOn !== false || !S.sys_isRelayOn) return false
+  // Snapshot air at the start of each compressor run
+  if (V.htr_cmpOnTs !== S.sys_relayOnTs) {
+    V.htr_cmpOnTs = S.sys_relayOnTs
+    V.htr_cmpAirDeg = tCtrl
+  }
+  return now - S.sys_relayOnTs > C.gas_checkSec && tCtrl > V.htr_cmpAirDeg
+}
+
+/**
+ * checkHeaterRunaway - Latch runaway fault on overshoot
+ * Air htr_runawayDeg above target with the heater ON, or with it OFF but
+ * apparently stuck (isHeaterStuck), means a heater fault or a misplaced
+ * air sensor. Clears once back at target.
+ *
+ * @param {number} tCtrl - Control temperature
+ * @param {number} target - Effective target temperature
+ * @param {number} now - Current timestamp (seconds)
+ */
+function checkHeaterRunaway(tCtrl, target, now) {
+  let stuck = isHeaterStuck(tCtrl, now)
+  if ((V.htr_isOn || stuck) && tCtrl > target + C.htr_runawayDeg && !V.htr_fault) {
+    V.htr_fault = true
+    print('🚨 HEAT  : Runaway: ' + tCtrl.toFixed(1) + 'C with heater ' + (stuck ? 'OFF (stuck?)' : 'ON'))
+  } else if (V.htr_fault && tCtrl <= target) {
+    V.htr_fault = false
+    print('✅ HEAT  : Runaway cleared')
+  }
+}
+
+/**
+ * wantHeater - Decide desired heater state
+ * ON below target - hyst - deadband, OFF above target - deadband.
+ *
+ * @param {number} tCtrl - Control temperature
+ * @param {number} target - Effective target temperature
+ * @param {number} now - Current timestamp (seconds)
+ * @returns {boolean|null} true=heat, false=off, null=force off (skip min ON)
+ */
+function wantHeater(tCtrl, target, now) {
+  // Interlocks: never heat against the compressor, on fault or blind
+  if (V.htr_fault || S.sys_isRelayOn) return null
+  if (V.sys_alarm === ALM.FAIL || V.sys_alarm === ALM.STUCK) return null
+
+  if (V.htr_isOn && now - V.htr_onTs >= C.htr_maxRunSec) return false
+  if (tCtrl < target - getEffectiveHysteresis() - C.htr_deadbandDeg) return true
+  if (tCtrl > target - C.htr_deadbandDeg) return false
+  return V.htr_isOn === true
+}
+
+/**
+ * applyHeaterWant - Switch heater if timers allow
+ * Unknown state (null, after boot) is always commanded.
+ *
+ * @param {boolean|null} want - Desired state, null = force off
+ * @param {number} now - Current timestamp (seconds)
+ */
+function applyHeaterWant(want, now) {
+  if (want === null) {
+    if (V.htr_isOn !== false) setHeater(false, now)
+    return
+  }
+  if (want === V.htr_isOn) return
+  let timerOk = want ? now - V.htr_offTs >= C.htr_minOffSec : now - V.htr_onTs >= C.htr_minOnSec
+  if (V.htr_isOn === null || timerOk) setHeater(want, now)
+}
+
+/**
+ * updateHeater - Drive heater output for this tick
+ * Call after the compressor switch decision. Enforces htr_minOnSec /
+ * htr_minOffSec except for interlocks, and sets HEATING status.
+ * Disabling the heater at runtime switches a running output OFF.
+ *
+ * @param {number|null} tCtrl - Control temperature (smoothed air)
+ * @param {number} now - Current timestamp (seconds)
+ */
+function updateHeater(tCtrl, now) {
+  releaseOldOutput(now)
+  if (!C.htr_enable) {
+    if (V.htr_isOn === true) setHeater(false, now)
+    return
+  }
+  let target = getEffectiveTarget()
+  if (tCtrl !== null) checkHeaterRunaway(tCtrl, target, now)
+
+  applyHeaterWant(tCtrl === null ? null : wantHeater(tCtrl, target, now), now)
+
+  if (V.htr_isOn && V.sys_status === ST.IDLE) V.sys_status = ST.HEATING
+}
+
+/**
+ * applyHeaterAlarm - Re-apply latched runaway alarm
+ * Called after clearNonFatalAlarms; lower priority than sensor alarms.
+ */
+function applyHeaterAlarm() {
+  if (V.htr_fault && V.sys_alarm === ALM.NONE) V.sys_alarm = ALM.HEAT
+}
+
+// ----------------------------------------------------------
+// EXPORTS
+// ----------------------------------------------------------
+
+export { setHeater, checkHeaterRunaway, wantHeater, updateHeater, applyHeaterAlarm }
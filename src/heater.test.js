@@ -0,0 +1,307 @@
+// ==============================================================================
+// HEATER OUTPUT TESTS
+// Validates heating band, deadband, interlocks, timers, and runaway latch
+// (heater ON, or stuck ON while commanded OFF).
+// ==============================================================================
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+describe('Heater', () => {
+  let setHeater, checkHeaterRunaway, wantHeater, updateHeater, applyHeaterAlarm
+  let mockS, mockV, mockC
+
+  beforeEach(async () => {
+    vi.resetModules()
+
+    mockS = { sys_isRelayOn: false, sys_relayOnTs: 0 }
+    mockV = {
+      sys_status: 'IDLE',
+      sys_alarm: 'NONE',
+      htr_isOn: false,
+      htr_onTs: 0,
+      htr_offTs: 0,
+      htr_fault: false,
+      htr_cmpOnTs: 0,
+      htr_cmpAirDeg: 0,
+      htr_outHost: '',
+      htr_outId: 1,
+    }
+    mockC = {
+      htr_enable: true,
+      htr_switchId: 1,
+      htr_host: '',
+      htr_deadbandDeg: 0.5,
+      htr_minOnSec: 60,
+      htr_minOffSec: 120,
+      htr_maxRunSec: 3600,
+      htr_runawayDeg: 5.0,
+      gas_checkSec: 900,
+    }
+
+    global.print = vi.fn()
+    global.Shelly = { call: vi.fn() }
+
+    vi.doMock('./constants.js', () => ({
+      ST: { IDLE: 'IDLE', HEATING: 'HEATING' },
+      ALM: { NONE: 'NONE', FAIL: 'ALARM_SENSOR_FAIL', STUCK: 'ALARM_SENSOR_STUCK', HEAT: 'ALARM_HEATER_RUNAWAY' },
+    }))
+    vi.doMock('./config.js', () => ({ C: mockC }))
+    vi.doMock('./state.js', () => ({ S: mockS, V: mockV }))
+    vi.doMock('./features.js', () => ({
+      getEffectiveTarget: vi.fn(() => 4.0),
+      getEffectiveHysteresis: vi.fn(() => 1.0),
+    }))
+
+    const module = await import('./heater.js')
+    setHeater = module.setHeater
+    checkHeaterRunaway = module.checkHeaterRunaway
+    wantHeater = module.wantHeater
+    updateHeater = module.updateHeater
+    applyHeaterAlarm = module.applyHeaterAlarm
+  })
+
+  // ----------------------------------------------------------
+  // SET HEATER
+  // ----------------------------------------------------------
+
+  describe('setHeater', () => {
+    it('should switch local output', () => {
+      setHeater(true, 1000)
+
+      expect(global.Shelly.call).toHaveBeenCalledWith('Switch.Set', { id: 1, on: true }, expect.any(Function))
+      expect(mockV.htr_isOn).toBe(true)
+      expect(mockV.htr_onTs).toBe(1000)
+    })
+
+    it('should switch remote output via HTTP RPC', () => {
+      mockC.htr_host = '192.168.1.50'
+      mockC.htr_switchId = 0
+      setHeater(false, 2000)
+
+      expect(global.Shelly.call).toHaveBeenCalledWith('HTTP.GET', {
+        url: 'http://192.168.1.50/rpc/Switch.Set?id=0&on=false',
+        timeout: 5,
+      }, expect.any(Function))
+      expect(mockV.htr_offTs).toBe(2000)
+    })
+
+    it('should log failed output command', () => {
+      global.Shelly.call.mockImplementation((m, p, cb) => cb(null, -1))
+      setHeater(true, 1000)
+
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('failed'))
+    })
+  })
+
+  // ----------------------------------------------------------
+  // DECISION
+  // ----------------------------------------------------------
+
+  describe('wantHeater', () => {
+    it('should heat below target - hyst - deadband', () => {
+      // 4.0 - 1.0 - 0.5 = 2.5
+      expect(wantHeater(2.4, 4.0, 1000)).toBe(true)
+    })
+
+    it('should stop above target - deadband', () => {
+      mockV.htr_isOn = true
+      expect(wantHeater(3.6, 4.0, 1000)).toBe(false)
+    })
+
+    it('should hold state inside band', () => {
+      expect(wantHeater(3.0, 4.0, 1000)).toBe(false)
+      mockV.htr_isOn = true
+      expect(wantHeater(3.0, 4.0, 1000)).toBe(true)
+    })
+
+    it('should force off while compressor runs', () => {
+      mockS.sys_isRelayOn = true
+      expect(wantHeater(1.0, 4.0, 1000)).toBeNull()
+    })
+
+    it('should force off on sensor alarm or runaway fault', () => {
+      mockV.sys_alarm = 'ALARM_SENSOR_FAIL'
+      expect(wantHeater(1.0, 4.0, 1000)).toBeNull()
+      mockV.sys_alarm = 'NONE'
+      mockV.htr_fault = true
+      expect(wantHeater(1.0, 4.0, 1000)).toBeNull()
+    })
+
+    it('should rest after max run', () => {
+      mockV.htr_isOn = true
+      mockV.htr_onTs = 1000
+      expect(wantHeater(1.0, 4.0, 4600)).toBe(false)
+    })
+  })
+
+  // ----------------------------------------------------------
+  // RUNAWAY
+  // ----------------------------------------------------------
+
+  describe('checkHeaterRunaway', () => {
+    it('should latch when air overshoots with heater on', () => {
+      mockV.htr_isOn = true
+      checkHeaterRunaway(9.1, 4.0, 1000)
+
+      expect(mockV.htr_fault).toBe(true)
+    })
+
+    it('should ignore overshoot with heater off', () => {
+      checkHeaterRunaway(12.0, 4.0, 1000)
+
+      expect(mockV.htr_fault).toBe(false)
+    })
+
+    it('should latch when air rises against the compressor with heater off', () => {
+      mockS.sys_isRelayOn = true
+      mockS.sys_relayOnTs = 1000
+      checkHeaterRunaway(10.0, 4.0, 1000)
+      checkHeaterRunaway(10.5, 4.0, 1600)
+      expect(mockV.htr_fault).toBe(false)
+
+      checkHeaterRunaway(10.5, 4.0, 2000)
+      expect(mockV.htr_fault).toBe(true)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('heater OFF (stuck?)'))
+    })
+
+    it('should not latch on a normal pull-down with heater off', () => {
+      mockS.sys_isRelayOn = true
+      mockS.sys_relayOnTs = 1000
+      checkHeaterRunaway(14.0, 4.0, 1000)
+      checkHeaterRunaway(12.0, 4.0, 2000)
+
+      expect(mockV.htr_fault).toBe(false)
+    })
+
+    it('should take a new snapshot for each compressor run', () => {
+      mockS.sys_isRelayOn = true
+      mockS.sys_relayOnTs = 1000
+      checkHeaterRunaway(8.0, 4.0, 1000)
+      mockS.sys_relayOnTs = 3000
+      checkHeaterRunaway(12.0, 4.0, 3000)
+      checkHeaterRunaway(11.0, 4.0, 4000)
+
+      expect(mockV.htr_fault).toBe(false)
+    })
+
+    it('should clear once back at target', () => {
+      mockV.htr_fault = true
+      checkHeaterRunaway(6.0, 4.0, 1000)
+      expect(mockV.htr_fault).toBe(true)
+      checkHeaterRunaway(4.0, 4.0, 1005)
+      expect(mockV.htr_fault).toBe(false)
+    })
+
+    it('should apply alarm only when no other alarm active', () => {
+      mockV.htr_fault = true
+      mockV.sys_alarm = 'ALARM_SENSOR_FAIL'
+      applyHeaterAlarm()
+      expect(mockV.sys_alarm).toBe('ALARM_SENSOR_FAIL')
+
+      mockV.sys_alarm = 'NONE'
+      applyHeaterAlarm()
+      expect(mockV.sys_alarm).toBe('ALARM_HEATER_RUNAWAY')
+    })
+  })
+
+  // ----------------------------------------------------------
+  // UPDATE
+  // ----------------------------------------------------------
+
+  describe('updateHeater', () => {
+    it('should do nothing when disabled', () => {
+      mockC.htr_enable = false
+      updateHeater(1.0, 1000)
+
+      expect(global.Shelly.call).not.toHaveBeenCalled()
+    })
+
+    it('should turn on and report HEATING', () => {
+      updateHeater(2.0, 1000)
+
+      expect(mockV.htr_isOn).toBe(true)
+      expect(mockV.sys_status).toBe('HEATING')
+    })
+
+    it('should respect min off time', () => {
+      mockV.htr_offTs = 950
+      updateHeater(2.0, 1000)
+
+      expect(mockV.htr_isOn).toBe(false)
+      expect(mockV.sys_status).toBe('IDLE')
+    })
+
+    it('should respect min on time', () => {
+      mockV.htr_isOn = true
+      mockV.htr_onTs = 980
+      updateHeater(3.8, 1000)
+
+      expect(mockV.htr_isOn).toBe(true)
+    })
+
+    it('should bypass min on time for interlock', () => {
+      mockV.htr_isOn = true
+      mockV.htr_onTs = 980
+      mockS.sys_isRelayOn = true
+      updateHeater(2.0, 1000)
+
+      expect(mockV.htr_isOn).toBe(false)
+    })
+
+    it('should command output once after boot when state unknown', () => {
+      mockV.htr_isOn = null
+      updateHeater(3.0, 1000)
+
+      expect(global.Shelly.call).toHaveBeenCalledWith('Switch.Set', { id: 1, on: false }, expect.any(Function))
+      expect(mockV.htr_isOn).toBe(false)
+    })
+
+    it('should switch a running heater off when disabled', () => {
+      mockV.htr_isOn = true
+      mockV.htr_onTs = 990
+      mockC.htr_enable = false
+      updateHeater(2.0, 1000)
+
+      expect(global.Shelly.call).toHaveBeenCalledWith('Switch.Set', { id: 1, on: false }, expect.any(Function))
+      expect(mockV.htr_isOn).toBe(false)
+
+      global.Shelly.call.mockClear()
+      updateHeater(2.0, 1005)
+      expect(global.Shelly.call).not.toHaveBeenCalled()
+    })
+
+    it('should switch the old output off when the output changes', () => {
+      mockV.htr_isOn = true
+      mockV.htr_onTs = 990
+      mockC.htr_host = '192.168.1.50'
+      mockC.htr_switchId = 0
+      updateHeater(2.0, 1000)
+
+      expect(global.Shelly.call).toHaveBeenNthCalledWith(1, 'Switch.Set', { id: 1, on: false }, expect.any(Function))
+      expect(global.Shelly.call).toHaveBeenNthCalledWith(2, 'HTTP.GET', {
+        url: 'http://192.168.1.50/rpc/Switch.Set?id=0&on=true',
+        timeout: 5,
+      }, expect.any(Function))
+      expect(mockV.htr_outHost).toBe('192.168.1.50')
+      expect(mockV.htr_outId).toBe(0)
+    })
+
+    it('should switch the old output off when disabled and moved together', () => {
+      mockV.htr_isOn = true
+      mockC.htr_enable = false
+      mockC.htr_switchId = 2
+      updateHeater(2.0, 1000)
+
+      expect(global.Shelly.call).toHaveBeenCalledTimes(1)
+      expect(global.Shelly.call).toHaveBeenCalledWith('Switch.Set', { id: 1, on: false }, expect.any(Function))
+    })
+
+    it('should force off without sensor reading', () => {
+      mockV.htr_isOn = true
+      mockV.htr_onTs = 990
+      updateHeater(null, 1000)
+
+      expect(mockV.htr_isOn).toBe(false)
+    })
+  })
+})
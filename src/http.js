@@ -0,0 +1,237 @@
+// ==============================================================================
+// HTTP API
+// Local REST endpoints served by the Shelly script HTTP server.
+// Reachable at http://<device>/script/<id>/<endpoint> without an MQTT broker.
+// Writes go through the same dispatcher, signing and rate limit as MQTT.
+// ==============================================================================
+
+import { CFG_KEYS } from './config.js'
+import { S, V } from './state.js'
+import { buildMqttPayload, buildMetricsText } from './reporting.js'
+import { getDayHistory } from './metrics.js'
+import { getExcursions, getExcursionsCsv } from './excursion.js'
+import { nowSec } from './utils/math.js'
+import { execCommand, buildAck, isCfgKey, cfgOut } from './mqtt.js'
+
+// ----------------------------------------------------------
+// RESPONSE HELPERS
+// ----------------------------------------------------------
+
+/**
+ * sendBody - Send response
+ *
+ * @param {object} res - HTTPServer response object
+ * @param {number} code - HTTP status code
+ * @param {string} type - Content-Type header
+ * @param {string} body - Response body
+ */
+function sendBody(res, code, type, body) {
+  res.code = code
+  res.headers = [['Content-Type', type]]
+  res.body = body
+  res.send()
+}
+
+/**
+ * sendJson - Send JSON response
+ *
+ * @param {object} res - HTTPServer response object
+ * @param {number} code - HTTP status code
+ * @param {object} obj - Body to serialize
+ */
+function sendJson(res, code, obj) {
+  sendBody(res, code, 'application/json', JSON.stringify(obj))
+}
+
+/**
+ * httpCode - Map command error code to HTTP status
+ *
+ * @param {string|null} err - Command error code
+ * @returns {number} - HTTP status code
+ */
+function httpCode(err) {
+  if (err === null) return 200
+  if (err === 'rate_limited') return 429
+  if (err === 'auth' || err === 'stale' || err === 'replay') return 401
+  return 400
+}
+
+/**
+ * runHttpCommand - Execute command body and respond with its ack
+ *
+ * @param {object} res - HTTPServer response object
+ * @param {string} body - JSON command payload
+ * @param {string|null} forceCmd - Command name to apply regardless of body
+ */
+function runHttpCommand(res, body, forceCmd) {
+  execCommand(body, forceCmd, function ($_cmd, $_res) {
+    sendJson(res, httpCode($_res.err), buildAck($_cmd, $_res))
+  })
+}
+
+/**
+ * getQueryParam - Read parameter from raw query string
+ *
+ * @param {string} query - Query string without '?' (e.g. 'key=ctl_targetDeg')
+ * @param {string} name - Parameter name
+ * @returns {string|null} - Value, or null if absent
+ */
+function getQueryParam(query, name) {
+  if (typeof query !== 'string') return null
+  let parts = query.split('&')
+  for (let i = 0; i < parts.length; i++) {
+    let eq = parts[i].indexOf('=')
+    if (eq > 0 && parts[i].substring(0, eq) === name) return parts[i].substring(eq + 1)
+  }
+  return null
+}
+
+// ----------------------------------------------------------
+// ENDPOINTS
+// ----------------------------------------------------------
+
+/**
+ * handleStatusReq - GET /status
+ * Same JSON as the MQTT status payload, built from the last loop readings.
+ *
+ * @param {object} req - HTTPServer request object
+ * @param {object} res - HTTPServer response object
+ */
+function handleStatusReq(req, res) {
+  sendJson(res, 200, buildMqttPayload(V.sns_airSmoothDeg, V.lop_tEvap, V.lop_tAirRaw, V.lop_watts, V.lop_devTemp))
+}
+
+/**
+ * handleConfigReq - GET/POST /config
+ * GET returns all keys (or ?key=name), secrets masked.
+ * POST body is a config_set command: {"values":{...}} or {"key":..,"value":..}.
+ *
+ * @param {object} req - HTTPServer request object
+ * @param {object} res - HTTPServer response object
+ */
+function handleConfigReq(req, res) {
+  if (req.method === 'POST') {
+    runHttpCommand(res, req.body, 'config_set')
+    return
+  }
+
+  let key = getQueryParam(req.query, 'key')
+  let out = {}
+  if (key !== null) {
+    if (!isCfgKey(key)) {
+      sendJson(res, 404, { error: 'unknown_key' })
+      return
+    }
+    out[key] = cfgOut(key)
+  } else {
+    let chunks = Object.keys(CFG_KEYS)
+    for (let i = 0; i < chunks.length; i++) {
+      let keys = CFG_KEYS[chunks[i]]
+      for (let j = 0; j < keys.length; j++) out[keys[j]] = cfgOut(keys[j])
+    }
+  }
+  sendJson(res, 200, out)
+}
+
+/**
+ * handleFaultsReq - GET /faults
+ *
+ * @param {object} req - HTTPServer request object
+ * @param {object} res - HTTPServer response object
+ */
+function handleFaultsReq(req, res) {
+  sendJson(res, 200, {
+    fatal: S.flt_fatalArr,
+    critical: S.flt_critArr,
+    error: S.flt_errorArr,
+    warning: S.flt_warnArr,
+  })
+}
+
+// #if history
+/**
+ * handleHistoryReq - GET /history
+ * Daily rollups, newest first.
+ *
+ * @param {object} req - HTTPServer request object
+ * @param {object} res - HTTPServer response object
+ */
+function handleHistoryReq(req, res) {
+  sendJson(res, 200, getDayHistory())
+}
+// #endif
+
+// #if excursion
+/**
+ * handleExcursionsReq - GET /excursions
+ * Excursion log, newest first; ?format=csv for a CSV download.
+ *
+ * @param {object} req - HTTPServer request object
+ * @param {object} res - HTTPServer response object
+ */
+function handleExcursionsReq(req, res) {
+  if (getQueryParam(req.query, 'format') === 'csv') {
+    sendBody(res, 200, 'text/csv', getExcursionsCsv(nowSec()))
+    return
+  }
+  sendJson(res, 200, getExcursions(nowSec()))
+}
+// #endif
+
+// #if prom
+/**
+ * handleMetricsReq - GET /metrics
+ * Prometheus text exposition for scraping.
+ *
+ * @param {object} req - HTTPServer request object
+ * @param {object} res - HTTPServer response object
+ */
+function handleMetricsReq(req, res) {
+  sendBody(res, 200, 'text/plain; version=0.0.4', buildMetricsText())
+}
+// #endif
+
+/**
+ * handleCmdReq - POST /cmd
+ * Accepts the same JSON commands as the MQTT command topic.
+ *
+ * @param {object} req - HTTPServer request object
+ * @param {object} res - HTTPServer response object
+ */
+function handleCmdReq(req, res) {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { error: 'method' })
+    return
+  }
+  runHttpCommand(res, req.body, null)
+}
+
+// ----------------------------------------------------------
+// SETUP
+// ----------------------------------------------------------
+
+/**
+ * setupHttpApi - Register HTTP endpoints
+ */
+function setupHttpApi() {
+  HTTPServer.registerEndpoint('status', handleStatusReq)
+  HTTPServer.registerEndpoint('config', handleConfigReq)
+  HTTPServer.registerEndpoint('faults', handleFaultsReq)
+  HTTPServer.registerEndpoint('cmd', handleCmdReq)
+  // #if prom
+  HTTPServer.registerEndpoint('metrics', handleMetricsReq)
+  // #endif
+  // #if history
+  HTTPServer.registerEndpoint('history', handleHistoryReq)
+  // #endif
+  // #if excursion
+  HTTPServer.registerEndpoint('excursions', handleExcursionsReq)
+  // #endif
+  print('✅ HTTP API registered')
+}
+
+// ----------------------------------------------------------
+// EXPORTS
+// ----------------------------------------------------------
+
+export { setupHttpApi }
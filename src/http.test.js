@@ -0,0 +1,247 @@
+// ==============================================================================
+// HTTP API TESTS
+// Validates endpoint registration, routing, and response formatting.
+// Command execution is mocked - see mqtt.test.js for dispatcher behavior.
+// ==============================================================================
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+describe('HTTP API', () => {
+  let setupHttpApi
+  let mockS, mockV, endpoints, mockExecCommand, mockBuildMqttPayload
+
+  /**
+   * request - Invoke registered endpoint and capture response
+   * @param {string} name - Endpoint name
+   * @param {object} req - Request fields (method, query, body)
+   * @returns {object} - Response with code, headers, parsed json
+   */
+  function request(name, req) {
+    const res = { send: vi.fn() }
+    endpoints[name](Object.assign({ method: 'GET', query: '', body: '' }, req), res)
+    expect(res.send).toHaveBeenCalledTimes(1)
+    res.json = JSON.parse(res.body)
+    return res
+  }
+
+  beforeEach(async () => {
+    vi.resetModules()
+
+    mockS = {
+      flt_fatalArr: [{ a: 'WELD', t: 100 }],
+      flt_critArr: [],
+      flt_errorArr: [],
+      flt_warnArr: [{ a: 'HIGH', t: 200 }],
+    }
+    mockV = {
+      sns_airSmoothDeg: 4.2,
+      lop_tEvap: -10,
+      lop_tAirRaw: 4.3,
+      lop_watts: 80,
+      lop_devTemp: 35,
+    }
+
+    endpoints = {}
+    global.HTTPServer = { registerEndpoint: vi.fn((name, cb) => { endpoints[name] = cb }) }
+    global.print = vi.fn()
+
+    mockBuildMqttPayload = vi.fn(() => ({ tAirSmt: 4.2, status: 'IDLE' }))
+    mockExecCommand = vi.fn((msg, forceCmd, reply) => {
+      reply({ cmd: forceCmd || 'status', id: 'x' }, { err: null, val: 1 })
+    })
+
+    vi.doMock('./config.js', () => ({
+      CFG_KEYS: {
+        fridge_cfg_sys: ['sys_mqttTopic'],
+        fridge_cfg_sec: ['sys_mqttSecret'],
+      },
+    }))
+    vi.doMock('./state.js', () => ({ S: mockS, V: mockV }))
+    vi.doMock('./reporting.js', () => ({
+      buildMqttPayload: mockBuildMqttPayload,
+      buildMetricsText: vi.fn(() => '# TYPE fridge_relay_on gauge\nfridge_relay_on 1\n'),
+    }))
+    vi.doMock('./metrics.js', () => ({
+      getDayHistory: vi.fn(() => [{ ts: 86400, duty: 42.5, cycles: 30, wh: 1200 }]),
+    }))
+    vi.doMock('./excursion.js', () => ({
+      getExcursions: vi.fn(() => [{ start: 1000, end: 1600, dur: 600, peak: 7.2, cause: 'door' }]),
+      getExcursionsCsv: vi.fn(() => 'start,end,dur,peak,cause\n1000,1600,600,7.2,door\n'),
+    }))
+    vi.doMock('./mqtt.js', () => ({
+      execCommand: mockExecCommand,
+      buildAck: vi.fn((cmd, res) => ({
+        id: cmd ? cmd.id : null,
+        cmd: cmd ? cmd.cmd : null,
+        ok: res.err === null,
+        error: res.err,
+        value: res.val,
+      })),
+      isCfgKey: vi.fn(k => k === 'sys_mqttTopic' || k === 'sys_mqttSecret'),
+      cfgOut: vi.fn(k => (k === 'sys_mqttSecret' ? '***' : 'fridge/status')),
+    }))
+
+    const module = await import('./http.js')
+    setupHttpApi = module.setupHttpApi
+    setupHttpApi()
+  })
+
+  // ----------------------------------------------------------
+  // SETUP
+  // ----------------------------------------------------------
+
+  it('should register all endpoints', () => {
+    expect(Object.keys(endpoints).sort()).toEqual(['cmd', 'config', 'excursions', 'faults', 'history', 'metrics', 'status'])
+  })
+
+  // ----------------------------------------------------------
+  // /status
+  // ----------------------------------------------------------
+
+  describe('/status', () => {
+    it('should return MQTT payload built from last loop readings', () => {
+      const res = request('status', {})
+
+      expect(mockBuildMqttPayload).toHaveBeenCalledWith(4.2, -10, 4.3, 80, 35)
+      expect(res.code).toBe(200)
+      expect(res.headers).toEqual([['Content-Type', 'application/json']])
+      expect(res.json).toEqual({ tAirSmt: 4.2, status: 'IDLE' })
+    })
+  })
+
+  // ----------------------------------------------------------
+  // /config
+  // ----------------------------------------------------------
+
+  describe('/config', () => {
+    it('should return all keys with secret masked', () => {
+      const res = request('config', {})
+
+      expect(res.json).toEqual({ sys_mqttTopic: 'fridge/status', sys_mqttSecret: '***' })
+    })
+
+    it('should return single key from query', () => {
+      const res = request('config', { query: 'key=sys_mqttTopic' })
+
+      expect(res.json).toEqual({ sys_mqttTopic: 'fridge/status' })
+    })
+
+    it('should return 404 for unknown key', () => {
+      const res = request('config', { query: 'key=nope' })
+
+      expect(res.code).toBe(404)
+      expect(res.json.error).toBe('unknown_key')
+    })
+
+    it('should run POST body as config_set', () => {
+      const body = '{"values":{"ctl_targetDeg":3}}'
+      const res = request('config', { method: 'POST', body })
+
+      expect(mockExecCommand).toHaveBeenCalledWith(body, 'config_set', expect.any(Function))
+      expect(res.code).toBe(200)
+      expect(res.json.cmd).toBe('config_set')
+    })
+  })
+
+  // ----------------------------------------------------------
+  // /faults
+  // ----------------------------------------------------------
+
+  describe('/faults', () => {
+    it('should return all fault arrays', () => {
+      const res = request('faults', {})
+
+      expect(res.json).toEqual({
+        fatal: [{ a: 'WELD', t: 100 }],
+        critical: [],
+        error: [],
+        warning: [{ a: 'HIGH', t: 200 }],
+      })
+    })
+  })
+
+  // ----------------------------------------------------------
+  // /history
+  // ----------------------------------------------------------
+
+  describe('/history', () => {
+    it('should return daily rollups', () => {
+      const res = request('history', {})
+
+      expect(res.code).toBe(200)
+      expect(res.json).toEqual([{ ts: 86400, duty: 42.5, cycles: 30, wh: 1200 }])
+    })
+  })
+
+  // ----------------------------------------------------------
+  // /excursions
+  // ----------------------------------------------------------
+
+  describe('/excursions', () => {
+    it('should return excursion log as JSON', () => {
+      const res = request('excursions', {})
+
+      expect(res.json).toEqual([{ start: 1000, end: 1600, dur: 600, peak: 7.2, cause: 'door' }])
+    })
+
+    it('should return CSV with ?format=csv', () => {
+      const res = { send: vi.fn() }
+      endpoints.excursions({ method: 'GET', query: 'format=csv', body: '' }, res)
+
+      expect(res.code).toBe(200)
+      expect(res.headers).toEqual([['Content-Type', 'text/csv']])
+      expect(res.body).toBe('start,end,dur,peak,cause\n1000,1600,600,7.2,door\n')
+    })
+  })
+
+  // ----------------------------------------------------------
+  // /metrics
+  // ----------------------------------------------------------
+
+  describe('/metrics', () => {
+    it('should return Prometheus text with exposition content type', () => {
+      const res = { send: vi.fn() }
+      endpoints.metrics({ method: 'GET', query: '', body: '' }, res)
+
+      expect(res.code).toBe(200)
+      expect(res.headers).toEqual([['Content-Type', 'text/plain; version=0.0.4']])
+      expect(res.body).toBe('# TYPE fridge_relay_on gauge\nfridge_relay_on 1\n')
+      expect(res.send).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  // ----------------------------------------------------------
+  // /cmd
+  // ----------------------------------------------------------
+
+  describe('/cmd', () => {
+    it('should reject non-POST', () => {
+      const res = request('cmd', { method: 'GET' })
+
+      expect(res.code).toBe(405)
+      expect(mockExecCommand).not.toHaveBeenCalled()
+    })
+
+    it('should return ack for executed command', () => {
+      const res = request('cmd', { method: 'POST', body: '{"cmd":"status"}' })
+
+      expect(mockExecCommand).toHaveBeenCalledWith('{"cmd":"status"}', null, expect.any(Function))
+      expect(res.json).toEqual({ id: 'x', cmd: 'status', ok: true, error: null, value: 1 })
+    })
+
+    it.each([
+      ['rate_limited', 429],
+      ['auth', 401],
+      ['replay', 401],
+      ['validation', 400],
+      ['parse', 400],
+    ])('should map %s error to HTTP %i', (err, code) => {
+      mockExecCommand.mockImplementation((msg, f, reply) => reply(null, { err, val: null }))
+
+      const res = request('cmd', { method: 'POST', body: '{}' })
+
+      expect(res.code).toBe(code)
+      expect(res.json.error).toBe(err)
+    })
+  })
+})
@@ -9,12 +9,14 @@ import { C } from './config.js'
 import { S, V, persistState } from './state.js'
 import { nowSec } from './utils/math.js'
 import { processSensorData, validateSensorReadings, handleSensorError, handleSensorRecovery, checkSensorStuck, resetSensorError } from './sensors.js'
-import { clearNonFatalAlarms, applySensorAlarms, processAlarmEdges, checkHighTempAlarm } from './alarms.js'
+import { clearNonFatalAlarms, applySensorAlarms, applyAlarmPolicy, processAlarmEdges, checkHighTempAlarm, checkLowTempAlarm } from './alarms.js'
 import { checkWeldDetection, checkCoolingHealth, checkLockedRotor, checkGhostRun, resetGhostCount } from './protection.js'
-import { checkTurboSwitch, detectDoorOpen, checkDefrostTrigger, isScheduledDefrost } from './features.js'
-import { updateMetrics } from './metrics.js'
+import { checkTurboSwitch, checkVacationExpiry, checkDoorContact, applyDoorAlarm, detectDoorOpen, checkDefrostTrigger, isScheduledDefrost, isManualDefrost } from './features.js'
+import { updateMetrics, updateTempStats, updateDayStats } from './metrics.js'
+import { updateExcursion } from './excursion.js'
 import { determineMode, executeSwitchDecision, setRelay } from './control.js'
-import { publishStatus } from './reporting.js'
+import { updateHeater, applyHeaterAlarm } from './heater.js'
+import { publishStatus, publishRollover, publishAvailability } from './reporting.js'
 
 // ----------------------------------------------------------
 // LOOP STATE
@@ -38,11 +40,17 @@ function mainLoopTick() {
   // Shelly mJS closures are broken - local variables become corrupted in async callbacks.
   V.lop_nowTs = nowSec()
 
-  // 1. CHECK PHYSICAL INPUT (TURBO SWITCH)
+  // 1. CHECK PHYSICAL INPUTS (TURBO SWITCH, DOOR CONTACT) AND VACATION END
   let inp = Shelly.getComponentStatus('Input', 0)
   if (inp) {
     checkTurboSwitch(inp.state)
   }
+  // #if door
+  checkDoorContact(V.lop_nowTs)
+  // #endif
+  // #if vacation
+  checkVacationExpiry(V.lop_nowTs)
+  // #endif
 
   // 2. READ SENSORS (Async chain)
   // CRITICAL: Use $_ prefix for callback params to prevent Terser from minifying
@@ -64,6 +72,11 @@ function mainLoopTick() {
       // Check power monitor availability
       V.hw_hasPM = !!(swStatus && swStatus.apower !== undefined)
 
+      // Clear non-fatal alarms for re-evaluation (before any detection step,
+      // so alarms raised in steps 3-11 survive to step 12)
+      let alarmBefore = V.sys_alarm
+      clearNonFatalAlarms()
+
       // 3. VALIDATE SENSOR READINGS
       let airStuck = false
       let evapStuck = false
@@ -121,9 +134,12 @@ function mainLoopTick() {
         // 9. DEFROST TRIGGER CHECK (only with valid sensors)
         checkDefrostTrigger(tEvap)
 
-        // 10. HIGH TEMP ALARM CHECK (only with valid sensors)
-        let isDeepDefrost = isScheduledDefrost()
+        // 10. HIGH / LOW TEMP ALARM CHECK (only with valid sensors)
+        let isDeepDefrost = isScheduledDefrost() || isManualDefrost()
         checkHighTempAlarm(V.sns_airSmoothDeg, isDeepDefrost)
+        // #if lowtemp
+        checkLowTempAlarm(V.sns_airSmoothDeg)
+        // #endif
 
         // 11. WELD DETECTION (only with valid sensors)
         checkWeldDetection(V.sns_airSmoothDeg, V.lop_nowTs)
@@ -135,19 +151,36 @@ function mainLoopTick() {
       // ============================================================
 
       // 12. ALARM STATE MANAGEMENT
-      let alarmBefore = V.sys_alarm
-
-      // Clear non-fatal alarms for re-evaluation
-      clearNonFatalAlarms()
       V.sys_statusReason = RSN.NONE
       V.sys_detail = 'NONE'
 
-      // Re-apply sensor alarms
+      // Apply sensor, heater and door alarms, then latching policy
       let alarmFail = (V.sns_errCnt >= C.sys_sensFailLimit)
       applySensorAlarms(alarmFail, airStuck || evapStuck)
-
-      // 13. UPDATE METRICS
-      updateMetrics(S.sys_isRelayOn, C.sys_loopSec)
+      // #if heater
+      applyHeaterAlarm()
+      // #endif
+      // #if door,dooresc
+      applyDoorAlarm(V.lop_nowTs)
+      // #endif
+      // #if latch
+      applyAlarmPolicy(V.lop_nowTs)
+      // #endif
+
+      // 13. UPDATE METRICS (samples first, rollover closes the hour)
+      // #if tempstats
+      updateTempStats(tAirRaw !== null ? V.sns_airSmoothDeg : null, tEvap, C.sys_loopSec)
+      // #endif
+      // #if history
+      updateDayStats()
+      // #endif
+      let rollover = updateMetrics(S.sys_isRelayOn, C.sys_loopSec, swWatts)
+      // #if summary
+      if (rollover) publishRollover(rollover)
+      // #endif
+      // #if excursion
+      updateExcursion(tAirRaw !== null ? V.sns_airSmoothDeg : null, V.lop_nowTs)
+      // #endif
 
       // 14. PROCESS ALARM EDGES (Fault logging)
       let alarmAfter = V.sys_alarm
@@ -168,12 +201,23 @@ function mainLoopTick() {
         if (mode.detail !== 'NONE') V.sys_detail = mode.detail
       }
 
+      // #if heater
+      // 16b. HEATER OUTPUT (after compressor so interlock sees final relay state)
+      updateHeater(V.sns_airSmoothDeg, V.lop_nowTs)
+      // #endif
+
       // 17. PERIODIC STATE SAVE (every 15 min max)
       if (V.lop_nowTs - V.lop_lastSaveTs > 900) {
         persistState()
       }
 
       // 18. REPORT STATUS
+      // #if http
+      V.lop_tEvap = tEvap
+      V.lop_tAirRaw = tAirRaw
+      V.lop_watts = swWatts
+      V.lop_devTemp = swTemp
+      // #endif
       publishStatus(V.sns_airSmoothDeg, tEvap, tAirRaw, swWatts, swTemp)
     })
   })
@@ -201,15 +245,31 @@ function startMainLoop() {
 /**
  * STOP MAIN LOOP
  * Clears the timer to stop loop execution.
+ * Publishes offline so consumers stop trusting the last status.
  */
 function stopMainLoop() {
   if (loopTimer !== null) {
     Timer.clear(loopTimer)
     loopTimer = null
+    publishAvailability(false)
     print('ℹ️ LOOP  : Main loop stopped')
   }
 }
 
+// #if config
+/**
+ * RESTART MAIN LOOP
+ * Re-arms a running loop timer with the current sys_loopSec.
+ * Unlike stopMainLoop, availability stays online.
+ */
+function restartMainLoop() {
+  if (loopTimer === null) return
+  Timer.clear(loopTimer)
+  loopTimer = null
+  startMainLoop()
+}
+// #endif
+
 /**
  * IS LOOP RUNNING
  * Returns true if main loop timer is active.
@@ -228,5 +288,6 @@ export {
   mainLoopTick,
   startMainLoop,
   stopMainLoop,
+  restartMainLoop,
   isLoopRunning,
 }
@@ -16,8 +16,8 @@ describe('Loop', () => {
   let mockCheckLockedRotor, mockCheckGhostRun, mockIsScheduledDefrost
   let mockClearNonFatalAlarms, mockApplySensorAlarms, mockProcessAlarmEdges, mockCheckHighTempAlarm
   let mockCheckWeldDetection, mockCheckCoolingHealth
-  let mockUpdateMetrics, mockDetermineMode, mockExecuteSwitchDecision
-  let mockPublishStatus, mockPersistState
+  let mockUpdateMetrics, mockPublishRollover, mockUpdateTempStats, mockUpdateExcursion, mockDetermineMode, mockExecuteSwitchDecision
+  let mockPublishStatus, mockPublishAvailability, mockPersistState
 
   beforeEach(async () => {
     vi.resetModules()
@@ -67,6 +67,8 @@ describe('Loop', () => {
     mockCheckWeldDetection = vi.fn()
     mockCheckCoolingHealth = vi.fn()
     mockUpdateMetrics = vi.fn()
+    mockUpdateTempStats = vi.fn()
+    mockUpdateExcursion = vi.fn()
     mockDetermineMode = vi.fn(() => ({
       wantOn: false, status: 'IDLE', reason: 'NONE', detail: 'NONE',
     }))
@@ -74,6 +76,8 @@ describe('Loop', () => {
       switched: false, blocked: false, reason: 'NONE', detail: null,
     }))
     mockPublishStatus = vi.fn()
+    mockPublishRollover = vi.fn()
+    mockPublishAvailability = vi.fn()
     mockPersistState = vi.fn()
 
     // Mock Shelly.call to capture callbacks
@@ -117,8 +121,10 @@ describe('Loop', () => {
     vi.doMock('./alarms.js', () => ({
       clearNonFatalAlarms: mockClearNonFatalAlarms,
       applySensorAlarms: mockApplySensorAlarms,
+      applyAlarmPolicy: vi.fn(),
       processAlarmEdges: mockProcessAlarmEdges,
       checkHighTempAlarm: mockCheckHighTempAlarm,
+      checkLowTempAlarm: vi.fn(),
     }))
     vi.doMock('./protection.js', () => ({
       checkWeldDetection: mockCheckWeldDetection,
@@ -128,19 +134,34 @@ describe('Loop', () => {
     }))
     vi.doMock('./features.js', () => ({
       checkTurboSwitch: mockCheckTurboSwitch,
+      checkVacationExpiry: vi.fn(),
+      checkDoorContact: vi.fn(),
+      applyDoorAlarm: vi.fn(),
       detectDoorOpen: mockDetectDoorOpen,
       checkDefrostTrigger: mockCheckDefrostTrigger,
       isScheduledDefrost: mockIsScheduledDefrost,
+      isManualDefrost: vi.fn(() => false),
     }))
     vi.doMock('./metrics.js', () => ({
       updateMetrics: mockUpdateMetrics,
+      updateTempStats: mockUpdateTempStats,
+      updateDayStats: vi.fn(),
+    }))
+    vi.doMock('./excursion.js', () => ({
+      updateExcursion: mockUpdateExcursion,
     }))
     vi.doMock('./control.js', () => ({
       determineMode: mockDetermineMode,
       executeSwitchDecision: mockExecuteSwitchDecision,
     }))
+    vi.doMock('./heater.js', () => ({
+      updateHeater: vi.fn(),
+      applyHeaterAlarm: vi.fn(),
+    }))
     vi.doMock('./reporting.js', () => ({
       publishStatus: mockPublishStatus,
+      publishRollover: mockPublishRollover,
+      publishAvailability: mockPublishAvailability,
     }))
 
     const module = await import('./loop.js')
@@ -185,6 +206,18 @@ describe('Loop', () => {
       stopMainLoop()
       expect(mockTimerClear).not.toHaveBeenCalled()
     })
+
+    it('should publish offline availability when stopping', () => {
+      startMainLoop()
+      stopMainLoop()
+
+      expect(mockPublishAvailability).toHaveBeenCalledWith(false)
+    })
+
+    it('should not publish offline when not running', () => {
+      stopMainLoop()
+      expect(mockPublishAvailability).not.toHaveBeenCalled()
+    })
   })
 
   describe('isLoopRunning', () => {
@@ -322,7 +355,30 @@ describe('Loop', () => {
     it('should update metrics', () => {
       mainLoopTick()
 
-      expect(mockUpdateMetrics).toHaveBeenCalledWith(false, 5)
+      expect(mockUpdateMetrics).toHaveBeenCalledWith(false, 5, 50)
+    })
+
+    it('should publish rollover summary only when the hour closes', () => {
+      mainLoopTick()
+      expect(mockPublishRollover).not.toHaveBeenCalled()
+
+      const ro = { duty: 40 }
+      mockUpdateMetrics.mockReturnValue(ro)
+      mainLoopTick()
+      expect(mockPublishRollover).toHaveBeenCalledWith(ro)
+    })
+
+    it('should sample temperatures before rollover', () => {
+      mainLoopTick()
+
+      expect(mockUpdateTempStats).toHaveBeenCalledWith(expect.any(Number), expect.any(Number), 5)
+      expect(mockUpdateTempStats.mock.invocationCallOrder[0]).toBeLessThan(mockUpdateMetrics.mock.invocationCallOrder[0])
+    })
+
+    it('should update excursion log with smoothed air temp', () => {
+      mainLoopTick()
+
+      expect(mockUpdateExcursion).toHaveBeenCalledWith(expect.any(Number), expect.any(Number))
     })
 
     it('should detect door open', () => {
@@ -8,6 +8,8 @@ import { C, loadConfig } from './config.js'
 import { S, V, persistState, loadState } from './state.js'
 import { ri, nowSec } from './utils/math.js'
 import { setupMqttCommands } from './mqtt.js'
+import { setupHttpApi } from './http.js'
+import { publishAvailability, publishDiscovery } from './reporting.js'
 import { startMainLoop } from './loop.js'
 
 // ----------------------------------------------------------
@@ -72,6 +74,7 @@ function recoverBootState() {
       S.sts_lifeRunSec += missedRun
       S.sts_lifeTotalSec += elapsedTotal
       S.sts_cycleCnt++
+      S.sts_lifeCycleCnt++
       print('⚠️ BOOT  : Script stopped while cooling → added ~' + ri(missedRun / 60) + 'm to runtime stats')
     }
     S.sys_isRelayOn = false
@@ -97,6 +100,21 @@ function recoverBootState() {
   }
 }
 
+// ----------------------------------------------------------
+// MQTT CONNECTION
+// ----------------------------------------------------------
+
+/**
+ * handleMqttConnect - Publish retained topics at boot and on each reconnect
+ * Broker may have dropped retained state or delivered our LWT.
+ */
+function handleMqttConnect() {
+  publishAvailability(true)
+  // #if ha
+  publishDiscovery()
+  // #endif
+}
+
 // ----------------------------------------------------------
 // INITIALIZATION
 // ----------------------------------------------------------
@@ -112,6 +130,11 @@ function initialize() {
     loadState(function () {
       recoverBootState()
       setupMqttCommands()
+      // #if http
+      setupHttpApi()
+      // #endif
+      handleMqttConnect()
+      MQTT.setConnectHandler(handleMqttConnect)
       print('✅ BOOT  : Completed')
       startMainLoop()
     })
@@ -128,4 +151,4 @@ initialize()
 // EXPORTS (for testing)
 // ----------------------------------------------------------
 
-export { recoverBootState, initialize }
+export { recoverBootState, handleMqttConnect, initialize }
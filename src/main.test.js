@@ -6,8 +6,8 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 
 describe('Main', () => {
-  let recoverBootState
-  let mockS, mockV, mockC, mockPersistState
+  let recoverBootState, initialize, handleMqttConnect
+  let mockS, mockV, mockC, mockPersistState, mockSetupMqttCommands, mockSetupHttpApi, mockPublishDiscovery, mockPublishAvailability
 
   beforeEach(async () => {
     vi.resetModules()
@@ -34,6 +34,10 @@ describe('Main', () => {
     }
 
     mockPersistState = vi.fn()
+    mockSetupMqttCommands = vi.fn()
+    mockSetupHttpApi = vi.fn()
+    mockPublishDiscovery = vi.fn()
+    mockPublishAvailability = vi.fn()
 
     global.print = vi.fn()
     global.Shelly = {
@@ -43,7 +47,7 @@ describe('Main', () => {
         if (callback) callback({ items: {} }, 0)
       }),
     }
-    global.MQTT = { subscribe: vi.fn() }
+    global.MQTT = { subscribe: vi.fn(), publish: vi.fn(), setConnectHandler: vi.fn() }
     global.Timer = { set: vi.fn((d, r, cb) => { if (cb) cb(); return 1 }) }
 
     vi.doMock('./config.js', () => ({
@@ -61,7 +65,14 @@ describe('Main', () => {
       nowSec: vi.fn(() => Date.now() / 1000),
     }))
     vi.doMock('./mqtt.js', () => ({
-      setupMqttCommands: vi.fn(),
+      setupMqttCommands: mockSetupMqttCommands,
+    }))
+    vi.doMock('./http.js', () => ({
+      setupHttpApi: mockSetupHttpApi,
+    }))
+    vi.doMock('./reporting.js', () => ({
+      publishDiscovery: mockPublishDiscovery,
+      publishAvailability: mockPublishAvailability,
     }))
     vi.doMock('./loop.js', () => ({
       startMainLoop: vi.fn(),
@@ -69,6 +80,53 @@ describe('Main', () => {
 
     const module = await import('./main.js')
     recoverBootState = module.recoverBootState
+    initialize = module.initialize
+    handleMqttConnect = module.handleMqttConnect
+  })
+
+  // ----------------------------------------------------------
+  // INITIALIZATION TESTS
+  // ----------------------------------------------------------
+
+  describe('initialize', () => {
+    it('should register commands and publish HA discovery on boot', () => {
+      mockSetupMqttCommands.mockClear()
+      mockPublishDiscovery.mockClear()
+
+      initialize()
+
+      expect(mockSetupMqttCommands).toHaveBeenCalledTimes(1)
+      expect(mockPublishDiscovery).toHaveBeenCalledTimes(1)
+    })
+
+    it('should register HTTP API endpoints on boot', () => {
+      mockSetupHttpApi.mockClear()
+
+      initialize()
+
+      expect(mockSetupHttpApi).toHaveBeenCalledTimes(1)
+    })
+
+    it('should publish online availability and register connect handler', () => {
+      mockPublishAvailability.mockClear()
+
+      initialize()
+
+      expect(mockPublishAvailability).toHaveBeenCalledWith(true)
+      expect(global.MQTT.setConnectHandler).toHaveBeenCalledWith(handleMqttConnect)
+    })
+  })
+
+  describe('handleMqttConnect', () => {
+    it('should republish availability and discovery on reconnect', () => {
+      mockPublishAvailability.mockClear()
+      mockPublishDiscovery.mockClear()
+
+      handleMqttConnect()
+
+      expect(mockPublishAvailability).toHaveBeenCalledWith(true)
+      expect(mockPublishDiscovery).toHaveBeenCalledTimes(1)
+    })
   })
 
   // ----------------------------------------------------------
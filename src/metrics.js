@@ -1,13 +1,18 @@
 // ==============================================================================
 // METRICS & STATISTICS
 // Runtime statistics, duty cycle tracking, and hourly rollover.
-// Tracks compressor runtime, cycle counts, and historical duty%.
+// Tracks compressor runtime, cycle counts, energy, and historical duty%.
 // ==============================================================================
 
 import { C } from './config.js'
 import { S, V, persistState } from './state.js'
-import { r1 } from './utils/math.js'
-import { adaptHysteresis } from './features.js'
+import { r1, r2, ri } from './utils/math.js'
+import { adaptHysteresis, isScheduledDefrost, isManualDefrost, isDoorOpen } from './features.js'
+
+// Daily rollups kept in sts_dayArr (one KVS chunk, ~60 bytes per day)
+// #if history
+let DAY_HIST_MAX = 7
+// #endif
 
 // ----------------------------------------------------------
 // RUNTIME ACCUMULATORS
@@ -29,12 +34,30 @@ function updateRuntimeStats(isOn, dt) {
   if (isOn) S.sts_hourRunSec += dt
 }
 
+// #if energy
+/**
+ * UPDATE ENERGY
+ * Integrates compressor power into hourly and lifetime Wh counters.
+ * No-op without power metering (watts 0 or missing).
+ *
+ * @param  {number} watts - Switch power (W)
+ * @param  {number} dt    - Time delta (seconds)
+ */
+function updateEnergy(watts, dt) {
+  if (!(watts > 0)) return
+  let wh = watts * dt / 3600
+  S.nrg_hourWh += wh
+  S.nrg_lifeWh += wh
+}
+// #endif
+
 /**
  * INCREMENT CYCLE COUNT
  * Call this when relay turns OFF to count completed cycles.
  */
 function incrementCycleCount() {
   S.sts_cycleCnt += 1
+  S.sts_lifeCycleCnt += 1
 }
 
 // ----------------------------------------------------------
@@ -57,7 +80,10 @@ function isHourlyRolloverDue() {
  * Calculates averages, triggers adaptation, stores history.
  * Call only when isHourlyRolloverDue() returns true.
  *
- * @returns {object} - { avgOn, avgOff, duty, adapted }
+ * Every 24th rollover (history index wraps) also closes the day.
+ *
+ * @returns {object} - { avgOn, avgOff, duty, cycles, energyWh, airMin, airMax, airAvg,
+ *                       evpMin, evpMax, evpAvg, aboveSec, adapted, day }
  */
 function processHourlyRollover() {
   // Calculate average ON and OFF times
@@ -75,12 +101,37 @@ function processHourlyRollover() {
   // Calculate and store duty%
   let duty = (S.sts_hourRunSec / S.sts_hourTotalSec) * 100
   S.sts_dutyHistArr[S.sts_histIdx] = r1(duty)
+  // #if energy
+  let energyWh = r1(S.nrg_hourWh)
+  S.nrg_histArr[S.sts_histIdx] = energyWh
+  // #endif
+  // #if tempstats
+  let t = []
+  closeTempHour('sts_hourAir', t)
+  closeTempHour('sts_hourEvp', t)
+  t.push(ri(S.sts_hourAboveSec))
+  S.sts_tempHistArr[S.sts_histIdx] = t
+  // #endif
   S.sts_histIdx = (S.sts_histIdx + 1) % 24
+  // #if summary
+  let cycles = S.sts_cycleCnt
+  // #endif
+  // #if history
+  let day = null
+  S.sts_dayCycleCnt += S.sts_cycleCnt
+  if (S.sts_histIdx === 0) day = processDailyRollover()
+  // #endif
 
   // Reset hourly counters
   S.sts_hourTotalSec = 0
   S.sts_hourRunSec = 0
   S.sts_cycleCnt = 0
+  // #if energy
+  S.nrg_hourWh = 0
+  // #endif
+  // #if tempstats
+  S.sts_hourAboveSec = 0
+  // #endif
 
   // Save state after rollover (critical for history preservation)
   persistState()
@@ -89,10 +140,179 @@ function processHourlyRollover() {
     avgOn: avgOn,
     avgOff: avgOff,
     duty: r1(duty),
+    // #if summary
+    cycles: cycles,
+    // #endif
+    // #if energy
+    energyWh: energyWh,
+    // #endif
+    // #if tempstats
+    airMin: t[0],
+    airMax: t[1],
+    airAvg: t[2],
+    evpMin: t[3],
+    evpMax: t[4],
+    evpAvg: t[5],
+    aboveSec: t[6],
+    // #endif
     adapted: adapted,
+    // #if history
+    day: day,
+    // #endif
   }
 }
 
+// ----------------------------------------------------------
+// TEMPERATURE STATS
+// Per-hour min/max/mean of air and evap, plus time above alm_limitDeg.
+// Closed hours go to sts_tempHistArr (same ring index as duty history)
+// as [airMin, airMax, airAvg, evpMin, evpMax, evpAvg, aboveSec].
+// ----------------------------------------------------------
+
+// #if tempstats
+/**
+ * SAMPLE TEMP
+ * Adds a reading to the hour accumulators named by prefix.
+ *
+ * @param  {string}      pfx - 'sts_hourAir' or 'sts_hourEvp'
+ * @param  {number|null} t   - Reading, null when sensors invalid
+ */
+function sampleTemp(pfx, t) {
+  if (typeof t !== 'number') return
+  let n = S[pfx + 'Cnt']
+  if (n === 0 || t < S[pfx + 'Min']) S[pfx + 'Min'] = t
+  if (n === 0 || t > S[pfx + 'Max']) S[pfx + 'Max'] = t
+  S[pfx + 'Sum'] += t
+  S[pfx + 'Cnt'] = n + 1
+}
+
+/**
+ * CLOSE TEMP HOUR
+ * Appends min, max, mean (null without samples) and resets accumulators.
+ *
+ * @param  {string} pfx - 'sts_hourAir' or 'sts_hourEvp'
+ * @param  {Array}  rec - Hour record being built
+ */
+function closeTempHour(pfx, rec) {
+  let n = S[pfx + 'Cnt']
+  rec.push(n > 0 ? r1(S[pfx + 'Min']) : null)
+  rec.push(n > 0 ? r1(S[pfx + 'Max']) : null)
+  rec.push(n > 0 ? r1(S[pfx + 'Sum'] / n) : null)
+  S[pfx + 'Min'] = 0
+  S[pfx + 'Max'] = 0
+  S[pfx + 'Sum'] = 0
+  S[pfx + 'Cnt'] = 0
+}
+
+/**
+ * UPDATE TEMP STATS
+ * Samples air and evap for the current hour. Time above the limit
+ * counts smoothed air only, so door-open spikes are damped.
+ *
+ * @param  {number|null} tAir  - Smoothed air temp, null when sensors invalid
+ * @param  {number|null} tEvap - Evap temp, null when sensors invalid
+ * @param  {number}      dt    - Time delta (seconds)
+ */
+function updateTempStats(tAir, tEvap, dt) {
+  sampleTemp('sts_hourAir', tAir)
+  sampleTemp('sts_hourEvp', tEvap)
+  if (typeof tAir === 'number' && tAir > C.alm_limitDeg) S.sts_hourAboveSec += dt
+}
+// #endif
+
+// ----------------------------------------------------------
+// DAILY ROLLUP
+// A day is 24 logged hours (one pass of the hourly ring), so its
+// duty, energy and temperatures are exactly the 24 history slots.
+// Not clock-aligned.
+// ----------------------------------------------------------
+
+// #if history
+/**
+ * UPDATE DAY STATS
+ * Counts defrost / door starts (rising edges).
+ */
+function updateDayStats() {
+  let isDfr = S.dfr_isActive || isScheduledDefrost() || isManualDefrost()
+  let isDoor = isDoorOpen()
+  if (isDfr && !V.sts_wasDfr) S.sts_dayDfrCnt++
+  if (isDoor && !V.sts_wasDoor) S.sts_dayDoorCnt++
+  V.sts_wasDfr = isDfr
+  V.sts_wasDoor = isDoor
+}
+
+/**
+ * PROCESS DAILY ROLLUP
+ * Stores the day record (newest first, max DAY_HIST_MAX) and resets
+ * day accumulators. Record: [endTs, duty%, cycles, airMin, airMax,
+ * airAvg, defrosts, doors, Wh, aboveSec]; temps null if no valid sample.
+ *
+ * @returns {Array} - The stored day record
+ */
+function processDailyRollover() {
+  let duty = 0
+  let wh = 0
+  let above = 0
+  let aMin = null
+  let aMax = null
+  let aSum = 0
+  let n = 0
+  for (let i = 0; i < 24; i++) {
+    duty += S.sts_dutyHistArr[i]
+    // #if energy
+    wh += S.nrg_histArr[i]
+    // #endif
+    // #if tempstats
+    let t = S.sts_tempHistArr[i]
+    if (!t) continue
+    above += t[6]
+    if (t[0] === null) continue
+    if (aMin === null || t[0] < aMin) aMin = t[0]
+    if (aMax === null || t[1] > aMax) aMax = t[1]
+    aSum += t[2]
+    n++
+    // #endif
+  }
+  let rec = [ri(Date.now() / 1000), r1(duty / 24), S.sts_dayCycleCnt, aMin, aMax,
+    n > 0 ? r1(aSum / n) : null, S.sts_dayDfrCnt, S.sts_dayDoorCnt, ri(wh), above]
+
+  // Add to front (manual - unshift not in Shelly)
+  let arr = S.sts_dayArr
+  let len = arr.length < DAY_HIST_MAX ? arr.length + 1 : DAY_HIST_MAX
+  for (let i = len - 1; i > 0; i--) arr[i] = arr[i - 1]
+  arr[0] = rec
+
+  S.sts_dayCycleCnt = 0
+  S.sts_dayDfrCnt = 0
+  S.sts_dayDoorCnt = 0
+  return rec
+}
+
+/**
+ * EXPAND DAY RECORD
+ * Names the fields of a stored day record for MQTT / HTTP.
+ *
+ * @param  {Array} r - Day record (see processDailyRollover)
+ * @returns {object} - { ts, duty, cycles, airMin, airMax, airAvg, defrosts, doors, wh, aboveSec }
+ */
+function expandDayRecord(r) {
+  return { ts: r[0], duty: r[1], cycles: r[2], airMin: r[3], airMax: r[4], airAvg: r[5], defrosts: r[6], doors: r[7], wh: r[8],
+    aboveSec: r[9] }
+}
+
+/**
+ * GET DAY HISTORY
+ * Expands stored day records into named fields for MQTT / HTTP.
+ *
+ * @returns {object[]} - Newest first
+ */
+function getDayHistory() {
+  let out = []
+  for (let i = 0; i < S.sts_dayArr.length; i++) out.push(expandDayRecord(S.sts_dayArr[i]))
+  return out
+}
+// #endif
+
 // ----------------------------------------------------------
 // DUTY CYCLE QUERIES
 // Read-only access to duty statistics.
@@ -165,6 +385,38 @@ function getLifetimeRunHours() {
   return r1(S.sts_lifeRunSec / 3600)
 }
 
+// ----------------------------------------------------------
+// ENERGY QUERIES
+// ----------------------------------------------------------
+
+// #if energy
+/**
+ * GET 24-HOUR ENERGY
+ * Sums Wh over the last 24 hours, current partial hour in place
+ * of the oldest slot (same window as getAvgDuty24h).
+ *
+ * @returns {number} - Energy (Wh)
+ */
+function getEnergy24h() {
+  let sum = 0
+  for (let i = 0; i < 24; i++) {
+    sum += S.nrg_histArr[i]
+  }
+  return sum - S.nrg_histArr[S.sts_histIdx] + S.nrg_hourWh
+}
+
+/**
+ * GET ENERGY COST
+ * Converts Wh to cost at pwr_tariffPerKwh (0 when no tariff set).
+ *
+ * @param  {number} wh - Energy (Wh)
+ * @returns {number}    - Cost in tariff currency
+ */
+function getEnergyCost(wh) {
+  return r2(wh / 1000 * C.pwr_tariffPerKwh)
+}
+// #endif
+
 // ----------------------------------------------------------
 // COMBINED METRICS UPDATE
 // Convenience function for main loop.
@@ -175,12 +427,16 @@ function getLifetimeRunHours() {
  * Main entry point - updates stats and handles rollover.
  * Returns rollover result if triggered, null otherwise.
  *
- * @param  {boolean} isOn - Current relay state
- * @param  {number}  dt   - Time delta (seconds)
- * @returns {object|null}  - Rollover result or null
+ * @param  {boolean} isOn  - Current relay state
+ * @param  {number}  dt    - Time delta (seconds)
+ * @param  {number}  watts - Switch power (W), 0 without power metering
+ * @returns {object|null}   - Rollover result or null
  */
-function updateMetrics(isOn, dt) {
+function updateMetrics(isOn, dt, watts) {
   updateRuntimeStats(isOn, dt)
+  // #if energy
+  updateEnergy(watts, dt)
+  // #endif
 
   if (isHourlyRolloverDue()) {
     return processHourlyRollover()
@@ -195,6 +451,7 @@ function updateMetrics(isOn, dt) {
 
 export {
   updateRuntimeStats,
+  updateEnergy,
   incrementCycleCount,
   isHourlyRolloverDue,
   processHourlyRollover,
@@ -203,5 +460,12 @@ export {
   getCurrentHourAverages,
   getLifetimeDuty,
   getLifetimeRunHours,
+  getEnergy24h,
+  getEnergyCost,
+  updateTempStats,
+  updateDayStats,
+  processDailyRollover,
+  expandDayRecord,
+  getDayHistory,
   updateMetrics,
 }
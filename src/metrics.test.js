@@ -9,7 +9,9 @@ describe('Metrics', () => {
   let updateRuntimeStats, incrementCycleCount
   let isHourlyRolloverDue, processHourlyRollover
   let getAvgDuty24h, getCurrentHourDuty, getLifetimeDuty, getLifetimeRunHours
-  let updateMetrics
+  let updateMetrics, updateEnergy, getEnergy24h, getEnergyCost
+  let updateTempStats, updateDayStats, processDailyRollover, getDayHistory
+  let mockC, mockIsScheduledDefrost
   let mockS, mockV, mockALM, mockAdaptHysteresis
 
   beforeEach(async () => {
@@ -29,13 +31,37 @@ describe('Metrics', () => {
       sts_hourTotalSec: 0,
       sts_hourRunSec: 0,
       sts_cycleCnt: 0,
+      sts_lifeCycleCnt: 0,
       sts_histIdx: 0,
       sts_dutyHistArr: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+      nrg_hourWh: 0,
+      nrg_lifeWh: 0,
+      nrg_histArr: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+      sts_hourAirMin: 0,
+      sts_hourAirMax: 0,
+      sts_hourAirSum: 0,
+      sts_hourAirCnt: 0,
+      sts_hourEvpMin: 0,
+      sts_hourEvpMax: 0,
+      sts_hourEvpSum: 0,
+      sts_hourEvpCnt: 0,
+      sts_hourAboveSec: 0,
+      sts_tempHistArr: new Array(24).fill(null),
+      sts_dayArr: [],
+      sts_dayCycleCnt: 0,
+      sts_dayDfrCnt: 0,
+      sts_dayDoorCnt: 0,
+      dfr_isActive: false,
     }
 
     // Create mock volatile state
     mockV = {
       sys_alarm: 'NONE',
+      dor_hasContact: false,
+      dor_isOpen: false,
+      dor_pauseRemSec: 0,
+      sts_wasDfr: false,
+      sts_wasDoor: false,
     }
 
     // Mock global print
@@ -46,13 +72,20 @@ describe('Metrics', () => {
 
     // Mock dependencies
     vi.doMock('./constants.js', () => ({ ALM: mockALM }))
-    vi.doMock('./config.js', () => ({ C: {} }))
+    mockC = { pwr_tariffPerKwh: 0, alm_limitDeg: 5 }
+    vi.doMock('./config.js', () => ({ C: mockC }))
     vi.doMock('./state.js', () => ({ S: mockS, V: mockV, persistState: vi.fn() }))
     vi.doMock('./utils/math.js', () => ({
       r1: vi.fn((v) => Math.round(v * 10) / 10),
+      r2: vi.fn((v) => Math.round(v * 100) / 100),
+      ri: vi.fn((v) => Math.floor(v)),
     }))
+    mockIsScheduledDefrost = vi.fn(() => false)
     vi.doMock('./features.js', () => ({
       adaptHysteresis: mockAdaptHysteresis,
+      isScheduledDefrost: mockIsScheduledDefrost,
+      isManualDefrost: vi.fn(() => false),
+      isDoorOpen: vi.fn(() => (mockV.dor_hasContact ? mockV.dor_isOpen : mockV.dor_pauseRemSec > 0)),
     }))
 
     const module = await import('./metrics.js')
@@ -65,6 +98,13 @@ describe('Metrics', () => {
     getLifetimeDuty = module.getLifetimeDuty
     getLifetimeRunHours = module.getLifetimeRunHours
     updateMetrics = module.updateMetrics
+    updateEnergy = module.updateEnergy
+    getEnergy24h = module.getEnergy24h
+    getEnergyCost = module.getEnergyCost
+    updateTempStats = module.updateTempStats
+    updateDayStats = module.updateDayStats
+    processDailyRollover = module.processDailyRollover
+    getDayHistory = module.getDayHistory
   })
 
   // ----------------------------------------------------------
@@ -107,6 +147,48 @@ describe('Metrics', () => {
     })
   })
 
+  // ----------------------------------------------------------
+  // ENERGY TESTS
+  // ----------------------------------------------------------
+
+  describe('updateEnergy', () => {
+    it('should integrate power into hour and lifetime Wh', () => {
+      mockS.nrg_lifeWh = 1000
+      updateEnergy(72, 5)
+      updateEnergy(72, 5)
+
+      expect(mockS.nrg_hourWh).toBeCloseTo(0.2, 6)
+      expect(mockS.nrg_lifeWh).toBeCloseTo(1000.2, 6)
+    })
+
+    it.each([0, null, undefined])('should ignore missing power %s', (w) => {
+      updateEnergy(w, 5)
+
+      expect(mockS.nrg_hourWh).toBe(0)
+    })
+  })
+
+  describe('getEnergy24h', () => {
+    it('should sum history with current hour replacing the oldest slot', () => {
+      mockS.nrg_histArr = mockS.nrg_histArr.map(() => 50)
+      mockS.sts_histIdx = 3
+      mockS.nrg_hourWh = 20
+
+      expect(getEnergy24h()).toBe(23 * 50 + 20)
+    })
+  })
+
+  describe('getEnergyCost', () => {
+    it('should price Wh at the kWh tariff', () => {
+      mockC.pwr_tariffPerKwh = 0.3
+      expect(getEnergyCost(1234)).toBe(0.37)
+    })
+
+    it('should return 0 without tariff', () => {
+      expect(getEnergyCost(1234)).toBe(0)
+    })
+  })
+
   // ----------------------------------------------------------
   // INCREMENT CYCLE COUNT TESTS
   // ----------------------------------------------------------
@@ -117,6 +199,14 @@ describe('Metrics', () => {
       incrementCycleCount()
       expect(mockS.sts_cycleCnt).toBe(6)
     })
+
+    it('should increment lifetime cycle counter across hourly resets', () => {
+      mockS.sts_lifeCycleCnt = 100
+      incrementCycleCount()
+      mockS.sts_cycleCnt = 0
+      incrementCycleCount()
+      expect(mockS.sts_lifeCycleCnt).toBe(102)
+    })
   })
 
   // ----------------------------------------------------------
@@ -148,6 +238,7 @@ describe('Metrics', () => {
 
       const result = processHourlyRollover()
 
+      expect(result.cycles).toBe(3)
       expect(result.avgOn).toBe(600) // 1800 / 3
       expect(result.avgOff).toBe(600) // (3600 - 1800) / 3
     })
@@ -184,6 +275,20 @@ describe('Metrics', () => {
       expect(mockS.sts_dutyHistArr[5]).toBe(50)
     })
 
+    it('should store hour energy in history and reset it', () => {
+      mockS.sts_hourTotalSec = 3600
+      mockS.sts_histIdx = 5
+      mockS.nrg_hourWh = 61.27
+      mockS.nrg_lifeWh = 500
+
+      const result = processHourlyRollover()
+
+      expect(result.energyWh).toBe(61.3)
+      expect(mockS.nrg_histArr[5]).toBe(61.3)
+      expect(mockS.nrg_hourWh).toBe(0)
+      expect(mockS.nrg_lifeWh).toBe(500)
+    })
+
     it('should advance history index', () => {
       mockS.sts_hourTotalSec = 3600
       mockS.sts_histIdx = 5
@@ -332,6 +437,185 @@ describe('Metrics', () => {
     })
   })
 
+  // ----------------------------------------------------------
+  // TEMPERATURE STATS TESTS
+  // ----------------------------------------------------------
+
+  describe('updateTempStats', () => {
+    it('should track air and evap min, max and sum', () => {
+      updateTempStats(4, -10, 5)
+      updateTempStats(2, -14, 5)
+      updateTempStats(6, -12, 5)
+
+      expect(mockS.sts_hourAirMin).toBe(2)
+      expect(mockS.sts_hourAirMax).toBe(6)
+      expect(mockS.sts_hourAirSum).toBe(12)
+      expect(mockS.sts_hourAirCnt).toBe(3)
+      expect(mockS.sts_hourEvpMin).toBe(-14)
+      expect(mockS.sts_hourEvpMax).toBe(-10)
+      expect(mockS.sts_hourEvpCnt).toBe(3)
+    })
+
+    it('should skip samples when sensors invalid', () => {
+      updateTempStats(null, null, 5)
+
+      expect(mockS.sts_hourAirCnt).toBe(0)
+      expect(mockS.sts_hourEvpCnt).toBe(0)
+      expect(mockS.sts_hourAboveSec).toBe(0)
+    })
+
+    it('should count time with air above alm_limitDeg', () => {
+      updateTempStats(5, -10, 5)
+      updateTempStats(5.5, -10, 5)
+      updateTempStats(6, -10, 5)
+
+      expect(mockS.sts_hourAboveSec).toBe(10)
+    })
+  })
+
+  describe('processHourlyRollover temperatures', () => {
+    it('should store hour record and return it in the result', () => {
+      mockS.sts_hourTotalSec = 3600
+      mockS.sts_histIdx = 7
+      updateTempStats(3.04, -12, 5)
+      updateTempStats(9, -4, 1800)
+
+      const result = processHourlyRollover()
+
+      expect(mockS.sts_tempHistArr[7]).toEqual([3, 9, 6, -12, -4, -8, 1800])
+      expect(result).toMatchObject({
+        airMin: 3, airMax: 9, airAvg: 6, evpMin: -12, evpMax: -4, evpAvg: -8, aboveSec: 1800,
+      })
+      expect(mockS.sts_hourAirCnt).toBe(0)
+      expect(mockS.sts_hourEvpSum).toBe(0)
+      expect(mockS.sts_hourAboveSec).toBe(0)
+    })
+
+    it('should store null temps for an hour without valid readings', () => {
+      mockS.sts_hourTotalSec = 3600
+
+      const result = processHourlyRollover()
+
+      expect(mockS.sts_tempHistArr[0]).toEqual([null, null, null, null, null, null, 0])
+      expect(result.airAvg).toBeNull()
+    })
+  })
+
+  // ----------------------------------------------------------
+  // DAILY ROLLUP TESTS
+  // ----------------------------------------------------------
+
+  describe('updateDayStats', () => {
+    it('should count each defrost once', () => {
+      mockIsScheduledDefrost.mockReturnValue(true)
+      updateDayStats()
+      updateDayStats()
+      mockIsScheduledDefrost.mockReturnValue(false)
+      updateDayStats()
+      mockS.dfr_isActive = true
+      updateDayStats()
+
+      expect(mockS.sts_dayDfrCnt).toBe(2)
+    })
+
+    it('should count door openings from contact sensor', () => {
+      mockV.dor_hasContact = true
+      mockV.dor_isOpen = true
+      updateDayStats()
+      updateDayStats()
+      mockV.dor_isOpen = false
+      updateDayStats()
+
+      expect(mockS.sts_dayDoorCnt).toBe(1)
+    })
+
+    it('should count door pauses without contact sensor', () => {
+      mockV.dor_pauseRemSec = 30
+      updateDayStats()
+
+      expect(mockS.sts_dayDoorCnt).toBe(1)
+    })
+  })
+
+  describe('processDailyRollover', () => {
+    it('should store day record and reset accumulators', () => {
+      vi.spyOn(Date, 'now').mockReturnValue(86400000)
+      mockS.sts_dutyHistArr = mockS.sts_dutyHistArr.map(() => 50)
+      mockS.nrg_histArr = mockS.nrg_histArr.map(() => 40)
+      mockS.sts_tempHistArr[3] = [2, 4, 3, -20, -5, -12, 0]
+      mockS.sts_tempHistArr[4] = [3, 5, 4, -18, -4, -11, 600]
+      mockS.sts_tempHistArr[5] = [null, null, null, null, null, null, 0]
+      mockS.sts_dayCycleCnt = 72
+      mockS.sts_dayDfrCnt = 4
+      mockS.sts_dayDoorCnt = 9
+
+      const rec = processDailyRollover()
+
+      expect(rec).toEqual([86400, 50, 72, 2, 5, 3.5, 4, 9, 960, 600])
+      expect(mockS.sts_dayArr).toEqual([rec])
+      expect(mockS.sts_dayCycleCnt).toBe(0)
+      expect(mockS.sts_dayDfrCnt).toBe(0)
+      expect(mockS.sts_dayDoorCnt).toBe(0)
+      vi.restoreAllMocks()
+    })
+
+    it('should store null temps without samples', () => {
+      const rec = processDailyRollover()
+
+      expect(rec[3]).toBeNull()
+      expect(rec[4]).toBeNull()
+      expect(rec[5]).toBeNull()
+    })
+
+    it('should keep newest first and cap at 7 days', () => {
+      for (let d = 1; d <= 9; d++) {
+        mockS.sts_dayCycleCnt = d
+        processDailyRollover()
+      }
+
+      expect(mockS.sts_dayArr.length).toBe(7)
+      expect(mockS.sts_dayArr[0][2]).toBe(9)
+      expect(mockS.sts_dayArr[6][2]).toBe(3)
+    })
+  })
+
+  describe('processHourlyRollover day close', () => {
+    it('should close the day when history index wraps', () => {
+      mockS.sts_histIdx = 23
+      mockS.sts_cycleCnt = 3
+      mockS.sts_dayCycleCnt = 60
+
+      const result = processHourlyRollover()
+
+      expect(result.day[2]).toBe(63)
+      expect(mockS.sts_dayArr.length).toBe(1)
+    })
+
+    it('should only accumulate cycles mid-day', () => {
+      mockS.sts_histIdx = 5
+      mockS.sts_cycleCnt = 3
+
+      const result = processHourlyRollover()
+
+      expect(result.day).toBeNull()
+      expect(mockS.sts_dayCycleCnt).toBe(3)
+    })
+  })
+
+  describe('getDayHistory', () => {
+    it('should expand records into named fields', () => {
+      mockS.sts_dayArr = [[86400, 50, 72, 2, 5, 3.5, 4, 9, 960, 600]]
+
+      expect(getDayHistory()).toEqual([{
+        ts: 86400, duty: 50, cycles: 72, airMin: 2, airMax: 5, airAvg: 3.5, defrosts: 4, doors: 9, wh: 960, aboveSec: 600,
+      }])
+    })
+
+    it('should return empty list before first day', () => {
+      expect(getDayHistory()).toEqual([])
+    })
+  })
+
   // ----------------------------------------------------------
   // UPDATE METRICS TESTS
   // ----------------------------------------------------------
@@ -356,5 +640,11 @@ describe('Metrics', () => {
       expect(result).not.toBeNull()
       expect(result.duty).toBeDefined()
     })
+
+    it('should accumulate energy from switch power', () => {
+      updateMetrics(true, 5, 72)
+
+      expect(mockS.nrg_hourWh).toBeCloseTo(0.1, 6)
+    })
   })
 })
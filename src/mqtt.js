@@ -1,16 +1,44 @@
 // ==============================================================================
 // MQTT COMMAND HANDLER
 // Subscribes to command topic for remote control.
-// Handles turbo, status, reset, and setpoint commands via MQTT.
+// Handles turbo, defrost, status, history, excursion log, alarm reset/ack, setpoint, config and profile commands via MQTT.
+// Commands carrying an id are acknowledged on <sys_mqttCmd>/ack.
+// With sys_mqttSecret set, commands must be HMAC-signed with ts and nonce.
 // ==============================================================================
 
 import { ALM } from './constants.js'
-import { C, persistConfig, validateConfig } from './config.js'
-import { V } from './state.js'
+import { DEFAULT, C, CFG_KEYS, persistConfig, validateConfig, isValidSchedule, getBuiltinProfile } from './config.js'
+import { S, V, persistState } from './state.js'
+import { nowSec } from './utils/math.js'
+import { startManualDefrost, cancelManualDefrost, isVacation, startVacation, stopVacation } from './features.js'
+import { getDayHistory } from './metrics.js'
+import { getExcursions, getExcursionsCsv } from './excursion.js'
+import { hmacSha256Hex } from './utils/crypto.js'
+import { getAlarmPolicy, releaseAlarm } from './alarms.js'
+import { publishAvailability, publishDiscovery } from './reporting.js'
+import { restartMainLoop } from './loop.js'
 
 // Rate limiting state (-2000 ensures first command always passes)
 let mqttLastCmdMs = -2000
 
+// #if queue
+// Commands arriving inside the 2s window wait here as {cmd, msg} (parsed,
+// signature checked when run, FIFO). Bounded to 4 entries; overflow is rejected.
+let CMD_QUEUE_MAX = 4
+let mqttQueue = []
+let mqttQueueTimer = null
+// #endif
+
+// #if sign
+// Signed command replay protection. Nonces are recorded when a command
+// passes its signature check, which happens at most once per 2s slot, so
+// the +/-15s ts window (plus up to 8s queued) holds at most 20 of them.
+let CMD_SKEW_SEC = 15
+let CMD_NONCE_MAX = 20
+let mqttNonces = []
+let mqttNonceIdx = 0
+// #endif
+
 // ----------------------------------------------------------
 // SETUP MQTT COMMANDS
 // ----------------------------------------------------------
@@ -18,61 +46,336 @@ let mqttLastCmdMs = -2000
 /**
  * setupMqttCommands - Register MQTT command handler
  * Subscribes to command topic and processes validated commands.
+ * Not subscribed while a secret is stored that this build cannot verify.
  */
 function setupMqttCommands() {
+  if (isCmdLocked()) {
+    print('🚨 MQTT  : Commands disabled, sys_mqttSecret needs a sign build')
+    return
+  }
   MQTT.subscribe(C.sys_mqttCmd, handleMqttMessage)
 }
 
+// ----------------------------------------------------------
+// COMMAND RESULTS
+// Handlers return {err, val}: err is null on success or a short
+// error code, val is the resulting value reported in the ack.
+// ----------------------------------------------------------
+
+/**
+ * cmdOk - Build success result
+ * @param {*} val - Resulting value (null if none)
+ * @returns {object} - Result {err: null, val}
+ */
+function cmdOk(val) {
+  return { err: null, val: val }
+}
+
+/**
+ * cmdFail - Build failure result
+ * @param {string} err - Error code
+ * @returns {object} - Result {err, val: null}
+ */
+function cmdFail(err) {
+  return { err: err, val: null }
+}
+
+/**
+ * buildAck - Create command acknowledgement object
+ * Shared by the MQTT ack topic and HTTP /cmd responses.
+ *
+ * @param {object|null} cmd - Parsed command object (null if unparseable)
+ * @param {object} res - Result from cmdOk/cmdFail
+ * @returns {object} - {id, cmd, ok, error, value}
+ */
+function buildAck(cmd, res) {
+  let hasCmd = cmd !== null
+  return {
+    id: (hasCmd && cmd.id !== undefined) ? cmd.id : null,
+    cmd: (hasCmd && typeof cmd.cmd === 'string') ? cmd.cmd : null,
+    ok: res.err === null,
+    error: res.err,
+    value: res.val,
+  }
+}
+
+/**
+ * publishAck - Publish command result to ack topic
+ * Only commands carrying a string or number id are acknowledged.
+ *
+ * @param {object} cmd - Parsed command object
+ * @param {object} res - Result from cmdOk/cmdFail
+ */
+function publishAck(cmd, res) {
+  if (typeof cmd.id !== 'string' && typeof cmd.id !== 'number') return
+  MQTT.publish(C.sys_mqttCmd + '/ack', JSON.stringify(buildAck(cmd, res)), 1, false)
+}
+
+// ----------------------------------------------------------
+// COMMAND AUTHENTICATION
+// Signature is HMAC-SHA256 (hex) over the raw message with the
+// trailing ,"sig":"..." removed, so sig must be the last field.
+// ----------------------------------------------------------
+
+/**
+ * isCmdLocked - Check for a stored secret this build cannot verify
+ * sys_mqttSecret is persisted in every build, so flashing a build without
+ * signing refuses commands instead of running them unsigned.
+ *
+ * @returns {boolean} - True if commands must be refused
+ */
+function isCmdLocked() {
+  let locked = C.sys_mqttSecret !== ''
+  // #if sign
+  locked = false
+  // #endif
+  return locked
+}
+
+// #if sign
+/**
+ * checkCommandFields - Check timestamp and nonce of a command
+ * Cheap checks, run before the rate limit. The HMAC waits for
+ * checkSignature once the command has a slot, so flooding costs one
+ * HMAC per slot. No-op when sys_mqttSecret is empty.
+ *
+ * @param {object} cmd - Parsed command object
+ * @returns {string|null} - Error code, or null if acceptable
+ */
+function checkCommandFields(cmd) {
+  if (!C.sys_mqttSecret) return null
+  if (typeof cmd.sig !== 'string' || typeof cmd.ts !== 'number'
+    || typeof cmd.nonce !== 'string' || cmd.nonce.length === 0 || cmd.nonce.length > 32) {
+    return 'auth'
+  }
+  if (Math.abs(nowSec() - cmd.ts) > CMD_SKEW_SEC) return 'stale'
+  if (mqttNonces.indexOf(cmd.nonce) !== -1) return 'replay'
+  return null
+}
+
+/**
+ * checkSignature - Check HMAC of a command that passed checkCommandFields
+ * Repeats the nonce check, as a replayed copy may have queued behind the
+ * original. Does not record the nonce: call rememberNonce once the command
+ * runs. No-op when sys_mqttSecret is empty.
+ *
+ * @param {object} cmd     - Parsed command object
+ * @param {string} message - Raw JSON payload as received
+ * @returns {string|null} - Error code, or null if accepted
+ */
+function checkSignature(cmd, message) {
+  if (!C.sys_mqttSecret) return null
+  // Signed text is everything before ,"sig":"..." plus the closing brace
+  let tail = ',"sig":"' + cmd.sig + '"}'
+  let cut = message.length - tail.length
+  if (cut <= 0 || message.slice(cut) !== tail) return 'auth'
+  if (hmacSha256Hex(C.sys_mqttSecret, message.slice(0, cut) + '}') !== cmd.sig) return 'auth'
+  if (mqttNonces.indexOf(cmd.nonce) !== -1) return 'replay'
+  return null
+}
+
+/**
+ * rememberNonce - Record nonce of a verified command
+ * No-op when sys_mqttSecret is empty.
+ *
+ * @param {object} cmd - Parsed command object
+ */
+function rememberNonce(cmd) {
+  if (!C.sys_mqttSecret) return
+  mqttNonces[mqttNonceIdx] = cmd.nonce
+  mqttNonceIdx = (mqttNonceIdx + 1) % CMD_NONCE_MAX
+}
+// #endif
+
 // ----------------------------------------------------------
 // INTERNAL HANDLERS (not exported)
 // ----------------------------------------------------------
 
 /**
  * handleTurbo - Activate turbo cooling mode via MQTT
+ * @returns {object} - Result, val is remaining turbo seconds
  */
 function handleTurbo() {
-  if (!C.trb_enable) { print('⚠️ MQTT Turbo disabled: ignoring command (feature disabled)'); return }
+  if (!C.trb_enable) {
+    print('⚠️ MQTT Turbo disabled: ignoring command (feature disabled)')
+    return cmdFail('disabled')
+  }
+  // #if vacation
+  if (isVacation()) {
+    print('⚠️ MQTT Turbo disabled: ignoring command (vacation)')
+    return cmdFail('disabled')
+  }
+  // #endif
   V.trb_isActive = true
   V.trb_remSec = C.trb_maxTimeSec
   print('✅ MQTT Turbo ON: timer started')
+  return cmdOk(V.trb_remSec)
 }
 
 /**
  * handleTurboOff - Deactivate turbo cooling mode via MQTT
+ * @returns {object} - Result, val is remaining turbo seconds (0)
  */
 function handleTurboOff() {
   V.trb_isActive = false
   V.trb_remSec = 0
   print('✅ MQTT Turbo OFF: timer cleared')
+  return cmdOk(0)
+}
+
+// #if mandefrost
+/**
+ * handleDefrostNow - Start manual defrost via MQTT
+ * Duration defaults to dfr_manDurSec; compressor min ON still applies.
+ *
+ * @param {object} cmd - Command object with optional value (seconds)
+ * @returns {object} - Result, val is remaining defrost seconds
+ */
+function handleDefrostNow(cmd) {
+  let sec = C.dfr_manDurSec
+  if (cmd.value !== undefined) {
+    if (typeof cmd.value !== 'number') {
+      print('⚠️ MQTT Defrost rejected: value must be number')
+      return cmdFail('type')
+    }
+    if (cmd.value < 300 || cmd.value > 14400) {
+      print('⚠️ MQTT Defrost rejected: duration must be 300-14400s')
+      return cmdFail('validation')
+    }
+    sec = cmd.value
+  }
+  startManualDefrost(sec)
+  return cmdOk(V.dfr_manRemSec)
+}
+
+/**
+ * handleDefrostCancel - Stop manual defrost via MQTT
+ * Dynamic and scheduled defrost are unaffected.
+ *
+ * @returns {object} - Result, val is remaining defrost seconds (0)
+ */
+function handleDefrostCancel() {
+  if (!cancelManualDefrost()) print('ℹ️ MQTT Defrost cancel: no manual defrost running')
+  return cmdOk(0)
+}
+// #endif
+
+// #if vacation
+/**
+ * handleVacationOn - Enter vacation mode, optionally until a timestamp
+ * @param {object} cmd - Command object with optional until (Unix seconds)
+ * @returns {object} - Result, val is end timestamp (0 = until cancelled)
+ */
+function handleVacationOn(cmd) {
+  let until = 0
+  if (cmd.until !== undefined) {
+    if (typeof cmd.until !== 'number') return cmdFail('type')
+    if (cmd.until <= nowSec()) {
+      print('⚠️ MQTT Vacation rejected: end time in the past')
+      return cmdFail('validation')
+    }
+    until = Math.floor(cmd.until)
+  }
+  startVacation(until)
+  return cmdOk(until)
+}
+
+/**
+ * handleVacationOff - Leave vacation mode
+ * @returns {object} - Result, val is 0
+ */
+function handleVacationOff() {
+  if (!stopVacation()) print('ℹ️ MQTT Vacation off: not active')
+  return cmdOk(0)
 }
+// #endif
 
 /**
  * handleStatus - Log status request via MQTT
  * Status is published automatically each loop tick.
+ *
+ * @returns {object} - Result, no value
  */
 function handleStatus() {
   print('ℹ️ MQTT Status requested')
+  return cmdOk(null)
+}
+
+// #if history
+/**
+ * handleHistory - Return daily rollups (value of the ack)
+ *
+ * @returns {object} - Result, val is the day list, newest first
+ */
+function handleHistory() {
+  return cmdOk(getDayHistory())
+}
+// #endif
+
+// #if excursion
+/**
+ * handleExcursions - Return the excursion log (value of the ack)
+ * format 'csv' returns one CSV string, anything else a JSON list.
+ *
+ * @param {object} cmd - Command with optional format
+ * @returns {object} - Result, val is the log, newest first
+ */
+function handleExcursions(cmd) {
+  if (cmd.format === 'csv') return cmdOk(getExcursionsCsv(nowSec()))
+  return cmdOk(getExcursions(nowSec()))
 }
+// #endif
 
 /**
- * handleResetAlarms - Clear active alarm state via MQTT
+ * handleResetAlarms - Clear active non-fatal alarm and latch via MQTT
+ * Fatal alarms need ack_alarm with the confirmation token (builds
+ * without the latch feature clear them here, as before latching).
+ *
+ * @returns {object} - Result, val is the alarm after reset
  */
 function handleResetAlarms() {
+  // #if latch
+  if (getAlarmPolicy(V.sys_alarm) === 'fatal' || getAlarmPolicy(V.alm_latch) === 'fatal') return cmdFail('fatal')
+  V.alm_latch = ALM.NONE
+  // #endif
   V.sys_alarm = ALM.NONE
   print('✅ MQTT Alarms reset: sys_alarm=NONE')
+  return cmdOk(V.sys_alarm)
 }
 
+// #if latch
+/**
+ * handleAckAlarm - Acknowledge latched alarm via MQTT
+ * Fatal alarms take two steps: without "confirm" the ack fails with
+ * 'confirm' and returns the token, which the second ack must echo.
+ *
+ * @param {object} cmd - Parsed command with alarm code and optional confirm
+ * @returns {object} - Result, val is the acknowledged alarm
+ */
+function handleAckAlarm(cmd) {
+  if (typeof cmd.alarm !== 'string' || cmd.alarm === ALM.NONE || cmd.alarm !== V.alm_latch) {
+    return cmdFail('not_latched')
+  }
+  if (getAlarmPolicy(cmd.alarm) === 'fatal' && cmd.confirm !== V.alm_latchTs) {
+    return { err: 'confirm', val: V.alm_latchTs }
+  }
+  releaseAlarm()
+  return cmdOk(cmd.alarm)
+}
+// #endif
+
 /**
  * handleSetpoint - Update target temperature via MQTT
  * Validates new value and persists to KVS on success.
  *
  * @param {object} cmd - Command object with value field
+ * @returns {object} - Result, val is the active target
  */
 function handleSetpoint(cmd) {
   // Type check before any mutation
   if (typeof cmd.value !== 'number') {
     print('⚠️ MQTT Setpoint rejected: value must be number')
-    return
+    return cmdFail('type')
   }
   // Apply setpoint via shared validator, rollback on failure
   let oldVal = C.ctl_targetDeg
@@ -82,58 +385,643 @@ function handleSetpoint(cmd) {
   if (!ok) {
     C.ctl_targetDeg = oldVal
     print('⚠️ MQTT Setpoint rejected: validation failed')
-    return
+    return cmdFail('validation')
   }
   print('✅ MQTT Setpoint updated: target ' + cmd.value + 'C')
   persistConfig()
+  return cmdOk(C.ctl_targetDeg)
 }
 
+// #if config,profiles
 /**
- * handleMqttMessage - Process incoming MQTT command
- * Rate-limited to 1 command per 2 seconds. Parses JSON and routes to handler.
+ * isCfgKey - Check whether a field is a persisted config key
+ * Whitelist is CFG_KEYS, so only fields that round-trip through KVS are settable.
  *
- * @param {string} topic   - MQTT topic
- * @param {string} message - JSON command payload
+ * @param {string} k - Field name
+ * @returns {boolean} - True if key is listed in CFG_KEYS
  */
-function handleMqttMessage(topic, message) {
-  // Rate limit: 1 command per 2 seconds (prevents flooding)
-  let now = Shelly.getUptimeMs()
-  if (now - mqttLastCmdMs < 2000) {
-    print('⚠️ MQTT Rate limited: ignoring command')
-    return
+function isCfgKey(k) {
+  let chunks = Object.keys(CFG_KEYS)
+  for (let i = 0; i < chunks.length; i++) {
+    if (CFG_KEYS[chunks[i]].indexOf(k) !== -1) return true
   }
-  mqttLastCmdMs = now
+  return false
+}
 
-  if (!message || message.length > 256) {
-    print('⚠️ MQTT Rejected size: message empty or >256 bytes')
-    return
+/**
+ * cfgOut - Get config value for publishing
+ * The command secret is never echoed back, only whether one is set.
+ *
+ * @param {string} k - Field name
+ * @returns {*} - Value, or '***' for a non-empty secret
+ */
+function cfgOut(k) {
+  if (k === 'sys_mqttSecret' && C[k] !== '') return '***'
+  return C[k]
+}
+
+/**
+ * checkCfgValue - Whitelist and type check one config_set field
+ *
+ * @param {string} k - Field name
+ * @param {*} v - Requested value
+ * @returns {string|null} - Error code, or null if acceptable
+ */
+function checkCfgValue(k, v) {
+  if (!isCfgKey(k)) {
+    print('⚠️ MQTT Config rejected: unknown key ' + k)
+    return 'unknown_key'
+  }
+  if (typeof v !== typeof DEFAULT[k]) {
+    print('⚠️ MQTT Config rejected: ' + k + ' must be ' + typeof DEFAULT[k])
+    return 'type'
   }
+  // Topics are not range-validated, so guard against blanking them
+  // ('' is valid only for the secret, where it disables signing)
+  if (v === '' && k !== 'sys_mqttSecret') {
+    print('⚠️ MQTT Config rejected: ' + k + ' must not be empty')
+    return 'empty'
+  }
+  // A secret this build cannot verify would lock out every command
+  let canSign = false
+  // #if sign
+  canSign = true
+  // #endif
+  if (k === 'sys_mqttSecret' && v !== '' && !canSign) {
+    print('⚠️ MQTT Config rejected: sys_mqttSecret needs a sign build')
+    return 'unsupported'
+  }
+  return null
+}
+// #endif
 
+// #if config
+/**
+ * handleConfigSet - Update one or more config fields via MQTT
+ * Accepts {key, value} or {values: {key: value, ...}}. Batch is all-or-nothing:
+ * every key is type-checked before mutation, and any validation revert
+ * rolls back the whole batch.
+ *
+ * @param {object} cmd - Command object with key/value or values field
+ * @returns {object} - Result, val is the applied fields
+ */
+function handleConfigSet(cmd) {
+  let vals = cmd.values
+  if (typeof cmd.key === 'string') {
+    vals = {}
+    vals[cmd.key] = cmd.value
+  }
+  if (typeof vals !== 'object' || vals === null) {
+    print('⚠️ MQTT Config rejected: key/value or values required')
+    return cmdFail('missing')
+  }
+  return applyConfigValues(vals)
+}
+// #endif
+
+// #if config
+/**
+ * applySysConfig - Apply changed sys_ fields that are otherwise read at boot
+ * Moves the command subscription, re-arms the loop timer and republishes
+ * retained topics. The old availability topic is left 'offline'.
+ *
+ * @param {object} old - Config snapshot from before the change
+ */
+function applySysConfig(old) {
+  if (C.sys_mqttCmd !== old.sys_mqttCmd) {
+    MQTT.unsubscribe(old.sys_mqttCmd)
+    setupMqttCommands()
+  }
+  if (C.sys_loopSec !== old.sys_loopSec) restartMainLoop()
+  if (C.sys_mqttAvail !== old.sys_mqttAvail) {
+    MQTT.publish(old.sys_mqttAvail, 'offline', 1, true)
+    publishAvailability(true)
+  }
+  // #if ha
+  if (C.sys_mqttCmd !== old.sys_mqttCmd || C.sys_mqttTopic !== old.sys_mqttTopic
+    || C.sys_mqttAvail !== old.sys_mqttAvail) publishDiscovery()
+  // #endif
+}
+// #endif
+
+// #if config,profiles
+/**
+ * applyConfigValues - Apply a batch of config fields all-or-nothing
+ * Shared by config_set and profile_use.
+ *
+ * @param {object} vals - Field name to value map
+ * @returns {object} - Result, val is the applied fields
+ */
+function applyConfigValues(vals) {
+  // Whitelist and type check before any mutation
+  let keys = Object.keys(vals)
+  if (keys.length === 0) {
+    print('⚠️ MQTT Config rejected: no fields')
+    return cmdFail('missing')
+  }
+  for (let i = 0; i < keys.length; i++) {
+    let err = checkCfgValue(keys[i], vals[keys[i]])
+    if (err !== null) return cmdFail(err)
+  }
+
+  // Snapshot all of C: validateConfig may reset fields outside the batch
+  // (range pairs, conflicting inputs), which must come back on rollback
+  let old = {}
+  let cfgKeys = Object.keys(C)
+  for (let i = 0; i < cfgKeys.length; i++) old[cfgKeys[i]] = C[cfgKeys[i]]
+  for (let i = 0; i < keys.length; i++) C[keys[i]] = vals[keys[i]]
+
+  // Apply via shared validator, rollback on failure
+  let reverted = validateConfig()
+  if (reverted.length > 0) {
+    for (let i = 0; i < cfgKeys.length; i++) C[cfgKeys[i]] = old[cfgKeys[i]]
+    print('⚠️ MQTT Config rejected: validation failed (' + reverted.join(',') + ')')
+    return cmdFail('validation')
+  }
+  print('✅ MQTT Config updated: ' + keys.join(','))
+  persistConfig()
+  // #if config
+  applySysConfig(old)
+  // #endif
+  let applied = {}
+  for (let i = 0; i < keys.length; i++) applied[keys[i]] = cfgOut(keys[i])
+  return cmdOk(applied)
+}
+// #endif
+
+// #if config
+/**
+ * handleConfigGet - Publish current config via MQTT
+ * With key: publishes that field only. Without: one message per CFG_KEYS
+ * chunk, sequentially via Timer to keep peak heap low.
+ *
+ * @param {object} cmd - Command object with optional key field
+ * @returns {object} - Result, val is the field value (single key only)
+ */
+function handleConfigGet(cmd) {
+  let topic = C.sys_mqttTopic + '/config'
+  if (typeof cmd.key === 'string') {
+    if (!isCfgKey(cmd.key)) {
+      print('⚠️ MQTT Config get rejected: unknown key ' + cmd.key)
+      return cmdFail('unknown_key')
+    }
+    let out = {}
+    out[cmd.key] = cfgOut(cmd.key)
+    MQTT.publish(topic, JSON.stringify(out), 0, false)
+    return cmdOk(out[cmd.key])
+  }
+
+  let chunks = Object.keys(CFG_KEYS)
+  let idx = 0
+
+  /**
+   * next - Publish next config chunk in sequence
+   * @internal
+   */
+  function next() {
+    if (idx >= chunks.length) {
+      print('ℹ️ MQTT Config published (' + idx + ' chunks)')
+      return
+    }
+    let fields = CFG_KEYS[chunks[idx]]
+    idx++
+    let msg = {}
+    for (let i = 0; i < fields.length; i++) msg[fields[i]] = cfgOut(fields[i])
+    MQTT.publish(topic, JSON.stringify(msg), 0, false)
+    Timer.set(0, false, next)
+  }
+  next()
+  return cmdOk(null)
+}
+// #endif
+
+// #if schedule
+/**
+ * editSchedule - Copy schedule with one slot set, appended or removed
+ *
+ * @param {number} idx - Slot index (length = append)
+ * @param {number[]|null} win - New window, null removes the slot
+ * @returns {number[][]|null} - New schedule, null if index out of range
+ */
+function editSchedule(idx, win) {
+  let cur = C.sch_windows
+  if (idx < 0 || idx > cur.length) return null
+  let arr = []
+  for (let i = 0; i < cur.length; i++) {
+    if (i !== idx) arr.push(cur[i])
+    else if (win !== null) arr.push(win)
+  }
+  if (idx === cur.length && win !== null) arr.push(win)
+  return arr
+}
+
+/**
+ * handleScheduleSet - Replace schedule or edit one window
+ * {windows:[...]} replaces all; {index, window} sets slot index (index ===
+ * length appends, window null removes). Edits fit the 256-byte limit
+ * when signed; read back with config_get key sch_windows.
+ *
+ * @param {object} cmd - Command object with windows or index/window
+ * @returns {object} - Result, val is the resulting window count
+ */
+function handleScheduleSet(cmd) {
+  let arr = null
+  if (cmd.windows && cmd.windows.constructor === Array) {
+    arr = cmd.windows
+  } else if (typeof cmd.index === 'number' && cmd.window !== undefined) {
+    arr = editSchedule(cmd.index, cmd.window)
+  } else {
+    return cmdFail('missing')
+  }
+
+  if (arr === null || !isValidSchedule(arr)) {
+    print('⚠️ MQTT Schedule rejected: invalid window or more than 8')
+    return cmdFail('validation')
+  }
+  C.sch_windows = arr
+  persistConfig()
+  print('✅ MQTT Schedule updated: ' + arr.length + ' windows')
+  return cmdOk(arr.length)
+}
+// #endif
+
+// ----------------------------------------------------------
+// PROFILES
+// Built-ins come from getBuiltinProfile; user profiles are stored
+// one per KVS key (fridge_prf_<name>) and only read when applied.
+// ----------------------------------------------------------
+
+// #if profiles
+/**
+ * isProfileName - Check profile name (1-16 chars of a-z, 0-9, _ and -)
+ * @param {*} n - Requested name
+ * @returns {boolean} - True if valid
+ */
+function isProfileName(n) {
+  if (typeof n !== 'string' || n.length === 0 || n.length > 16) return false
+  for (let i = 0; i < n.length; i++) {
+    if ('abcdefghijklmnopqrstuvwxyz0123456789_-'.indexOf(n.charAt(i)) === -1) return false
+  }
+  return true
+}
+
+/**
+ * hasSysKey - Check for sys_ fields (hardware, topics, secret)
+ * Profiles describe the appliance, not the device, so these are refused.
+ *
+ * @param {object} vals - Field name to value map
+ * @returns {boolean} - True if any key starts with sys_
+ */
+function hasSysKey(vals) {
+  let keys = Object.keys(vals)
+  for (let i = 0; i < keys.length; i++) {
+    if (keys[i].indexOf('sys_') === 0) return true
+  }
+  return false
+}
+
+/**
+ * applyProfile - Apply profile overrides and record the active name
+ *
+ * @param {string} name - Profile name
+ * @param {object} vals - Config overrides
+ * @returns {object} - Result, val is the profile name
+ */
+function applyProfile(name, vals) {
+  if (hasSysKey(vals)) {
+    print('⚠️ MQTT Profile rejected: sys_ fields not allowed')
+    return cmdFail('forbidden')
+  }
+  let res = applyConfigValues(vals)
+  if (res.err !== null) return res
+  S.prf_name = name
+  persistState()
+  print('✅ MQTT Profile applied: ' + name)
+  return cmdOk(name)
+}
+
+/**
+ * handleProfileUse - Switch to a built-in or saved profile
+ * User profiles are read from KVS, so the result is replied asynchronously.
+ *
+ * @param {object} cmd - Command object with name
+ * @param {Function} reply - Called with (cmd, result) for async results
+ * @returns {object|null} - Result, or null when reply is called later
+ */
+function handleProfileUse(cmd, reply) {
+  let name = cmd.name
+  if (!isProfileName(name)) {
+    print('⚠️ MQTT Profile rejected: invalid name')
+    return cmdFail('validation')
+  }
+  let builtin = getBuiltinProfile(name)
+  if (builtin !== null) return applyProfile(name, builtin)
+
+  // CRITICAL: Use $_ prefix for callback params (mJS scoping bug)
+  Shelly.call('KVS.Get', { key: 'fridge_prf_' + name }, function ($_res, $_err) {
+    let vals = null
+    if ($_err === 0 && $_res && typeof $_res.value === 'string') {
+      try {
+        vals = JSON.parse($_res.value)
+      } catch (e) {
+        vals = null
+      }
+    }
+    if (typeof vals !== 'object' || vals === null) {
+      print('⚠️ MQTT Profile not found: ' + name)
+      reply(cmd, cmdFail('not_found'))
+      return
+    }
+    reply(cmd, applyProfile(name, vals))
+  })
+  return null
+}
+
+/**
+ * handleProfileSave - Store or delete a user profile
+ * {name, values:{...}} stores overrides (checked like config_set, sys_
+ * fields refused); values null deletes. Built-in names are read-only.
+ *
+ * @param {object} cmd - Command object with name and values
+ * @returns {object} - Result, val is the profile name
+ */
+function handleProfileSave(cmd) {
+  let name = cmd.name
+  if (!isProfileName(name)) {
+    print('⚠️ MQTT Profile rejected: invalid name')
+    return cmdFail('validation')
+  }
+  if (getBuiltinProfile(name) !== null) {
+    print('⚠️ MQTT Profile rejected: ' + name + ' is built-in')
+    return cmdFail('builtin')
+  }
+  let key = 'fridge_prf_' + name
+  if (cmd.values === null) {
+    Shelly.call('KVS.Delete', { key: key })
+    print('✅ MQTT Profile deleted: ' + name)
+    return cmdOk(name)
+  }
+
+  let vals = cmd.values
+  if (typeof vals !== 'object' || Object.keys(vals).length === 0) return cmdFail('missing')
+  if (hasSysKey(vals)) return cmdFail('forbidden')
+  let keys = Object.keys(vals)
+  for (let i = 0; i < keys.length; i++) {
+    let err = checkCfgValue(keys[i], vals[keys[i]])
+    if (err !== null) return cmdFail(err)
+  }
+  Shelly.call('KVS.Set', { key: key, value: JSON.stringify(vals) })
+  print('✅ MQTT Profile saved: ' + name + ' (' + keys.length + ' fields)')
+  return cmdOk(name)
+}
+// #endif
+
+/**
+ * dispatchCommand - Route parsed command to its handler
+ *
+ * @param {object} cmd - Parsed command object with cmd string
+ * @param {Function} reply - Called with (cmd, result) by async handlers
+ * @returns {object|null} - Result from handler, null if replied later
+ */
+// eslint-disable-next-line complexity, sonarjs/cognitive-complexity -- flat one-line route per command
+function dispatchCommand(cmd, reply) {
+  let c = cmd.cmd
+
+  if (c === 'turbo_on') return handleTurbo()
+  if (c === 'turbo_off') return handleTurboOff()
+  // #if mandefrost
+  if (c === 'defrost_now') return handleDefrostNow(cmd)
+  if (c === 'defrost_cancel') return handleDefrostCancel()
+  // #endif
+  // #if vacation
+  if (c === 'vacation_on') return handleVacationOn(cmd)
+  if (c === 'vacation_off') return handleVacationOff()
+  // #endif
+  if (c === 'status') return handleStatus()
+  // #if history
+  if (c === 'history') return handleHistory()
+  // #endif
+  // #if excursion
+  if (c === 'excursions') return handleExcursions(cmd)
+  // #endif
+  if (c === 'reset_alarms') return handleResetAlarms()
+  // #if latch
+  if (c === 'ack_alarm') return handleAckAlarm(cmd)
+  // #endif
+  if (c === 'setpoint') return handleSetpoint(cmd)
+  // #if config
+  if (c === 'config_set') return handleConfigSet(cmd)
+  if (c === 'config_get') return handleConfigGet(cmd)
+  // #endif
+  // #if schedule
+  if (c === 'schedule_set') return handleScheduleSet(cmd)
+  // #endif
+  // #if profiles
+  if (c === 'profile_use') return handleProfileUse(cmd, reply)
+  if (c === 'profile_save') return handleProfileSave(cmd)
+  // #endif
+  print('⚠️ MQTT Unknown cmd: ' + c)
+  return cmdFail('unknown_cmd')
+}
+
+/**
+ * parseCommand - Parse raw command JSON
+ * @param {string} message - JSON command payload
+ * @returns {object|null} - Parsed object, or null if not a JSON object
+ */
+function parseCommand(message) {
   let cmd = null
   try {
     cmd = JSON.parse(message)
   } catch (e) {
     print('⚠️ MQTT Parse failed: invalid JSON')
+    return null
+  }
+  if (typeof cmd !== 'object' || cmd === null) {
+    print('⚠️ MQTT Invalid structure: not an object')
+    return null
+  }
+  return cmd
+}
+
+// #if http
+/**
+ * runCommand - Parse, authenticate and execute a command
+ * Used by the HTTP API, which replies to auth failures. Unparseable
+ * messages reply with a null cmd.
+ *
+ * @param {string} message - JSON command payload
+ * @param {string|null} forceCmd - Command name to apply regardless of body
+ * @param {Function} reply - Called with (cmd, result)
+ */
+function runCommand(message, forceCmd, reply) {
+  let cmd = parseCommand(message)
+  if (cmd === null) {
+    reply(null, cmdFail('parse'))
     return
   }
+  if (forceCmd) cmd.cmd = forceCmd
 
-  if (typeof cmd !== 'object' || cmd === null || typeof cmd.cmd !== 'string') {
-    print('⚠️ MQTT Invalid structure: message must be object with cmd string')
+  let authErr = isCmdLocked() ? 'auth' : null
+  // #if sign
+  authErr = checkCommandFields(cmd)
+  if (authErr === null) authErr = checkSignature(cmd, message)
+  // #endif
+  if (authErr !== null) {
+    print('⚠️ MQTT Auth failed: ' + authErr)
+    reply(cmd, cmdFail(authErr))
     return
   }
+  // #if sign
+  rememberNonce(cmd)
+  // #endif
+  runVerified(cmd, reply)
+}
+// #endif
 
-  let c = cmd.cmd
+/**
+ * runVerified - Execute a parsed, authenticated command
+ * Result goes to reply: publishAck for MQTT, an HTTP response for the API.
+ *
+ * @param {object} cmd - Parsed command object
+ * @param {Function} reply - Called with (cmd, result)
+ */
+function runVerified(cmd, reply) {
+  if (typeof cmd.cmd !== 'string') {
+    print('⚠️ MQTT Invalid structure: cmd must be a string')
+    reply(cmd, cmdFail('invalid'))
+    return
+  }
 
-  if (c === 'turbo_on') { handleTurbo(); return }
-  if (c === 'turbo_off') { handleTurboOff(); return }
-  if (c === 'status') { handleStatus(); return }
-  if (c === 'reset_alarms') { handleResetAlarms(); return }
-  if (c === 'setpoint') { handleSetpoint(cmd); return }
-  print('⚠️ MQTT Unknown cmd: ' + c)
+  // null result: handler replies itself once its async work completes
+  let res = dispatchCommand(cmd, reply)
+  if (res !== null) reply(cmd, res)
+}
+
+// #if http
+/**
+ * execCommand - Run a command immediately, outside the MQTT queue
+ * Used by the HTTP API: the caller is waiting on the response, so a command
+ * inside the rate-limit window is rejected instead of queued.
+ *
+ * @param {string} message - JSON command payload
+ * @param {string|null} forceCmd - Command name to apply regardless of body
+ * @param {Function} reply - Called with (cmd, result)
+ */
+function execCommand(message, forceCmd, reply) {
+  if (!message || message.length > 256) {
+    reply(null, cmdFail('size'))
+    return
+  }
+  let now = Shelly.getUptimeMs()
+  let busy = now - mqttLastCmdMs < 2000
+  // #if queue
+  busy = busy || mqttQueue.length > 0
+  // #endif
+  if (busy) {
+    reply(null, cmdFail('rate_limited'))
+    return
+  }
+  mqttLastCmdMs = now
+  runCommand(message, forceCmd, reply)
+}
+// #endif
+
+// #if queue
+/**
+ * drainQueue - Run the oldest queued command, reschedule if more wait
+ * @internal
+ */
+function drainQueue() {
+  mqttQueueTimer = null
+  let next = mqttQueue[0]
+  for (let i = 1; i < mqttQueue.length; i++) mqttQueue[i - 1] = mqttQueue[i]
+  mqttQueue.length = mqttQueue.length - 1
+
+  mqttLastCmdMs = Shelly.getUptimeMs()
+  runSigned(next.cmd, next.msg)
+  if (mqttQueue.length > 0) mqttQueueTimer = Timer.set(2000, false, drainQueue)
+}
+// #endif
+
+/**
+ * runSigned - Check the signature of an MQTT command, then run and ack it
+ * Called once the command has a rate-limit slot, so the HMAC runs at most
+ * once per slot. Forged messages are dropped without an ack.
+ *
+ * @param {object} cmd     - Parsed command object
+ * @param {string} message - Raw JSON payload as received
+ */
+function runSigned(cmd, message) {
+  // #if sign
+  let authErr = checkSignature(cmd, message)
+  if (authErr !== null) {
+    print('⚠️ MQTT Auth failed: ' + authErr + ' (dropped)')
+    return
+  }
+  rememberNonce(cmd)
+  // #endif
+  runVerified(cmd, publishAck)
+}
+
+/**
+ * handleMqttMessage - Process incoming MQTT command
+ * Rate-limited to 1 command per 2 seconds. Commands inside the window are
+ * queued (up to CMD_QUEUE_MAX) and run in order at the next free slot;
+ * builds without the queue feature reject them with 'rate_limited'.
+ * Oversized and unparseable messages, and signed-mode messages with a bad
+ * format, stale timestamp or used nonce, are dropped without an ack before
+ * the rate limit. The signature is checked when the command runs (the
+ * longest queue wait, 8s, is inside the 15s timestamp window).
+ *
+ * @param {string} topic   - MQTT topic
+ * @param {string} message - JSON command payload
+ */
+function handleMqttMessage(topic, message) {
+  if (!message || message.length > 256) {
+    print('⚠️ MQTT Rejected size: message empty or >256 bytes')
+    return
+  }
+  let cmd = parseCommand(message)
+  if (cmd === null) return
+  // #if sign
+  let authErr = checkCommandFields(cmd)
+  if (authErr !== null) {
+    print('⚠️ MQTT Auth failed: ' + authErr + ' (dropped)')
+    return
+  }
+  // #endif
+
+  // Rate limit: 1 command per 2 seconds (prevents flooding)
+  let now = Shelly.getUptimeMs()
+  let busy = now - mqttLastCmdMs < 2000
+  // #if queue
+  busy = busy || mqttQueue.length > 0
+  // #endif
+  if (!busy) {
+    mqttLastCmdMs = now
+    runSigned(cmd, message)
+    return
+  }
+
+  let err = 'rate_limited'
+  // #if queue
+  if (mqttQueue.length < CMD_QUEUE_MAX) {
+    mqttQueue.push({ cmd: cmd, msg: message })
+    print('ℹ️ MQTT Rate limited: command queued (' + mqttQueue.length + '/' + CMD_QUEUE_MAX + ')')
+    if (mqttQueueTimer === null) {
+      mqttQueueTimer = Timer.set(2000 - (now - mqttLastCmdMs), false, drainQueue)
+    }
+    return
+  }
+  err = 'queue_full'
+  // #endif
+  print('⚠️ MQTT ' + (err === 'queue_full' ? 'Queue full' : 'Rate limited') + ': rejecting command')
+  publishAck(cmd, cmdFail(err))
 }
 
 // ----------------------------------------------------------
 // EXPORTS
 // ----------------------------------------------------------
 
-export { setupMqttCommands }
+export { setupMqttCommands, execCommand, buildAck, isCfgKey, cfgOut }
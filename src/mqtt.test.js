@@ -2,14 +2,22 @@
 // MQTT TESTS
 // Validates MQTT command handling.
 // Current mqtt.js only exports setupMqttCommands - handles turbo_on, turbo_off,
-// status, reset_alarms, and setpoint commands.
+// status, reset_alarms, ack_alarm, setpoint, config_set, config_get, schedule_set and
+// profile commands, and
+// acknowledges commands carrying an id on <sys_mqttCmd>/ack. With
+// sys_mqttSecret set, commands must be HMAC-signed. execCommand is the
+// unqueued entry point used by the HTTP API.
 // ==============================================================================
 
+import { createHmac } from 'node:crypto'
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 
 describe('MQTT Commands', () => {
-  let setupMqttCommands
-  let mockV, mockC, mockALM, mockMqttSubscribe, mockPersistConfig, mockValidateConfig
+  let setupMqttCommands, execCommand
+  let mockV, mockC, mockALM, mockMqttSubscribe, mockMqttPublish, mockPersistConfig, mockValidateConfig
+  let pendingTimers, mockStartManualDefrost, mockCancelManualDefrost
+  let mockS, mockStartVacation, mockPersistState
+  let mockMqttUnsubscribe, mockRestartMainLoop, mockPublishDiscovery
 
   beforeEach(async () => {
     vi.resetModules()
@@ -20,41 +28,140 @@ describe('MQTT Commands', () => {
       LOCKED: 'ALARM_ROTOR_LOCKED',
     }
 
+    // Vacation flag lives in S; mqtt.js only sees it through features mocks
+    mockS = { vac_isActive: false, prf_name: '' }
+    mockPersistState = vi.fn()
+    mockStartVacation = vi.fn(() => { mockS.vac_isActive = true })
+
     mockV = {
       sys_alarm: 'NONE',
+      alm_latch: 'NONE',
+      alm_latchTs: 0,
       trb_isActive: false,
       trb_remSec: 0,
+      dfr_manRemSec: 0,
     }
 
     mockC = {
+      sys_loopSec: 5,
       sys_mqttCmd: 'fridge/cmd',
       trb_enable: true,
       trb_maxTimeSec: 3600,
       ctl_targetDeg: 4.0,
       ctl_hystDeg: 1.0,
+      sys_mqttTopic: 'fridge/status',
+      sys_mqttSecret: '',
+      dfr_schedHour: 1,
+      dfr_manDurSec: 1800,
+      dor_enable: true,
+      adt_hystMinDeg: 0.5,
+      adt_hystMaxDeg: 3.0,
+      adt_targetMinSec: 600,
+      adt_targetMaxSec: 1200,
+      alm_lowDeg: 0.0,
+      alm_highDeg: 10.0,
+      dor_pauseSec: 300,
+      dor_escSec: 1800,
+      dor_inputId: -1,
+      htr_host: '',
+      htr_switchId: 1,
+      sch_windows: [],
     }
 
     mockPersistConfig = vi.fn()
+    mockStartManualDefrost = vi.fn((sec) => { mockV.dfr_manRemSec = sec })
+    mockCancelManualDefrost = vi.fn(() => true)
     mockValidateConfig = vi.fn().mockReturnValue([])
 
     mockMqttSubscribe = vi.fn()
-    global.MQTT = { subscribe: mockMqttSubscribe }
+    mockMqttPublish = vi.fn()
+    mockMqttUnsubscribe = vi.fn()
+    global.MQTT = { subscribe: mockMqttSubscribe, unsubscribe: mockMqttUnsubscribe, publish: mockMqttPublish }
+    mockRestartMainLoop = vi.fn()
+    mockPublishDiscovery = vi.fn()
+    // Zero-delay timers (sequential publishing) run inline; queue drains wait
+    pendingTimers = []
+    global.Timer = {
+      set: vi.fn((d, r, cb) => {
+        if (d === 0) cb()
+        else pendingTimers.push({ d, cb })
+        return 1
+      }),
+    }
     global.print = vi.fn()
     global.Shelly = { getUptimeMs: vi.fn().mockReturnValue(10000) }
 
     vi.doMock('./constants.js', () => ({ ALM: mockALM }))
     vi.doMock('./config.js', () => ({
-      DEFAULT: { sys_mqttCmd: 'fridge/cmd' },
+      DEFAULT: {
+        sys_loopSec: 5,
+        sys_mqttCmd: 'fridge/cmd',
+        sys_mqttTopic: 'fridge/status',
+        sys_mqttSecret: '',
+        ctl_targetDeg: 4.0,
+        ctl_hystDeg: 1.0,
+        dfr_schedHour: 1,
+        dfr_manDurSec: 1800,
+        dor_enable: true,
+        alm_lowDeg: 0.0,
+        alm_highDeg: 10.0,
+        dor_escSec: 1800,
+      },
       C: mockC,
+      CFG_KEYS: {
+        fridge_cfg_sys: ['sys_loopSec', 'sys_mqttTopic', 'sys_mqttCmd'],
+        fridge_cfg_sec: ['sys_mqttSecret'],
+        fridge_cfg_ctl: ['ctl_targetDeg', 'ctl_hystDeg'],
+        fridge_cfg_dfr: ['dfr_schedHour'],
+        fridge_cfg_dor: ['dor_enable', 'dor_escSec'],
+        fridge_cfg_alm: ['alm_lowDeg', 'alm_highDeg'],
+      },
       persistConfig: mockPersistConfig,
       validateConfig: mockValidateConfig,
+      // Real rules are covered in config.test.js
+      isValidSchedule: vi.fn(arr => arr.length <= 8 && arr.every(w => Array.isArray(w) && w.length === 5)),
+      getBuiltinProfile: vi.fn(n => (n === 'beer' ? { ctl_targetDeg: 3.0, ctl_hystDeg: 0.5 } : null)),
     }))
     vi.doMock('./state.js', () => ({
+      S: mockS,
       V: mockV,
+      persistState: mockPersistState,
+    }))
+    // Real policy table is covered in alarms.test.js
+    vi.doMock('./alarms.js', () => ({
+      getAlarmPolicy: vi.fn(a => (a === mockALM.WELD || a === mockALM.LOCKED ? 'fatal' : a === 'NONE' ? 'auto' : 'ack')),
+      releaseAlarm: vi.fn(() => {
+        mockV.sys_alarm = 'NONE'
+        mockV.alm_latch = 'NONE'
+      }),
+    }))
+    vi.doMock('./metrics.js', () => ({
+      getDayHistory: vi.fn(() => [{ ts: 86400, duty: 42.5, cycles: 30, wh: 1200 }]),
+    }))
+    vi.doMock('./excursion.js', () => ({
+      getExcursions: vi.fn(() => [{ start: 1000, end: 1600, dur: 600, peak: 7.2, cause: 'door' }]),
+      getExcursionsCsv: vi.fn(() => 'start,end,dur,peak,cause\n1000,1600,600,7.2,door\n'),
+    }))
+    vi.doMock('./features.js', () => ({
+      startManualDefrost: mockStartManualDefrost,
+      cancelManualDefrost: mockCancelManualDefrost,
+      isVacation: vi.fn(() => mockS.vac_isActive),
+      startVacation: mockStartVacation,
+      stopVacation: vi.fn(() => {
+        let was = mockS.vac_isActive
+        mockS.vac_isActive = false
+        return was
+      }),
+    }))
+    vi.doMock('./reporting.js', () => ({
+      publishAvailability: vi.fn(),
+      publishDiscovery: mockPublishDiscovery,
     }))
+    vi.doMock('./loop.js', () => ({ restartMainLoop: mockRestartMainLoop }))
 
     const module = await import('./mqtt.js')
     setupMqttCommands = module.setupMqttCommands
+    execCommand = module.execCommand
   })
 
   // ----------------------------------------------------------
@@ -126,26 +233,28 @@ describe('MQTT Commands', () => {
       expect(mockV.sys_alarm).toBe('NONE')
     })
 
-    // Design decision: MQTT reset_alarms clears ALL alarms including fatal.
-    // This allows remote recovery without physical device access.
-    it('should reset fatal WELD alarm (intentional design)', () => {
-      mockV.sys_alarm = 'ALARM_RELAY_WELD'
+    it('should clear non-fatal latch on reset_alarms', () => {
+      mockV.alm_latch = 'ALARM_COOLING_FAIL'
       setupMqttCommands()
       const handler = mockMqttSubscribe.mock.calls[0][1]
 
       handler('fridge/cmd', JSON.stringify({ cmd: 'reset_alarms' }))
 
-      expect(mockV.sys_alarm).toBe('NONE')
+      expect(mockV.alm_latch).toBe('NONE')
     })
 
-    it('should reset fatal LOCKED alarm (intentional design)', () => {
-      mockV.sys_alarm = 'ALARM_ROTOR_LOCKED'
-      setupMqttCommands()
-      const handler = mockMqttSubscribe.mock.calls[0][1]
+    it.each([
+      ['ALARM_RELAY_WELD'],
+      ['ALARM_ROTOR_LOCKED'],
+    ])('should refuse reset_alarms for fatal %s', (alarm) => {
+      mockV.sys_alarm = alarm
+      mockV.alm_latch = alarm
+      const reply = vi.fn()
 
-      handler('fridge/cmd', JSON.stringify({ cmd: 'reset_alarms' }))
+      execCommand(JSON.stringify({ cmd: 'reset_alarms' }), null, reply)
 
-      expect(mockV.sys_alarm).toBe('NONE')
+      expect(reply.mock.calls[0][1].err).toBe('fatal')
+      expect(mockV.sys_alarm).toBe(alarm)
     })
 
     it('should handle status command', () => {
@@ -222,6 +331,249 @@ describe('MQTT Commands', () => {
       expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Setpoint rejected'))
     })
 
+    // ----------------------------------------------------------
+    // DEFROST COMMAND TESTS
+    // ----------------------------------------------------------
+
+    it('should start manual defrost with default duration', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'defrost_now' }))
+
+      expect(mockStartManualDefrost).toHaveBeenCalledWith(1800)
+    })
+
+    it('should start manual defrost with given duration', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'defrost_now', value: 600 }))
+
+      expect(mockStartManualDefrost).toHaveBeenCalledWith(600)
+    })
+
+    it('should reject out-of-range defrost duration', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'defrost_now', value: 60 }))
+
+      expect(mockStartManualDefrost).not.toHaveBeenCalled()
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Defrost rejected'))
+    })
+
+    it('should cancel manual defrost', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'defrost_cancel' }))
+
+      expect(mockCancelManualDefrost).toHaveBeenCalled()
+    })
+
+    // ----------------------------------------------------------
+    // CONFIG COMMAND TESTS
+    // ----------------------------------------------------------
+
+    it('should set single config key', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_set', key: 'dfr_schedHour', value: 2 }))
+
+      expect(mockC.dfr_schedHour).toBe(2)
+      expect(mockPersistConfig).toHaveBeenCalledTimes(1)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Config updated: dfr_schedHour'))
+    })
+
+    it('should set batch of config keys with single persist', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({
+        cmd: 'config_set',
+        values: { ctl_hystDeg: 1.5, dor_enable: false },
+      }))
+
+      expect(mockC.ctl_hystDeg).toBe(1.5)
+      expect(mockC.dor_enable).toBe(false)
+      expect(mockPersistConfig).toHaveBeenCalledTimes(1)
+    })
+
+    it('should reject keys not in CFG_KEYS', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_set', key: 'trb_isActive', value: true }))
+
+      expect(mockC.trb_isActive).toBeUndefined()
+      expect(mockPersistConfig).not.toHaveBeenCalled()
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('unknown key trb_isActive'))
+    })
+
+    it('should reject type mismatch without mutating any key', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({
+        cmd: 'config_set',
+        values: { ctl_hystDeg: 1.5, dfr_schedHour: '2' },
+      }))
+
+      expect(mockC.ctl_hystDeg).toBe(1.0)
+      expect(mockC.dfr_schedHour).toBe(1)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('dfr_schedHour must be number'))
+    })
+
+    it('should reject empty topic string', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_set', key: 'sys_mqttTopic', value: '' }))
+
+      expect(mockC.sys_mqttTopic).toBe('fridge/status')
+      expect(mockPersistConfig).not.toHaveBeenCalled()
+    })
+
+    it('should roll back whole batch when validation reverts', () => {
+      mockValidateConfig.mockImplementation(() => {
+        // Simulate validator resetting an out-of-range field and a range pair
+        mockC.dfr_schedHour = 1
+        mockC.adt_hystMaxDeg = 5.0
+        return ['dfr_schedHour', 'adt_hyst_range']
+      })
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({
+        cmd: 'config_set',
+        values: { ctl_hystDeg: 1.5, dfr_schedHour: 99 },
+      }))
+
+      expect(mockC.ctl_hystDeg).toBe(1.0)
+      expect(mockC.dfr_schedHour).toBe(1)
+      expect(mockC.adt_hystMaxDeg).toBe(3.0)
+      expect(mockPersistConfig).not.toHaveBeenCalled()
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Config rejected: validation failed'))
+    })
+
+    it('should restore the untouched end of a reset range pair', () => {
+      mockC.alm_highDeg = 15.0
+      mockValidateConfig.mockImplementation(() => {
+        // Simulate alm_temp_range: low >= high resets both ends to defaults
+        mockC.alm_lowDeg = 0.0
+        mockC.alm_highDeg = 10.0
+        return ['alm_temp_range']
+      })
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_set', key: 'alm_lowDeg', value: 16.0 }))
+
+      expect(mockC.alm_lowDeg).toBe(0.0)
+      expect(mockC.alm_highDeg).toBe(15.0)
+      expect(mockPersistConfig).not.toHaveBeenCalled()
+    })
+
+    it('should leave fields outside a rejected batch unchanged', () => {
+      mockC.dor_pauseSec = 900
+      mockC.dor_inputId = 0
+      mockC.htr_host = '192.168.1.50'
+      mockC.htr_switchId = 0
+      mockValidateConfig.mockImplementation(() => {
+        // Simulate every pair reset validateConfig does beyond the batch
+        mockC.dor_pauseSec = 300
+        mockC.dor_escSec = 1800
+        mockC.dor_inputId = -1
+        mockC.htr_host = ''
+        mockC.htr_switchId = 1
+        return ['dor_esc_range', 'dor_inputId', 'htr_switchId']
+      })
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_set', key: 'dor_escSec', value: 600 }))
+
+      expect(mockC.dor_escSec).toBe(1800)
+      expect(mockC.dor_pauseSec).toBe(900)
+      expect(mockC.dor_inputId).toBe(0)
+      expect(mockC.htr_host).toBe('192.168.1.50')
+      expect(mockC.htr_switchId).toBe(0)
+      expect(mockPersistConfig).not.toHaveBeenCalled()
+    })
+
+    it('should reject config_set without key or values', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_set' }))
+
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('key/value or values required'))
+    })
+
+    it('should move the command subscription when sys_mqttCmd changes', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_set', key: 'sys_mqttCmd', value: 'fridge/cmd2' }))
+
+      expect(mockMqttUnsubscribe).toHaveBeenCalledWith('fridge/cmd')
+      expect(mockMqttSubscribe).toHaveBeenLastCalledWith('fridge/cmd2', expect.any(Function))
+      expect(mockPublishDiscovery).toHaveBeenCalled()
+      expect(mockRestartMainLoop).not.toHaveBeenCalled()
+    })
+
+    it('should restart the main loop when sys_loopSec changes', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_set', key: 'sys_loopSec', value: 10 }))
+
+      expect(mockRestartMainLoop).toHaveBeenCalledTimes(1)
+      expect(mockMqttUnsubscribe).not.toHaveBeenCalled()
+    })
+
+    it('should leave subscription and loop alone for other fields', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_set', key: 'dfr_schedHour', value: 2 }))
+
+      expect(mockMqttUnsubscribe).not.toHaveBeenCalled()
+      expect(mockRestartMainLoop).not.toHaveBeenCalled()
+      expect(mockPublishDiscovery).not.toHaveBeenCalled()
+    })
+
+    it('should publish single key on config_get with key', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_get', key: 'dfr_schedHour' }))
+
+      expect(mockMqttPublish).toHaveBeenCalledWith('fridge/status/config', '{"dfr_schedHour":1}', 0, false)
+    })
+
+    it('should publish one message per chunk on config_get', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_get' }))
+
+      expect(mockMqttPublish).toHaveBeenCalledTimes(6)
+      expect(JSON.parse(mockMqttPublish.mock.calls[2][1])).toEqual({ ctl_targetDeg: 4.0, ctl_hystDeg: 1.0 })
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Config published (6 chunks)'))
+    })
+
+    it('should reject config_get for unknown key', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_get', key: 'nope' }))
+
+      expect(mockMqttPublish).not.toHaveBeenCalled()
+    })
+
     // ----------------------------------------------------------
     // RATE LIMITING TESTS
     // ----------------------------------------------------------
@@ -236,7 +588,7 @@ describe('MQTT Commands', () => {
       expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Status requested'))
     })
 
-    it('should rate limit commands within 2 seconds', () => {
+    it('should queue commands within 2 seconds', () => {
       setupMqttCommands()
       const handler = mockMqttSubscribe.mock.calls[0][1]
 
@@ -244,13 +596,87 @@ describe('MQTT Commands', () => {
       global.Shelly.getUptimeMs.mockReturnValue(10000)
       handler('fridge/cmd', JSON.stringify({ cmd: 'status' }))
 
-      // Second command at t=11000 (1 second later) - should be rate limited
+      // Second command at t=11000 (1 second later) - deferred to next slot
       global.Shelly.getUptimeMs.mockReturnValue(11000)
       global.print.mockClear()
       handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_on' }))
 
-      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Rate limited'))
-      expect(mockV.trb_isActive).toBe(false) // turbo should NOT have activated
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Rate limited: command queued (1/4)'))
+      expect(mockV.trb_isActive).toBe(false) // not yet
+      expect(pendingTimers).toHaveLength(1)
+      expect(pendingTimers[0].d).toBe(1000) // remaining window
+
+      global.Shelly.getUptimeMs.mockReturnValue(12000)
+      pendingTimers.shift().cb()
+
+      expect(mockV.trb_isActive).toBe(true)
+    })
+
+    it('should run queued commands in order, one per slot', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      global.Shelly.getUptimeMs.mockReturnValue(10000)
+      handler('fridge/cmd', JSON.stringify({ cmd: 'status' }))
+      handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_on' }))
+      handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_off' }))
+
+      expect(pendingTimers).toHaveLength(1) // single drain timer
+
+      pendingTimers.shift().cb()
+      expect(mockV.trb_isActive).toBe(true)
+      expect(pendingTimers).toHaveLength(1)
+      expect(pendingTimers[0].d).toBe(2000)
+
+      pendingTimers.shift().cb()
+      expect(mockV.trb_isActive).toBe(false)
+      expect(pendingTimers).toHaveLength(0)
+    })
+
+    it('should queue new command behind pending ones even after window', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      global.Shelly.getUptimeMs.mockReturnValue(10000)
+      handler('fridge/cmd', JSON.stringify({ cmd: 'status' }))
+      handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_on' }))
+
+      // Window has passed but turbo_on is still waiting - keep FIFO order
+      global.Shelly.getUptimeMs.mockReturnValue(12500)
+      handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_off' }))
+
+      expect(mockV.trb_isActive).toBe(false)
+      pendingTimers.shift().cb()
+      expect(mockV.trb_isActive).toBe(true)
+    })
+
+    it('should reject commands when queue is full', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      global.Shelly.getUptimeMs.mockReturnValue(10000)
+      handler('fridge/cmd', JSON.stringify({ cmd: 'status' }))
+      for (let i = 0; i < 4; i++) handler('fridge/cmd', JSON.stringify({ cmd: 'status' }))
+      global.print.mockClear()
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_on' }))
+
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Queue full'))
+      // Drain all 4 queued - turbo_on was never accepted
+      for (let i = 0; i < 4; i++) pendingTimers.shift().cb()
+      expect(mockV.trb_isActive).toBe(false)
+    })
+
+    it('should not queue oversized messages', () => {
+      setupMqttCommands()
+      const handler = mockMqttSubscribe.mock.calls[0][1]
+
+      global.Shelly.getUptimeMs.mockReturnValue(10000)
+      handler('fridge/cmd', JSON.stringify({ cmd: 'status' }))
+      handler('fridge/cmd', 'x'.repeat(300))
+
+      expect(pendingTimers).toHaveLength(0)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Rejected size'))
     })
 
     it('should allow command after rate limit window', () => {
@@ -268,4 +694,577 @@ describe('MQTT Commands', () => {
       expect(mockV.trb_isActive).toBe(true)
     })
   })
+
+  // ----------------------------------------------------------
+  // COMMAND ACK TESTS
+  // ----------------------------------------------------------
+
+  describe('command ack', () => {
+    let handler
+
+    /**
+     * lastAck - Parse most recent ack payload
+     * @returns {object|null} - Ack object or null if none published
+     */
+    function lastAck() {
+      const acks = mockMqttPublish.mock.calls.filter(c => c[0] === 'fridge/cmd/ack')
+      return acks.length ? JSON.parse(acks[acks.length - 1][1]) : null
+    }
+
+    beforeEach(() => {
+      setupMqttCommands()
+      handler = mockMqttSubscribe.mock.calls[0][1]
+    })
+
+    it('should not ack commands without id', () => {
+      handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_off' }))
+
+      expect(lastAck()).toBeNull()
+    })
+
+    it('should ack accepted setpoint with resulting value', () => {
+      handler('fridge/cmd', JSON.stringify({ cmd: 'setpoint', value: 3.5, id: 'a1' }))
+
+      expect(lastAck()).toEqual({ id: 'a1', cmd: 'setpoint', ok: true, error: null, value: 3.5 })
+      expect(mockMqttPublish).toHaveBeenCalledWith('fridge/cmd/ack', expect.any(String), 1, false)
+    })
+
+    it('should ack rejected setpoint with validation error', () => {
+      mockValidateConfig.mockReturnValue(['ctl_targetDeg'])
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'setpoint', value: -10, id: 7 }))
+
+      expect(lastAck()).toEqual({ id: 7, cmd: 'setpoint', ok: false, error: 'validation', value: null })
+    })
+
+    it('should ack queued command once it runs', () => {
+      global.Shelly.getUptimeMs.mockReturnValue(10000)
+      handler('fridge/cmd', JSON.stringify({ cmd: 'status' }))
+      global.Shelly.getUptimeMs.mockReturnValue(11000)
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_on', id: 'q' }))
+      expect(lastAck()).toBeNull()
+
+      pendingTimers.shift().cb()
+      expect(lastAck()).toMatchObject({ id: 'q', ok: true })
+    })
+
+    it('should ack queue overflow', () => {
+      global.Shelly.getUptimeMs.mockReturnValue(10000)
+      handler('fridge/cmd', JSON.stringify({ cmd: 'status' }))
+      for (let i = 0; i < 4; i++) handler('fridge/cmd', JSON.stringify({ cmd: 'status' }))
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_on', id: 'f' }))
+
+      expect(lastAck()).toMatchObject({ id: 'f', ok: false, error: 'queue_full' })
+    })
+
+    it('should ack unknown command', () => {
+      handler('fridge/cmd', JSON.stringify({ cmd: 'bogus', id: 'u' }))
+
+      expect(lastAck()).toMatchObject({ id: 'u', cmd: 'bogus', ok: false, error: 'unknown_cmd' })
+    })
+
+    it('should ack missing cmd as invalid', () => {
+      handler('fridge/cmd', JSON.stringify({ id: 'x' }))
+
+      expect(lastAck()).toMatchObject({ id: 'x', cmd: null, ok: false, error: 'invalid' })
+    })
+
+    it('should ack disabled turbo', () => {
+      mockC.trb_enable = false
+
+      handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_on', id: 't' }))
+
+      expect(lastAck()).toMatchObject({ ok: false, error: 'disabled' })
+    })
+
+    it('should ack config_set with applied fields', () => {
+      handler('fridge/cmd', JSON.stringify({ cmd: 'config_set', key: 'dfr_schedHour', value: 3, id: 'c' }))
+
+      expect(lastAck()).toEqual({ id: 'c', cmd: 'config_set', ok: true, error: null, value: { dfr_schedHour: 3 } })
+    })
+
+    it('should ignore non-scalar id', () => {
+      handler('fridge/cmd', JSON.stringify({ cmd: 'status', id: { a: 1 } }))
+
+      expect(lastAck()).toBeNull()
+    })
+  })
+
+  // ----------------------------------------------------------
+  // SIGNED COMMAND TESTS
+  // ----------------------------------------------------------
+
+  describe('signed commands', () => {
+    const SECRET = 's3cret'
+    let handler, now
+
+    /**
+     * sign - Build signed command message (sig appended as last field)
+     * @param {object} body - Command fields including ts and nonce
+     * @param {string} key - HMAC key
+     * @returns {string} - Raw JSON message
+     */
+    function sign(body, key = SECRET) {
+      const raw = JSON.stringify(body)
+      const sig = createHmac('sha256', key).update(raw).digest('hex')
+      return raw.slice(0, -1) + ',"sig":"' + sig + '"}'
+    }
+
+    beforeEach(() => {
+      mockC.sys_mqttSecret = SECRET
+      now = Math.floor(Date.now() / 1000)
+      setupMqttCommands()
+      handler = mockMqttSubscribe.mock.calls[0][1]
+    })
+
+    it('should accept correctly signed command', () => {
+      handler('fridge/cmd', sign({ cmd: 'turbo_on', ts: now, nonce: 'n1' }))
+
+      expect(mockV.trb_isActive).toBe(true)
+    })
+
+    it('should drop unsigned command without ack when secret set', () => {
+      handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_on', id: 'u' }))
+
+      expect(mockV.trb_isActive).toBe(false)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Auth failed: auth'))
+      expect(mockMqttPublish).not.toHaveBeenCalled()
+    })
+
+    it('should not let unsigned messages take rate-limit or queue slots', () => {
+      for (let i = 0; i < 6; i++) handler('fridge/cmd', JSON.stringify({ cmd: 'turbo_on', id: i }))
+
+      handler('fridge/cmd', sign({ cmd: 'turbo_on', ts: now, nonce: 'n1', id: 'ok' }))
+
+      expect(mockV.trb_isActive).toBe(true)
+      expect(mockMqttPublish).toHaveBeenCalledTimes(1)
+      expect(JSON.parse(mockMqttPublish.mock.calls[0][1])).toMatchObject({ id: 'ok', ok: true })
+    })
+
+    it('should run queued signed command without re-checking its timestamp', () => {
+      vi.spyOn(Date, 'now').mockReturnValue(now * 1000)
+      handler('fridge/cmd', sign({ cmd: 'turbo_on', ts: now, nonce: 'n1' }))
+      handler('fridge/cmd', sign({ cmd: 'turbo_off', ts: now, nonce: 'n2', id: 'q' }))
+      expect(mockV.trb_isActive).toBe(true)
+
+      Date.now.mockReturnValue((now + 20) * 1000)
+      pendingTimers.shift().cb()
+
+      expect(mockV.trb_isActive).toBe(false)
+      expect(JSON.parse(mockMqttPublish.mock.calls[0][1])).toMatchObject({ id: 'q', ok: true })
+      Date.now.mockRestore()
+    })
+
+    it('should drop a badly signed queued command when it runs', () => {
+      handler('fridge/cmd', sign({ cmd: 'turbo_on', ts: now, nonce: 'n1' }))
+      handler('fridge/cmd', sign({ cmd: 'turbo_off', ts: now, nonce: 'n2', id: 'f' }, 'other'))
+      expect(global.print).not.toHaveBeenCalledWith(expect.stringContaining('Auth failed'))
+
+      pendingTimers.shift().cb()
+
+      expect(mockV.trb_isActive).toBe(true)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Auth failed: auth'))
+      expect(mockMqttPublish).not.toHaveBeenCalled()
+    })
+
+    it('should drop a replay queued behind its original', () => {
+      const msg = sign({ cmd: 'turbo_off', ts: now, nonce: 'n2', id: 'r' })
+      handler('fridge/cmd', sign({ cmd: 'turbo_on', ts: now, nonce: 'n1' }))
+      handler('fridge/cmd', msg)
+      handler('fridge/cmd', msg)
+
+      pendingTimers.shift().cb()
+      mockV.trb_isActive = true
+      pendingTimers.shift().cb()
+
+      expect(mockV.trb_isActive).toBe(true)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Auth failed: replay'))
+      expect(mockMqttPublish).toHaveBeenCalledTimes(1)
+    })
+
+    it('should reject on a full queue before checking the signature', () => {
+      handler('fridge/cmd', sign({ cmd: 'turbo_on', ts: now, nonce: 'n0' }))
+      for (let i = 1; i <= 4; i++) handler('fridge/cmd', sign({ cmd: 'turbo_on', ts: now, nonce: 'n' + i }))
+
+      handler('fridge/cmd', sign({ cmd: 'turbo_on', ts: now, nonce: 'n5', id: 'x' }, 'other'))
+
+      expect(JSON.parse(mockMqttPublish.mock.calls[0][1])).toMatchObject({ id: 'x', ok: false, error: 'queue_full' })
+    })
+
+    it('should reject wrong key', () => {
+      handler('fridge/cmd', sign({ cmd: 'turbo_on', ts: now, nonce: 'n1' }, 'other'))
+
+      expect(mockV.trb_isActive).toBe(false)
+    })
+
+    it('should reject tampered payload', () => {
+      const msg = sign({ cmd: 'setpoint', value: 3.5, ts: now, nonce: 'n1' }).replace('3.5', '9.5')
+
+      handler('fridge/cmd', msg)
+
+      expect(mockC.ctl_targetDeg).toBe(4.0)
+    })
+
+    it('should reject fields appended after sig', () => {
+      const msg = sign({ cmd: 'turbo_off', ts: now, nonce: 'n1' }).slice(0, -1) + ',"cmd":"turbo_on"}'
+
+      handler('fridge/cmd', msg)
+
+      expect(mockV.trb_isActive).toBe(false)
+    })
+
+    it('should drop stale timestamp without ack', () => {
+      handler('fridge/cmd', sign({ cmd: 'turbo_on', ts: now - 60, nonce: 'n1', id: 's' }))
+
+      expect(mockV.trb_isActive).toBe(false)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Auth failed: stale'))
+      expect(mockMqttPublish).not.toHaveBeenCalled()
+    })
+
+    it('should reject replayed nonce', () => {
+      const msg = sign({ cmd: 'turbo_on', ts: now, nonce: 'n1', id: 'r' })
+      global.Shelly.getUptimeMs.mockReturnValue(10000)
+      handler('fridge/cmd', msg)
+      mockV.trb_isActive = false
+      global.Shelly.getUptimeMs.mockReturnValue(13000)
+
+      handler('fridge/cmd', msg)
+
+      expect(mockV.trb_isActive).toBe(false)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Auth failed: replay'))
+      expect(mockMqttPublish).toHaveBeenCalledTimes(1)
+    })
+
+    it('should still answer auth errors on execCommand', () => {
+      const reply = vi.fn()
+
+      execCommand(JSON.stringify({ cmd: 'turbo_on' }), null, reply)
+
+      expect(reply.mock.calls[0][1].err).toBe('auth')
+    })
+
+    it('should never publish the secret', () => {
+      handler('fridge/cmd', sign({ cmd: 'config_get', key: 'sys_mqttSecret', ts: now, nonce: 'n1' }))
+
+      expect(mockMqttPublish).toHaveBeenCalledWith('fridge/status/config', '{"sys_mqttSecret":"***"}', 0, false)
+    })
+
+    it('should allow clearing secret via config_set', () => {
+      handler('fridge/cmd', sign({ cmd: 'config_set', key: 'sys_mqttSecret', value: '', ts: now, nonce: 'n1' }))
+
+      expect(mockC.sys_mqttSecret).toBe('')
+      expect(mockPersistConfig).toHaveBeenCalled()
+    })
+  })
+
+  // ----------------------------------------------------------
+  // ack_alarm TESTS
+  // ----------------------------------------------------------
+
+  describe('ack_alarm', () => {
+    let reply
+
+    beforeEach(() => {
+      reply = vi.fn()
+    })
+
+    it('should release latched non-fatal alarm', () => {
+      mockV.sys_alarm = 'ALARM_COOLING_FAIL'
+      mockV.alm_latch = 'ALARM_COOLING_FAIL'
+
+      execCommand(JSON.stringify({ cmd: 'ack_alarm', alarm: 'ALARM_COOLING_FAIL' }), null, reply)
+
+      expect(reply.mock.calls[0][1]).toEqual({ err: null, val: 'ALARM_COOLING_FAIL' })
+      expect(mockV.alm_latch).toBe('NONE')
+    })
+
+    it('should reject alarm code that is not latched', () => {
+      mockV.alm_latch = 'ALARM_COOLING_FAIL'
+
+      execCommand(JSON.stringify({ cmd: 'ack_alarm', alarm: 'ALARM_HIGH_TEMP' }), null, reply)
+
+      expect(reply.mock.calls[0][1].err).toBe('not_latched')
+      expect(mockV.alm_latch).toBe('ALARM_COOLING_FAIL')
+    })
+
+    it('should require confirmation token for fatal alarm', () => {
+      mockV.sys_alarm = 'ALARM_RELAY_WELD'
+      mockV.alm_latch = 'ALARM_RELAY_WELD'
+      mockV.alm_latchTs = 1700000000
+
+      execCommand(JSON.stringify({ cmd: 'ack_alarm', alarm: 'ALARM_RELAY_WELD' }), null, reply)
+      expect(reply.mock.calls[0][1]).toEqual({ err: 'confirm', val: 1700000000 })
+      expect(mockV.alm_latch).toBe('ALARM_RELAY_WELD')
+
+      global.Shelly.getUptimeMs.mockReturnValue(13000)
+      execCommand(JSON.stringify({ cmd: 'ack_alarm', alarm: 'ALARM_RELAY_WELD', confirm: 1700000000 }), null, reply)
+      expect(reply.mock.calls[1][1].err).toBeNull()
+      expect(mockV.sys_alarm).toBe('NONE')
+    })
+  })
+
+  // ----------------------------------------------------------
+  // execCommand TESTS
+  // ----------------------------------------------------------
+
+  describe('execCommand', () => {
+    let reply
+
+    beforeEach(() => {
+      reply = vi.fn()
+    })
+
+    it('should run command and reply with result', () => {
+      execCommand(JSON.stringify({ cmd: 'setpoint', value: 3.5 }), null, reply)
+
+      expect(mockC.ctl_targetDeg).toBe(3.5)
+      expect(reply).toHaveBeenCalledWith(expect.objectContaining({ cmd: 'setpoint' }), { err: null, val: 3.5 })
+      expect(mockMqttPublish).not.toHaveBeenCalled()
+    })
+
+    it('should apply forced command name', () => {
+      execCommand(JSON.stringify({ values: { ctl_hystDeg: 1.5 } }), 'config_set', reply)
+
+      expect(mockC.ctl_hystDeg).toBe(1.5)
+      expect(reply.mock.calls[0][1].err).toBeNull()
+    })
+
+    it('should return daily history as ack value', () => {
+      execCommand(JSON.stringify({ cmd: 'history', id: 'h1' }), null, reply)
+
+      expect(reply.mock.calls[0][1]).toEqual({ err: null, val: [{ ts: 86400, duty: 42.5, cycles: 30, wh: 1200 }] })
+    })
+
+    it('should return excursion log as JSON or CSV', () => {
+      execCommand(JSON.stringify({ cmd: 'excursions' }), null, reply)
+      global.Shelly.getUptimeMs.mockReturnValue(20000)
+      execCommand(JSON.stringify({ cmd: 'excursions', format: 'csv' }), null, reply)
+
+      expect(reply.mock.calls[0][1].val[0].cause).toBe('door')
+      expect(reply.mock.calls[1][1].val).toBe('start,end,dur,peak,cause\n1000,1600,600,7.2,door\n')
+    })
+
+    it('should reply parse error for invalid JSON', () => {
+      execCommand('{bad', null, reply)
+
+      expect(reply).toHaveBeenCalledWith(null, { err: 'parse', val: null })
+    })
+
+    it('should reject instead of queueing inside rate limit window', () => {
+      execCommand(JSON.stringify({ cmd: 'status' }), null, reply)
+      global.Shelly.getUptimeMs.mockReturnValue(11000)
+
+      execCommand(JSON.stringify({ cmd: 'turbo_on' }), null, reply)
+
+      expect(reply.mock.calls[1]).toEqual([null, { err: 'rate_limited', val: null }])
+      expect(mockV.trb_isActive).toBe(false)
+      expect(pendingTimers).toHaveLength(0)
+    })
+
+    it('should share rate limit window with MQTT commands', () => {
+      setupMqttCommands()
+      mockMqttSubscribe.mock.calls[0][1]('fridge/cmd', JSON.stringify({ cmd: 'status' }))
+
+      execCommand(JSON.stringify({ cmd: 'status' }), null, reply)
+
+      expect(reply.mock.calls[0][1].err).toBe('rate_limited')
+    })
+  })
+
+  // ----------------------------------------------------------
+  // SCHEDULE TESTS
+  // ----------------------------------------------------------
+
+  describe('schedule_set', () => {
+    const night = [127, 2200, 600, 6, 0]
+    const rush = [62, 500, 800, 2.5, 1.5]
+    let reply
+
+    beforeEach(() => {
+      reply = vi.fn()
+    })
+
+    /**
+     * run - Execute schedule_set via execCommand, returning result
+     * @param {object} body - Command fields
+     * @returns {object} - {err, val}
+     */
+    function run(body) {
+      global.Shelly.getUptimeMs.mockReturnValue(global.Shelly.getUptimeMs() + 2000)
+      execCommand(JSON.stringify(Object.assign({ cmd: 'schedule_set' }, body)), null, reply)
+      return reply.mock.calls[reply.mock.calls.length - 1][1]
+    }
+
+    it('should replace all windows and persist', () => {
+      expect(run({ windows: [night, rush] })).toEqual({ err: null, val: 2 })
+      expect(mockC.sch_windows).toEqual([night, rush])
+      expect(mockPersistConfig).toHaveBeenCalled()
+    })
+
+    it('should append, replace and remove single windows by index', () => {
+      run({ index: 0, window: night })
+      run({ index: 1, window: rush })
+      expect(mockC.sch_windows).toEqual([night, rush])
+
+      run({ index: 0, window: rush })
+      expect(mockC.sch_windows).toEqual([rush, rush])
+
+      run({ index: 0, window: null })
+      expect(mockC.sch_windows).toEqual([rush])
+    })
+
+    it('should reject index past end', () => {
+      expect(run({ index: 2, window: night }).err).toBe('validation')
+      expect(mockC.sch_windows).toEqual([])
+    })
+
+    it('should reject invalid schedule without persisting', () => {
+      expect(run({ windows: [[1, 2]] }).err).toBe('validation')
+      expect(mockPersistConfig).not.toHaveBeenCalled()
+    })
+
+    it('should require windows or index/window', () => {
+      expect(run({ index: 0 }).err).toBe('missing')
+    })
+  })
+
+  // ----------------------------------------------------------
+  // VACATION TESTS
+  // ----------------------------------------------------------
+
+  describe('vacation commands', () => {
+    let reply
+
+    beforeEach(() => {
+      reply = vi.fn()
+    })
+
+    /**
+     * run - Execute command via execCommand, returning result
+     * @param {object} body - Command object
+     * @returns {object} - {err, val}
+     */
+    function run(body) {
+      global.Shelly.getUptimeMs.mockReturnValue(global.Shelly.getUptimeMs() + 2000)
+      execCommand(JSON.stringify(body), null, reply)
+      return reply.mock.calls[reply.mock.calls.length - 1][1]
+    }
+
+    it('should start vacation without end date', () => {
+      expect(run({ cmd: 'vacation_on' })).toEqual({ err: null, val: 0 })
+      expect(mockStartVacation).toHaveBeenCalledWith(0)
+    })
+
+    it('should start vacation with future end date', () => {
+      const until = Math.floor(Date.now() / 1000) + 86400
+
+      expect(run({ cmd: 'vacation_on', until }).val).toBe(until)
+      expect(mockStartVacation).toHaveBeenCalledWith(until)
+    })
+
+    it('should reject past or non-numeric end date', () => {
+      expect(run({ cmd: 'vacation_on', until: 1000 }).err).toBe('validation')
+      expect(run({ cmd: 'vacation_on', until: '2030-01-01' }).err).toBe('type')
+      expect(mockStartVacation).not.toHaveBeenCalled()
+    })
+
+    it('should refuse turbo while on vacation', () => {
+      run({ cmd: 'vacation_on' })
+
+      expect(run({ cmd: 'turbo_on' }).err).toBe('disabled')
+      expect(mockV.trb_isActive).toBe(false)
+    })
+
+    it('should stop vacation', () => {
+      run({ cmd: 'vacation_on' })
+
+      expect(run({ cmd: 'vacation_off' })).toEqual({ err: null, val: 0 })
+      expect(mockS.vac_isActive).toBe(false)
+    })
+  })
+
+  // ----------------------------------------------------------
+  // PROFILE TESTS
+  // ----------------------------------------------------------
+
+  describe('profile commands', () => {
+    let reply, kvs
+
+    beforeEach(() => {
+      reply = vi.fn()
+      kvs = {}
+      global.Shelly.call = vi.fn((method, params, cb) => {
+        if (method === 'KVS.Set') kvs[params.key] = params.value
+        if (method === 'KVS.Delete') delete kvs[params.key]
+        if (method === 'KVS.Get') {
+          let v = kvs[params.key]
+          cb(v === undefined ? null : { value: v }, v === undefined ? -1 : 0)
+        }
+      })
+    })
+
+    /**
+     * run - Execute command via execCommand, returning last result
+     * @param {object} body - Command object
+     * @returns {object} - {err, val}
+     */
+    function run(body) {
+      global.Shelly.getUptimeMs.mockReturnValue(global.Shelly.getUptimeMs() + 2000)
+      execCommand(JSON.stringify(body), null, reply)
+      return reply.mock.calls[reply.mock.calls.length - 1][1]
+    }
+
+    it('should apply built-in profile and record name', () => {
+      expect(run({ cmd: 'profile_use', name: 'beer' })).toEqual({ err: null, val: 'beer' })
+      expect(mockC.ctl_targetDeg).toBe(3.0)
+      expect(mockC.ctl_hystDeg).toBe(0.5)
+      expect(mockS.prf_name).toBe('beer')
+      expect(mockPersistConfig).toHaveBeenCalled()
+      expect(mockPersistState).toHaveBeenCalled()
+    })
+
+    it('should save and apply user profile from KVS', () => {
+      expect(run({ cmd: 'profile_save', name: 'cellar', values: { ctl_targetDeg: 10 } }).val).toBe('cellar')
+      expect(JSON.parse(kvs.fridge_prf_cellar)).toEqual({ ctl_targetDeg: 10 })
+
+      expect(run({ cmd: 'profile_use', name: 'cellar' })).toEqual({ err: null, val: 'cellar' })
+      expect(mockC.ctl_targetDeg).toBe(10)
+      expect(reply).toHaveBeenCalledTimes(2)
+    })
+
+    it('should reply not_found for missing user profile', () => {
+      expect(run({ cmd: 'profile_use', name: 'nope' }).err).toBe('not_found')
+      expect(mockS.prf_name).toBe('')
+    })
+
+    it('should roll back and keep name when merged config fails validation', () => {
+      mockValidateConfig.mockReturnValueOnce(['ctl_targetDeg'])
+
+      expect(run({ cmd: 'profile_use', name: 'beer' }).err).toBe('validation')
+      expect(mockC.ctl_targetDeg).toBe(4.0)
+      expect(mockC.ctl_hystDeg).toBe(1.0)
+      expect(mockS.prf_name).toBe('')
+    })
+
+    it('should delete user profile with null values', () => {
+      run({ cmd: 'profile_save', name: 'cellar', values: { ctl_targetDeg: 10 } })
+      run({ cmd: 'profile_save', name: 'cellar', values: null })
+
+      expect(kvs.fridge_prf_cellar).toBeUndefined()
+    })
+
+    it.each([
+      [{ name: 'Bad Name', values: { ctl_targetDeg: 5 } }, 'validation'],
+      [{ name: 'beer', values: { ctl_targetDeg: 5 } }, 'builtin'],
+      [{ name: 'x', values: {} }, 'missing'],
+      [{ name: 'x', values: { sys_mqttTopic: 'a/b' } }, 'forbidden'],
+      [{ name: 'x', values: { nope: 1 } }, 'unknown_key'],
+      [{ name: 'x', values: { ctl_targetDeg: '5' } }, 'type'],
+    ])('should reject profile_save %j with %s', (body, err) => {
+      expect(run(Object.assign({ cmd: 'profile_save' }, body)).err).toBe(err)
+      expect(Object.keys(kvs)).toHaveLength(0)
+    })
+  })
 })
@@ -7,9 +7,9 @@
 import { ALM, RSN, ICO } from './constants.js'
 import { C } from './config.js'
 import { S, V } from './state.js'
-import { r1, ri, formatXmYs } from './utils/math.js'
-import { getEffectiveHysteresis } from './features.js'
-import { getAvgDuty24h, getCurrentHourDuty, getLifetimeDuty, getLifetimeRunHours, getCurrentHourAverages } from './metrics.js'
+import { r1, r2, ri, formatXmYs } from './utils/math.js'
+import { getEffectiveTarget, getEffectiveHysteresis, isManualDefrost, isDoorOpen } from './features.js'
+import { getAvgDuty24h, getCurrentHourDuty, getLifetimeDuty, getLifetimeRunHours, getCurrentHourAverages, getEnergy24h, getEnergyCost, expandDayRecord } from './metrics.js'
 
 // ----------------------------------------------------------
 // CONSOLE FORMATTING
@@ -79,7 +79,7 @@ function formatConsoleMessage(tSmooth, tEvap, tRaw) {
   let effHyst = getEffectiveHysteresis()
   msg += ' | UP: ' + getScriptUptime()
          + ' | AIR: ' + aRaw + 'R/' + aEma + 'S EVP: ' + evap
-         + ' | SP: ' + C.ctl_targetDeg + ' HYS: ±' + r1(effHyst)
+         + ' | SP: ' + getEffectiveTarget() + ' HYS: ±' + r1(effHyst)
          + ' (CYC: ' + formatXmYs(avgCycleSec) + ')'
          + ' | DUTY: ' + ri(dHour) + 'H/' + ri(d24) + 'D/' + ri(dLife) + 'L %'
 
@@ -115,6 +115,9 @@ function buildMqttPayload(tSmooth, tEvap, tRaw, powerW, deviceTemp) {
   let cc = S.sts_cycleCnt
   let avgOnSec = cc > 0 ? ri(S.sts_hourRunSec / cc) : ri(S.sts_hourRunSec)
   let avgOffSec = cc > 0 ? ri((S.sts_hourTotalSec - S.sts_hourRunSec) / cc) : ri(S.sts_hourTotalSec - S.sts_hourRunSec)
+  // #if energy
+  let whDay = getEnergy24h()
+  // #endif
 
   return {
     tAirRaw: tRaw,
@@ -126,22 +129,45 @@ function buildMqttPayload(tSmooth, tEvap, tRaw, powerW, deviceTemp) {
     reason: V.sys_statusReason,
     alarm: V.sys_alarm,
     relayOn: S.sys_isRelayOn ? 1 : 0,
+    target: getEffectiveTarget(),
+    // #if vacation
+    mode: S.vac_isActive ? 'vacation' : 'normal',
+    // #endif
+    // #if profiles
+    profile: S.prf_name,
+    // #endif
 
     dutyHr: r1(getCurrentHourDuty()),
     dutyDay: r1(getAvgDuty24h()),
     dutyLife: r1(getLifetimeDuty()),
     hoursLife: getLifetimeRunHours(),
     hyst: getEffectiveHysteresis(),
+    // #if pid
+    pidDuty: C.pid_enable ? ri(V.pid_duty * 100) : null,
+    // #endif
 
     avgOnSec: avgOnSec,
     avgOffSec: avgOffSec,
 
-    defrostOn: S.dfr_isActive ? 1 : 0,
-    doorOpen: V.dor_pauseRemSec > 0 ? 1 : 0,
+    defrostOn: (S.dfr_isActive || isManualDefrost()) ? 1 : 0,
+    doorOpen: isDoorOpen() ? 1 : 0,
+    // #if door
+    doorCnt: S.dor_openCnt,
+    doorOpenSec: S.dor_openTotalSec,
+    // #endif
     turboOn: V.trb_isActive ? 1 : 0,
+    // #if heater
+    heaterOn: V.htr_isOn ? 1 : 0,
+    // #endif
 
     health: V.hlt_lastScore,
     watts: (V.hw_hasPM && powerW) ? r1(powerW) : null,
+    // #if energy
+    whHr: r1(S.nrg_hourWh),
+    whDay: r1(whDay),
+    kwhLife: r2(S.nrg_lifeWh / 1000),
+    costDay: getEnergyCost(whDay),
+    // #endif
   }
 }
 
@@ -164,11 +190,296 @@ function publishStatus(tSmooth, tEvap, tRaw, powerW, deviceTemp) {
   let msg = formatConsoleMessage(tSmooth, tEvap, tRaw)
   print(msg)
 
-  // MQTT publish
+  // #if vacation
+  // MQTT publish (throttled to vac_reportSec in vacation mode)
+  if (S.vac_isActive && V.lop_nowTs - V.lop_lastPubTs < C.vac_reportSec) return
+  V.lop_lastPubTs = V.lop_nowTs
+  // #endif
   let payload = buildMqttPayload(tSmooth, tEvap, tRaw, powerW, deviceTemp)
   MQTT.publish(C.sys_mqttTopic, JSON.stringify(payload), 0, false)
 }
 
+// ----------------------------------------------------------
+// ROLLOVER SUMMARIES
+// Retained hourly / daily records for long-term logging, so a simple
+// subscriber can archive them instead of every status message.
+// ----------------------------------------------------------
+
+// #if summary
+/**
+ * publishRollover - Publish hourly summary, and daily one on day close
+ * Topics <sys_mqttStats>/hour and <sys_mqttStats>/day (QoS 1, retained).
+ *
+ * @param {object} ro - processHourlyRollover result
+ */
+function publishRollover(ro) {
+  let hour = {
+    ts: ri(V.lop_nowTs),
+    duty: ro.duty,
+    avgOn: ri(ro.avgOn),
+    avgOff: ri(ro.avgOff),
+    cycles: ro.cycles,
+    adapted: ro.adapted,
+    // #if energy
+    wh: ro.energyWh,
+    // #endif
+    // #if tempstats
+    airMin: ro.airMin,
+    airMax: ro.airMax,
+    airAvg: ro.airAvg,
+    evpMin: ro.evpMin,
+    evpMax: ro.evpMax,
+    evpAvg: ro.evpAvg,
+    aboveSec: ro.aboveSec,
+    // #endif
+  }
+  MQTT.publish(C.sys_mqttStats + '/hour', JSON.stringify(hour), 1, true)
+  // #if history
+  if (ro.day) MQTT.publish(C.sys_mqttStats + '/day', JSON.stringify(expandDayRecord(ro.day)), 1, true)
+  // #endif
+}
+// #endif
+
+// ----------------------------------------------------------
+// AVAILABILITY
+// Retained online/offline so consumers can detect stale data.
+// Crash/power loss is covered by the firmware LWT topic.
+// ----------------------------------------------------------
+
+/**
+ * publishAvailability - Publish retained availability state
+ *
+ * @param {boolean} isOnline - True for 'online', false for 'offline'
+ */
+function publishAvailability(isOnline) {
+  MQTT.publish(C.sys_mqttAvail, isOnline ? 'online' : 'offline', 1, true)
+}
+
+// #if ha
+/**
+ * getDeviceLwtTopic - Get firmware Last-Will topic
+ * Shelly publishes retained true/false to <topic_prefix>/online with
+ * a broker-side LWT. Scripts cannot set their own will message.
+ *
+ * @returns {string|null} LWT topic or null if MQTT config unavailable
+ */
+function getDeviceLwtTopic() {
+  let mc = Shelly.getComponentConfig('mqtt')
+  if (!mc || !mc.topic_prefix) return null
+  return mc.topic_prefix + '/online'
+}
+// #endif
+
+// ----------------------------------------------------------
+// HOME ASSISTANT DISCOVERY
+// Retained entity configs so HA wires the device up without YAML.
+// Published one message per timer tick to keep peak heap low.
+// ----------------------------------------------------------
+
+// #if ha
+/**
+ * getHaEntity - Get Home Assistant entity definition by index
+ * Table is built on demand (code, not heap) - only needed at boot.
+ *
+ * @param {number} i - Entity index
+ * @returns {Array|null} [component, key, name, unit, deviceClass] or null past end
+ */
+function getHaEntity(i) {
+  let list = [
+    ['sensor', 'tAirSmt', 'Air Temperature', '°C', 'temperature'],
+    ['sensor', 'tAirRaw', 'Air Temperature Raw', '°C', 'temperature'],
+    ['sensor', 'tEvap', 'Evaporator Temperature', '°C', 'temperature'],
+    ['sensor', 'tDev', 'Device Temperature', '°C', 'temperature'],
+    ['sensor', 'dutyHr', 'Duty Hour', '%', null],
+    ['sensor', 'dutyDay', 'Duty 24h', '%', null],
+    ['sensor', 'dutyLife', 'Duty Lifetime', '%', null],
+    ['sensor', 'watts', 'Power', 'W', 'power'],
+    // #if energy
+    ['sensor', 'kwhLife', 'Energy', 'kWh', 'energy'],
+    // #endif
+    ['sensor', 'alarm', 'Alarm', null, null],
+    ['binary_sensor', 'relayOn', 'Compressor', null, 'running'],
+    ['binary_sensor', 'defrostOn', 'Defrost', null, null],
+    ['binary_sensor', 'doorOpen', 'Door', null, 'door'],
+    ['binary_sensor', 'turboOn', 'Turbo', null, null],
+    ['climate', 'thermostat', 'Thermostat', null, null],
+    ['button', 'turbo_on', 'Turbo On', null, null],
+    ['button', 'turbo_off', 'Turbo Off', null, null],
+    ['button', 'reset_alarms', 'Reset Alarms', null, null],
+    // #if mandefrost
+    ['button', 'defrost_now', 'Defrost Now', null, null],
+    ['button', 'defrost_cancel', 'Defrost Cancel', null, null],
+    // #endif
+  ]
+  return i < list.length ? list[i] : null
+}
+
+/**
+ * buildHaConfig - Create discovery config for one entity
+ * Uses HA abbreviated keys to keep messages small.
+ *
+ * @param {Array} e - Entity definition from getHaEntity
+ * @param {string} node - Node ID (first segment of status topic)
+ * @returns {object} Discovery config object
+ */
+function buildHaConfig(e, node) {
+  let cfg = {
+    name: e[2],
+    uniq_id: node + '_' + e[1],
+    dev: { ids: [node], name: 'Fridge ' + node, mf: 'Shelly', mdl: 'Fridge Controller' },
+    avty: [{ t: C.sys_mqttAvail }],
+  }
+  // Both script and firmware must be online (firmware LWT covers power loss)
+  let lwt = getDeviceLwtTopic()
+  if (lwt) {
+    cfg.avty.push({ t: lwt, pl_avail: 'true', pl_not_avail: 'false' })
+    cfg.avty_mode = 'all'
+  }
+
+  if (e[0] === 'button') {
+    cfg.cmd_t = C.sys_mqttCmd
+    cfg.pl_prs = '{"cmd":"' + e[1] + '"}'
+    return cfg
+  }
+
+  if (e[0] === 'climate') {
+    cfg.modes = ['cool']
+    cfg.temp_unit = 'C'
+    cfg.precision = 0.1
+    cfg.temp_step = 0.1
+    cfg.min_temp = -5
+    cfg.max_temp = 15
+    cfg.curr_temp_t = C.sys_mqttTopic
+    cfg.curr_temp_tpl = '{{ value_json.tAirSmt }}'
+    cfg.temp_stat_t = C.sys_mqttTopic
+    cfg.temp_stat_tpl = '{{ value_json.target }}'
+    cfg.temp_cmd_t = C.sys_mqttCmd
+    cfg.temp_cmd_tpl = '{"cmd":"setpoint","value":{{ value }}}'
+    cfg.act_t = C.sys_mqttTopic
+    cfg.act_tpl = '{{ \'cooling\' if value_json.relayOn else \'idle\' }}'
+    return cfg
+  }
+
+  cfg.stat_t = C.sys_mqttTopic
+  cfg.val_tpl = '{{ value_json.' + e[1] + ' }}'
+  if (e[0] === 'binary_sensor') {
+    cfg.pl_on = '1'
+    cfg.pl_off = '0'
+  }
+  if (e[3]) {
+    cfg.unit_of_meas = e[3]
+    cfg.stat_cla = e[4] === 'energy' ? 'total_increasing' : 'measurement'
+  }
+  if (e[4]) cfg.dev_cla = e[4]
+  return cfg
+}
+
+/**
+ * publishDiscovery - Publish retained HA discovery configs
+ * Sequential (one entity per timer tick) to avoid heap spikes.
+ */
+function publishDiscovery() {
+  if (!C.sys_haEnable) return
+  let node = C.sys_mqttTopic.split('/')[0]
+  let idx = 0
+
+  /**
+   * next - Publish next entity config in sequence
+   * @internal
+   */
+  function next() {
+    let e = getHaEntity(idx)
+    if (e === null) {
+      print('ℹ️ MQTT  : HA discovery published (' + idx + ' entities)')
+      return
+    }
+    idx++
+    let topic = C.sys_haPrefix + '/' + e[0] + '/' + node + '/' + e[1] + '/config'
+    MQTT.publish(topic, JSON.stringify(buildHaConfig(e, node)), 1, true)
+    Timer.set(0, false, next)
+  }
+  Timer.set(0, false, next)
+}
+// #endif
+
+// ----------------------------------------------------------
+// PROMETHEUS METRICS
+// Text exposition format (version 0.0.4) for HTTP scraping.
+// Names are stable: rename only with a CHANGELOG entry.
+// ----------------------------------------------------------
+
+// #if prom
+/**
+ * promHead - Render HELP/TYPE lines, plus a sample if value given
+ *
+ * @param {string} name - Metric name without 'fridge_' prefix
+ * @param {string} type - 'gauge' or 'counter'
+ * @param {string} help - HELP text
+ * @param {number|null} val - Unlabelled sample value (null = none)
+ * @returns {string} - Exposition lines
+ */
+function promHead(name, type, help, val) {
+  let s = '# HELP fridge_' + name + ' ' + help + '\n# TYPE fridge_' + name + ' ' + type + '\n'
+  return s + promSample(name, '', val)
+}
+
+/**
+ * promSample - Render one sample line (omitted when value unknown)
+ *
+ * @param {string} name - Metric name without 'fridge_' prefix
+ * @param {string} labels - Label set, e.g. '{sensor="air"}', or ''
+ * @param {number|null} val - Sample value
+ * @returns {string} - Sample line or ''
+ */
+function promSample(name, labels, val) {
+  if (val === null || val === undefined) return ''
+  return 'fridge_' + name + labels + ' ' + val + '\n'
+}
+
+/**
+ * buildMetricsText - Render metrics in Prometheus text format
+ * Temperatures and power come from the last loop tick.
+ *
+ * @returns {string} - Exposition body
+ */
+function buildMetricsText() {
+  let t = promHead('duty_hour_percent', 'gauge', 'Compressor duty cycle, current hour', r1(getCurrentHourDuty()))
+  t += promHead('duty_24h_percent', 'gauge', 'Compressor duty cycle, last 24 hours', r1(getAvgDuty24h()))
+  t += promHead('duty_lifetime_percent', 'gauge', 'Compressor duty cycle, lifetime', r1(getLifetimeDuty()))
+  t += promHead('run_hours_total', 'counter', 'Compressor lifetime run hours', getLifetimeRunHours())
+  t += promHead('cycles_hour', 'gauge', 'Compressor cycles, current hour', S.sts_cycleCnt)
+  t += promHead('cycles_total', 'counter', 'Compressor cycles, lifetime', S.sts_lifeCycleCnt)
+  // #if door
+  t += promHead('door_openings_total', 'counter', 'Door contact openings, lifetime', S.dor_openCnt)
+  t += promHead('door_open_seconds_total', 'counter', 'Door contact open time, lifetime', S.dor_openTotalSec)
+  // #endif
+
+  t += promHead('temperature_celsius', 'gauge', 'Temperature by sensor', null)
+  t += promSample('temperature_celsius', '{sensor="air"}', V.sns_airSmoothDeg)
+  t += promSample('temperature_celsius', '{sensor="air_raw"}', V.lop_tAirRaw)
+  t += promSample('temperature_celsius', '{sensor="evap"}', V.lop_tEvap)
+  t += promSample('temperature_celsius', '{sensor="device"}', V.lop_devTemp)
+
+  t += promHead('target_celsius', 'gauge', 'Target temperature', getEffectiveTarget())
+  t += promHead('hysteresis_celsius', 'gauge', 'Effective hysteresis', getEffectiveHysteresis())
+  t += promHead('power_watts', 'gauge', 'Compressor power draw', V.hw_hasPM ? r1(V.lop_watts) : null)
+  // #if energy
+  t += promHead('energy_joules_total', 'counter', 'Compressor energy, lifetime', ri(S.nrg_lifeWh * 3600))
+  // #endif
+  t += promHead('relay_on', 'gauge', 'Compressor relay state', S.sys_isRelayOn ? 1 : 0)
+
+  // No series for NONE, so sum(fridge_alarm) is the number of active alarms
+  t += promHead('alarm', 'gauge', 'Active alarm (1 = active)', null)
+  let keys = Object.keys(ALM)
+  for (let i = 0; i < keys.length; i++) {
+    let a = ALM[keys[i]]
+    if (a === ALM.NONE) continue
+    t += promSample('alarm', '{alarm="' + a + '"}', V.sys_alarm === a ? 1 : 0)
+  }
+  return t
+}
+// #endif
+
 // ----------------------------------------------------------
 // EXPORTS
 // ----------------------------------------------------------
@@ -178,4 +489,11 @@ export {
   formatConsoleMessage,
   buildMqttPayload,
   publishStatus,
+  publishRollover,
+  publishAvailability,
+  getDeviceLwtTopic,
+  getHaEntity,
+  buildHaConfig,
+  publishDiscovery,
+  buildMetricsText,
 }
@@ -6,7 +6,8 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 
 describe('Reporting', () => {
-  let getScriptUptime, formatConsoleMessage, buildMqttPayload, publishStatus
+  let getScriptUptime, formatConsoleMessage, buildMqttPayload, publishStatus, publishRollover
+  let getHaEntity, buildHaConfig, publishDiscovery, publishAvailability, getDeviceLwtTopic, buildMetricsText
   let mockS, mockV, mockC, mockALM, mockRSN, mockICO
 
   beforeEach(async () => {
@@ -24,6 +25,10 @@ describe('Reporting', () => {
       sts_lifeRunSec: 43200,
       sts_cycleCnt: 3,
       dfr_isActive: false,
+      dor_openCnt: 0,
+      dor_openTotalSec: 0,
+      nrg_hourWh: 41.26,
+      nrg_lifeWh: 123456,
       flt_fatalArr: [],
       flt_critArr: [],
       flt_errorArr: [],
@@ -45,11 +50,20 @@ describe('Reporting', () => {
     mockC = {
       ctl_targetDeg: 4.0,
       sys_mqttTopic: 'fridge/status',
+      sys_mqttCmd: 'fridge/command',
+      sys_mqttAvail: 'fridge/availability',
+      sys_mqttStats: 'fridge/stats',
+      sys_haEnable: true,
+      sys_haPrefix: 'homeassistant',
     }
 
     global.print = vi.fn()
     global.MQTT = { publish: vi.fn() }
-    global.Shelly = { getUptimeMs: vi.fn(() => 7200000) }
+    global.Shelly = {
+      getUptimeMs: vi.fn(() => 7200000),
+      getComponentConfig: vi.fn(() => ({ topic_prefix: 'shellyplus1pm-abc' })),
+    }
+    global.Timer = { set: vi.fn((d, r, cb) => { cb(); return 1 }) }
 
     vi.doMock('./constants.js', () => ({ ALM: mockALM, RSN: mockRSN, ICO: mockICO }))
     vi.doMock('./config.js', () => ({ C: mockC }))
@@ -74,7 +88,10 @@ describe('Reporting', () => {
       }),
     }))
     vi.doMock('./features.js', () => ({
+      getEffectiveTarget: vi.fn(() => mockC.ctl_targetDeg),
       getEffectiveHysteresis: vi.fn(() => 0.5),
+      isManualDefrost: vi.fn(() => false),
+      isDoorOpen: vi.fn(() => (mockV.dor_hasContact ? mockV.dor_isOpen : mockV.dor_pauseRemSec > 0)),
     }))
     vi.doMock('./metrics.js', () => ({
       getAvgDuty24h: vi.fn(() => 45),
@@ -82,6 +99,9 @@ describe('Reporting', () => {
       getLifetimeDuty: vi.fn(() => 50),
       getLifetimeRunHours: vi.fn(() => 123.5),
       getCurrentHourAverages: vi.fn(() => ({ avgOn: 600, avgOff: 600, cycleCount: 3 })),
+      getEnergy24h: vi.fn(() => 1234.56),
+      getEnergyCost: vi.fn((wh) => Math.round(wh * 0.3 / 10) / 100),
+      expandDayRecord: vi.fn((r) => ({ ts: r[0], duty: r[1] })),
     }))
 
     const module = await import('./reporting.js')
@@ -89,6 +109,13 @@ describe('Reporting', () => {
     formatConsoleMessage = module.formatConsoleMessage
     buildMqttPayload = module.buildMqttPayload
     publishStatus = module.publishStatus
+    publishRollover = module.publishRollover
+    getHaEntity = module.getHaEntity
+    buildHaConfig = module.buildHaConfig
+    publishDiscovery = module.publishDiscovery
+    publishAvailability = module.publishAvailability
+    getDeviceLwtTopic = module.getDeviceLwtTopic
+    buildMetricsText = module.buildMetricsText
   })
 
   // ----------------------------------------------------------
@@ -223,6 +250,29 @@ describe('Reporting', () => {
       expect(payload.turboOn).toBe(1)
     })
 
+    it('should report door contact state and counters', () => {
+      mockV.dor_hasContact = true
+      mockV.dor_isOpen = true
+      mockS.dor_openCnt = 12
+      mockS.dor_openTotalSec = 340
+
+      const payload = buildMqttPayload(4.5, -10.0, 4.52, 50, 35)
+
+      // Contact wins over an expired pause timer
+      expect(payload.doorOpen).toBe(1)
+      expect(payload.doorCnt).toBe(12)
+      expect(payload.doorOpenSec).toBe(340)
+    })
+
+    it('should report energy counters and cost estimate', () => {
+      const payload = buildMqttPayload(4.5, -10.0, 4.52, 50, 35)
+
+      expect(payload.whHr).toBe(41.3)
+      expect(payload.whDay).toBe(1234.6)
+      expect(payload.kwhLife).toBe(123.46)
+      expect(payload.costDay).toBe(0.37)
+    })
+
     it('should include health section with power', () => {
       const payload = buildMqttPayload(4.5, -10.0, 4.52, 75.5, 35)
 
@@ -245,12 +295,33 @@ describe('Reporting', () => {
 
       // Schema stability: these fields are consumed by Home Assistant integrations
       expect(keys).toEqual([
-        'alarm', 'avgOffSec', 'avgOnSec', 'defrostOn', 'doorOpen',
-        'dutyDay', 'dutyHr', 'dutyLife', 'health', 'hoursLife',
-        'hyst', 'reason', 'relayOn', 'status', 'tAirRaw',
-        'tAirSmt', 'tDev', 'tEvap', 'turboOn', 'watts',
+        'alarm', 'avgOffSec', 'avgOnSec', 'costDay', 'defrostOn', 'doorCnt', 'doorOpen', 'doorOpenSec',
+        'dutyDay', 'dutyHr', 'dutyLife', 'health', 'heaterOn', 'hoursLife',
+        'hyst', 'kwhLife', 'mode', 'pidDuty', 'profile', 'reason', 'relayOn', 'status', 'tAirRaw',
+        'tAirSmt', 'tDev', 'tEvap', 'target', 'turboOn', 'watts', 'whDay', 'whHr',
       ])
     })
+
+    it('should include target setpoint for HA climate entity', () => {
+      mockC.ctl_targetDeg = 3.5
+
+      const payload = buildMqttPayload(4.5, -10.0, 4.52, 50, 35)
+
+      expect(payload.target).toBe(3.5)
+    })
+
+    it('should report PID duty only when PID enabled', () => {
+      mockV.pid_duty = 0.35
+      expect(buildMqttPayload(4.5, -10.0, 4.52, 50, 35).pidDuty).toBeNull()
+      mockC.pid_enable = true
+      expect(buildMqttPayload(4.5, -10.0, 4.52, 50, 35).pidDuty).toBe(35)
+    })
+
+    it('should report vacation mode', () => {
+      expect(buildMqttPayload(4.5, -10.0, 4.52, 50, 35).mode).toBe('normal')
+      mockS.vac_isActive = true
+      expect(buildMqttPayload(4.5, -10.0, 4.52, 50, 35).mode).toBe('vacation')
+    })
   })
 
   // ----------------------------------------------------------
@@ -275,6 +346,22 @@ describe('Reporting', () => {
       )
     })
 
+    it('should throttle MQTT to vac_reportSec in vacation mode', () => {
+      mockS.vac_isActive = true
+      mockC.vac_reportSec = 300
+      mockV.lop_lastPubTs = 0
+
+      mockV.lop_nowTs = 1000
+      publishStatus(4.5, -10.0, 4.52, 50, 35)
+      mockV.lop_nowTs = 1200
+      publishStatus(4.5, -10.0, 4.52, 50, 35)
+      mockV.lop_nowTs = 1300
+      publishStatus(4.5, -10.0, 4.52, 50, 35)
+
+      expect(global.MQTT.publish).toHaveBeenCalledTimes(2)
+      expect(global.print).toHaveBeenCalledTimes(3)
+    })
+
     it('should publish valid JSON', () => {
       publishStatus(4.5, -10.0, 4.52, 50, 35)
 
@@ -285,4 +372,246 @@ describe('Reporting', () => {
       expect(payload.status).toBeDefined()
     })
   })
+
+  // ----------------------------------------------------------
+  // ROLLOVER SUMMARY TESTS
+  // ----------------------------------------------------------
+
+  describe('publishRollover', () => {
+    const ro = {
+      avgOn: 600.4, avgOff: 900.6, duty: 40, cycles: 2, energyWh: 31.5, adapted: 'widen',
+      airMin: 3, airMax: 6, airAvg: 4.2, evpMin: -14, evpMax: -3, evpAvg: -9.1, aboveSec: 0, day: null,
+    }
+
+    it('should publish retained hourly summary', () => {
+      mockV.lop_nowTs = 7200.5
+      publishRollover(ro)
+
+      expect(global.MQTT.publish).toHaveBeenCalledTimes(1)
+      const [topic, body, qos, retain] = global.MQTT.publish.mock.calls[0]
+      expect(topic).toBe('fridge/stats/hour')
+      expect(qos).toBe(1)
+      expect(retain).toBe(true)
+      expect(JSON.parse(body)).toEqual({
+        ts: 7200, duty: 40, avgOn: 600, avgOff: 900, cycles: 2, adapted: 'widen', wh: 31.5,
+        airMin: 3, airMax: 6, airAvg: 4.2, evpMin: -14, evpMax: -3, evpAvg: -9.1, aboveSec: 0,
+      })
+    })
+
+    it('should publish retained daily summary when the day closes', () => {
+      publishRollover(Object.assign({}, ro, { day: [86400, 38.2] }))
+
+      expect(global.MQTT.publish).toHaveBeenLastCalledWith('fridge/stats/day', JSON.stringify({ ts: 86400, duty: 38.2 }), 1, true)
+    })
+  })
+
+  // ----------------------------------------------------------
+  // AVAILABILITY TESTS
+  // ----------------------------------------------------------
+
+  describe('publishAvailability', () => {
+    it('should publish retained online', () => {
+      publishAvailability(true)
+
+      expect(global.MQTT.publish).toHaveBeenCalledWith('fridge/availability', 'online', 1, true)
+    })
+
+    it('should publish retained offline', () => {
+      publishAvailability(false)
+
+      expect(global.MQTT.publish).toHaveBeenCalledWith('fridge/availability', 'offline', 1, true)
+    })
+  })
+
+  describe('getDeviceLwtTopic', () => {
+    it('should derive LWT topic from firmware MQTT prefix', () => {
+      expect(getDeviceLwtTopic()).toBe('shellyplus1pm-abc/online')
+    })
+
+    it('should return null when MQTT config unavailable', () => {
+      global.Shelly.getComponentConfig.mockReturnValue(null)
+
+      expect(getDeviceLwtTopic()).toBeNull()
+    })
+  })
+
+  // ----------------------------------------------------------
+  // HOME ASSISTANT DISCOVERY TESTS
+  // ----------------------------------------------------------
+
+  describe('getHaEntity', () => {
+    it('should return null past the end of the table', () => {
+      expect(getHaEntity(0)).not.toBeNull()
+      expect(getHaEntity(999)).toBeNull()
+    })
+
+    it('should reference only fields present in the status payload', () => {
+      const payload = buildMqttPayload(4.5, -10.0, 4.52, 50, 35)
+      for (let i = 0; getHaEntity(i) !== null; i++) {
+        const e = getHaEntity(i)
+        if (e[0] === 'sensor' || e[0] === 'binary_sensor') {
+          expect(payload).toHaveProperty(e[1])
+        }
+      }
+    })
+  })
+
+  describe('buildHaConfig', () => {
+    it('should build sensor config bound to status topic', () => {
+      const cfg = buildHaConfig(['sensor', 'tEvap', 'Evaporator Temperature', '°C', 'temperature'], 'fridge')
+
+      expect(cfg.uniq_id).toBe('fridge_tEvap')
+      expect(cfg.stat_t).toBe('fridge/status')
+      expect(cfg.val_tpl).toBe('{{ value_json.tEvap }}')
+      expect(cfg.unit_of_meas).toBe('°C')
+      expect(cfg.dev_cla).toBe('temperature')
+      expect(cfg.stat_cla).toBe('measurement')
+      expect(cfg.dev.ids).toEqual(['fridge'])
+    })
+
+    it('should mark energy sensor as total_increasing', () => {
+      const cfg = buildHaConfig(['sensor', 'kwhLife', 'Energy', 'kWh', 'energy'], 'fridge')
+
+      expect(cfg.stat_cla).toBe('total_increasing')
+      expect(cfg.dev_cla).toBe('energy')
+    })
+
+    it('should require both script and firmware availability', () => {
+      const cfg = buildHaConfig(['sensor', 'tEvap', 'Evaporator Temperature', '°C', 'temperature'], 'fridge')
+
+      expect(cfg.avty).toEqual([
+        { t: 'fridge/availability' },
+        { t: 'shellyplus1pm-abc/online', pl_avail: 'true', pl_not_avail: 'false' },
+      ])
+      expect(cfg.avty_mode).toBe('all')
+    })
+
+    it('should fall back to script availability without firmware LWT', () => {
+      global.Shelly.getComponentConfig.mockReturnValue({})
+
+      const cfg = buildHaConfig(['sensor', 'tEvap', 'Evaporator Temperature', '°C', 'temperature'], 'fridge')
+
+      expect(cfg.avty).toEqual([{ t: 'fridge/availability' }])
+      expect(cfg.avty_mode).toBeUndefined()
+    })
+
+    it('should build binary sensor with 1/0 payloads', () => {
+      const cfg = buildHaConfig(['binary_sensor', 'doorOpen', 'Door', null, 'door'], 'fridge')
+
+      expect(cfg.pl_on).toBe('1')
+      expect(cfg.pl_off).toBe('0')
+      expect(cfg.unit_of_meas).toBeUndefined()
+    })
+
+    it('should build button that publishes command', () => {
+      const cfg = buildHaConfig(['button', 'turbo_on', 'Turbo On', null, null], 'fridge')
+
+      expect(cfg.cmd_t).toBe('fridge/command')
+      expect(JSON.parse(cfg.pl_prs)).toEqual({ cmd: 'turbo_on' })
+      expect(cfg.stat_t).toBeUndefined()
+    })
+
+    it('should build climate entity tied to setpoint command', () => {
+      const cfg = buildHaConfig(['climate', 'thermostat', 'Thermostat', null, null], 'fridge')
+
+      expect(cfg.temp_cmd_t).toBe('fridge/command')
+      expect(cfg.temp_cmd_tpl).toContain('"cmd":"setpoint"')
+      expect(cfg.temp_stat_tpl).toBe('{{ value_json.target }}')
+      expect(cfg.curr_temp_tpl).toBe('{{ value_json.tAirSmt }}')
+    })
+  })
+
+  describe('publishDiscovery', () => {
+    it('should publish one retained config per entity', () => {
+      publishDiscovery()
+
+      let count = 0
+      while (getHaEntity(count) !== null) count++
+      expect(global.MQTT.publish).toHaveBeenCalledTimes(count)
+      expect(global.MQTT.publish).toHaveBeenCalledWith(
+        'homeassistant/sensor/fridge/tAirSmt/config', expect.any(String), 1, true,
+      )
+      expect(global.MQTT.publish).toHaveBeenCalledWith(
+        'homeassistant/climate/fridge/thermostat/config', expect.any(String), 1, true,
+      )
+    })
+
+    it('should use configured discovery prefix', () => {
+      mockC.sys_haPrefix = 'ha'
+
+      publishDiscovery()
+
+      expect(global.MQTT.publish.mock.calls[0][0]).toMatch(/^ha\//)
+    })
+
+    it('should publish nothing when disabled', () => {
+      mockC.sys_haEnable = false
+
+      publishDiscovery()
+
+      expect(global.MQTT.publish).not.toHaveBeenCalled()
+    })
+  })
+
+  // ----------------------------------------------------------
+  // PROMETHEUS METRICS TESTS
+  // ----------------------------------------------------------
+
+  describe('buildMetricsText', () => {
+    beforeEach(() => {
+      mockS.sts_lifeCycleCnt = 42
+      mockV.sns_airSmoothDeg = 4.2
+      mockV.lop_tAirRaw = 4.3
+      mockV.lop_tEvap = null
+      mockV.lop_devTemp = 38
+      mockV.lop_watts = 81.26
+    })
+
+    it('should render HELP and TYPE for every metric', () => {
+      const text = buildMetricsText()
+      const helps = text.match(/^# HELP fridge_\w+ /gm)
+      const types = text.match(/^# TYPE fridge_\w+ (gauge|counter)$/gm)
+
+      expect(helps.length).toBe(15)
+      expect(types.length).toBe(15)
+      expect(text.endsWith('\n')).toBe(true)
+    })
+
+    it('should render duty, run hours and cycle values', () => {
+      const text = buildMetricsText()
+
+      expect(text).toContain('fridge_duty_hour_percent 50\n')
+      expect(text).toContain('fridge_duty_24h_percent 45\n')
+      expect(text).toContain('fridge_duty_lifetime_percent 50\n')
+      expect(text).toContain('# TYPE fridge_run_hours_total counter\nfridge_run_hours_total 123.5\n')
+      expect(text).toContain('fridge_cycles_hour 3\n')
+      expect(text).toContain('fridge_cycles_total 42\n')
+      expect(text).toContain('fridge_hysteresis_celsius 0.5\n')
+      expect(text).toContain('fridge_power_watts 81.3\n')
+      expect(text).toContain('# TYPE fridge_energy_joules_total counter\nfridge_energy_joules_total 444441600\n')
+    })
+
+    it('should label temperatures by sensor and omit missing readings', () => {
+      const text = buildMetricsText()
+
+      expect(text).toContain('fridge_temperature_celsius{sensor="air"} 4.2\n')
+      expect(text).toContain('fridge_temperature_celsius{sensor="device"} 38\n')
+      expect(text).not.toContain('sensor="evap"')
+    })
+
+    it('should render alarm as labelled gauge with one active series', () => {
+      mockV.sys_alarm = 'ALARM_HIGH_TEMP'
+
+      const text = buildMetricsText()
+
+      expect(text).toContain('fridge_alarm{alarm="ALARM_HIGH_TEMP"} 1\n')
+      expect(text).not.toContain('alarm="NONE"')
+    })
+
+    it('should omit power without power monitor', () => {
+      mockV.hw_hasPM = false
+
+      expect(buildMetricsText()).not.toMatch(/^fridge_power_watts /m)
+    })
+  })
 })
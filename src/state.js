@@ -13,10 +13,35 @@ import { ri } from './utils/math.js'
 
 let ST_KEYS = {
   'fridge_st_core': ['sys_relayOnTs', 'sys_relayOffTs', 'sys_isRelayOn', 'sys_lastSaveTs',
-    'wld_airSnapDeg', 'adt_hystDeg', 'dfr_isActive'],
+    'wld_airSnapDeg', 'adt_hystDeg', 'dfr_isActive',
+    // #if vacation
+    'vac_isActive', 'vac_untilTs',
+    // #endif
+    // #if profiles
+    'prf_name',
+    // #endif
+  ],
   'fridge_st_stats': ['sts_lifeTotalSec', 'sts_lifeRunSec', 'sts_hourTotalSec', 'sts_hourRunSec',
-    'sts_histIdx', 'sts_cycleCnt'],
+    'sts_histIdx', 'sts_cycleCnt', 'sts_lifeCycleCnt',
+    // #if door
+    'dor_openCnt', 'dor_openTotalSec',
+    // #endif
+  ],
   'fridge_st_hist': ['sts_dutyHistArr'],
+  // #if energy
+  'fridge_st_energy': ['nrg_hourWh', 'nrg_lifeWh', 'nrg_histArr'],
+  // #endif
+  // #if tempstats
+  'fridge_st_temps': ['sts_hourAirMin', 'sts_hourAirMax', 'sts_hourAirSum', 'sts_hourAirCnt',
+    'sts_hourEvpMin', 'sts_hourEvpMax', 'sts_hourEvpSum', 'sts_hourEvpCnt', 'sts_hourAboveSec'],
+  'fridge_st_thist': ['sts_tempHistArr'],
+  // #endif
+  // #if history
+  'fridge_st_days': ['sts_dayArr', 'sts_dayCycleCnt', 'sts_dayDfrCnt', 'sts_dayDoorCnt'],
+  // #endif
+  // #if excursion
+  'fridge_st_exc': ['exc_logArr', 'exc_startTs', 'exc_peakDeg', 'exc_cause'],
+  // #endif
   'fridge_st_faults': ['flt_fatalArr', 'flt_critArr', 'flt_errorArr', 'flt_warnArr'],
 }
 
@@ -37,9 +62,50 @@ let S = {
   sts_hourTotalSec: 0,
   sts_hourRunSec: 0,
   sts_cycleCnt: 0,
+  sts_lifeCycleCnt: 0,
   sts_dutyHistArr: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
   sts_histIdx: 0,
+  // #if energy
+  nrg_hourWh: 0,             // Compressor energy, current hour (Wh)
+  nrg_lifeWh: 0,             // Compressor energy, lifetime (Wh)
+  nrg_histArr: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], // Wh per hour, indexed by sts_histIdx
+  // #endif
+  // #if tempstats
+  sts_hourAirMin: 0,         // Current hour temperature accumulators
+  sts_hourAirMax: 0,
+  sts_hourAirSum: 0,
+  sts_hourAirCnt: 0,         // Samples (0 = min/max unset)
+  sts_hourEvpMin: 0,
+  sts_hourEvpMax: 0,
+  sts_hourEvpSum: 0,
+  sts_hourEvpCnt: 0,
+  sts_hourAboveSec: 0,       // Air above alm_limitDeg this hour (s)
+  sts_tempHistArr: [],       // Temp stats per hour, indexed by sts_histIdx (null = no data, see metrics.js)
+  // #endif
+  // #if history
+  sts_dayArr: [],            // Daily rollups, newest first (max 7, see metrics.js)
+  sts_dayCycleCnt: 0,        // Current day accumulators
+  sts_dayDfrCnt: 0,
+  sts_dayDoorCnt: 0,
+  // #endif
+  // #if excursion
+  exc_logArr: [],            // Closed excursions [start, end, peak, cause], newest first (see excursion.js)
+  exc_startTs: 0,            // Open excursion start (0 = none)
+  exc_peakDeg: 0,
+  exc_cause: 0,              // Cause bits seen so far (1 door, 2 defrost, 4 alarm)
+  // #endif
   dfr_isActive: false,
+  // #if vacation
+  vac_isActive: false,
+  vac_untilTs: 0,            // Vacation end (0 = until cancelled)
+  // #endif
+  // #if profiles
+  prf_name: '',              // Last applied profile ('' = none)
+  // #endif
+  // #if door
+  dor_openCnt: 0,            // Door contact openings (lifetime)
+  dor_openTotalSec: 0,       // Door contact open time, completed openings
+  // #endif
 
   flt_fatalArr: [],
   flt_critArr: [],
@@ -72,24 +138,77 @@ let V = {
   dor_refDeg: 0,
   dor_refTs: 0,
   dor_pauseRemSec: 0,
+  // #if door
+  dor_hasContact: false, // Contact input read OK this tick (dP/dt skipped)
+  dor_isOpen: false,
+  dor_openTs: 0,
+  // #endif
+  // #if dooresc
+  dor_epiTs: 0,        // Rate-detected episode start (0 = none)
+  dor_epiDeg: 0,       // Air before the first event of the episode
+  dor_isEsc: false,    // Episode escalated: alarm, cooling no longer paused
+  // #endif
 
   trb_isActive: false,
   trb_remSec: 0,
   trb_prevSw: false,
 
+  // #if mandefrost
+  dfr_manRemSec: 0,    // Manual defrost countdown (volatile: reboot cancels)
+  // #endif
+
+  // #if pid
+  pid_integ: 0,        // Integral term (duty fraction, clamped 0-1)
+  pid_lastErr: null,
+  pid_duty: 0,
+  pid_winStartTs: 0,
+  // #endif
+
   adt_lastDir: null,
   adt_consecCnt: 0,
 
   hlt_startDeg: 0,
   hlt_lastScore: 0,
 
+  // #if history
+  sts_wasDfr: false,   // Previous tick edges for daily defrost / door counts
+  sts_wasDoor: false,
+  // #endif
+
+  // #if heater
+  htr_isOn: null,      // null = unknown until first command after boot
+  htr_onTs: 0,
+  htr_offTs: 0,
+  htr_fault: false,    // Runaway latch (cleared when air back at target)
+  htr_cmpOnTs: 0,      // Compressor run the stuck check has a snapshot for
+  htr_cmpAirDeg: 0,    // Air at the start of that run
+  htr_outHost: '',     // Output last commanded (switched OFF if config moves it)
+  htr_outId: 0,
+  // #endif
+
   hw_hasPM: false,
   pwr_ghostSec: 0,
   pwr_ghostCnt: 0,     // Tracks repeated ghost runs for escalation
 
   flt_pendCode: null,
+  // #if latch
+  alm_latch: 'NONE',   // Latched alarm (see getAlarmPolicy)
+  alm_latchTs: 0,      // Latch start, doubles as fatal ack confirmation token
+  alm_seenTs: 0,       // Last loop the latched condition was raised
+  // #endif
 
   lop_lastSaveTs: 0,
+  // #if vacation
+  lop_lastPubTs: 0,          // Last MQTT status publish (vacation throttling)
+  // #endif
+
+  // #if http
+  // Last raw readings, kept for HTTP /status between ticks
+  lop_tEvap: null,
+  lop_tAirRaw: null,
+  lop_watts: 0,
+  lop_devTemp: null,
+  // #endif
 
   // CRITICAL: Timestamp captured at start of each loop tick.
   // Shelly mJS closures don't work correctly with Date.now() - must use global.
@@ -126,6 +245,16 @@ function isTimestampInvalid(ts, now) {
   return ts > now + 60 || ts < now - 31536000
 }
 
+/**
+ * isList - Check that a loaded value is an array
+ *
+ * @param {any} v - Value to check
+ * @returns {boolean} True if v is an array
+ */
+function isList(v) {
+  return !!v && v.constructor === Array
+}
+
 /**
  * sanitizeLoadedState - Validate and fix corrupted state after KVS load
  * Orchestrates timestamp, stats, and fault sanitization.
@@ -152,22 +281,50 @@ function sanitizeTimestamps(now) {
     S.sys_isRelayOn = false
     S.sys_lastSaveTs = 0
   }
+  // #if excursion
+  if (S.exc_startTs > 0 && isTimestampInvalid(S.exc_startTs, now)) S.exc_startTs = 0
+  // #endif
 }
 
 /**
  * sanitizeStats - Reset statistics if corrupted
- * Validates history array length (24h) and ensures counters are non-negative.
+ * Validates history array lengths (24h) and ensures counters are non-negative.
  */
+// eslint-disable-next-line complexity, sonarjs/cognitive-complexity -- one flat guard per persisted stats field
 function sanitizeStats() {
-  if (!S.sts_dutyHistArr || S.sts_dutyHistArr.constructor !== Array || S.sts_dutyHistArr.length !== 24) {
+  if (!isList(S.sts_dutyHistArr) || S.sts_dutyHistArr.length !== 24) {
     S.sts_dutyHistArr = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
     S.sts_histIdx = 0
   } else if (S.sts_histIdx < 0 || S.sts_histIdx > 23) {
     S.sts_histIdx = 0
   }
+  // #if energy
+  if (!isList(S.nrg_histArr) || S.nrg_histArr.length !== 24) {
+    S.nrg_histArr = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  }
+  // #endif
+  // #if history
+  if (!isList(S.sts_dayArr) || S.sts_dayArr.length > 7) S.sts_dayArr = []
+  // #endif
+  // #if excursion
+  if (!isList(S.exc_logArr) || S.exc_logArr.length > 20) S.exc_logArr = []
+  // #endif
+  // #if tempstats
+  if (!isList(S.sts_tempHistArr) || S.sts_tempHistArr.length !== 24) {
+    S.sts_tempHistArr = []
+    for (let i = 0; i < 24; i++) S.sts_tempHistArr.push(null)
+  }
+  if (!(S.sts_hourAirCnt >= 0)) S.sts_hourAirCnt = 0
+  if (!(S.sts_hourEvpCnt >= 0)) S.sts_hourEvpCnt = 0
+  // #endif
+  // #if energy
+  if (!(S.nrg_hourWh >= 0)) S.nrg_hourWh = 0
+  if (!(S.nrg_lifeWh >= 0)) S.nrg_lifeWh = 0
+  // #endif
   if (S.sts_hourTotalSec < 0) S.sts_hourTotalSec = 0
   if (S.sts_hourRunSec < 0) S.sts_hourRunSec = 0
   if (S.sts_cycleCnt < 0) S.sts_cycleCnt = 0
+  if (S.sts_lifeCycleCnt < 0) S.sts_lifeCycleCnt = 0
 }
 
 /**
@@ -175,10 +332,10 @@ function sanitizeStats() {
  * Ensures each fault severity level is a valid array.
  */
 function sanitizeFaults() {
-  if (!S.flt_fatalArr || S.flt_fatalArr.constructor !== Array) S.flt_fatalArr = []
-  if (!S.flt_critArr || S.flt_critArr.constructor !== Array) S.flt_critArr = []
-  if (!S.flt_errorArr || S.flt_errorArr.constructor !== Array) S.flt_errorArr = []
-  if (!S.flt_warnArr || S.flt_warnArr.constructor !== Array) S.flt_warnArr = []
+  let keys = ST_KEYS['fridge_st_faults']
+  for (let i = 0; i < keys.length; i++) {
+    if (!isList(S[keys[i]])) S[keys[i]] = []
+  }
 }
 
 /**
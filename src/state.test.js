@@ -55,6 +55,11 @@ describe('State', () => {
       expect(ST_KEYS['fridge_st_core']).toBeDefined()
       expect(ST_KEYS['fridge_st_stats']).toBeDefined()
       expect(ST_KEYS['fridge_st_hist']).toBeDefined()
+      expect(ST_KEYS['fridge_st_energy']).toBeDefined()
+      expect(ST_KEYS['fridge_st_temps']).toBeDefined()
+      expect(ST_KEYS['fridge_st_thist']).toBeDefined()
+      expect(ST_KEYS['fridge_st_days']).toBeDefined()
+      expect(ST_KEYS['fridge_st_exc']).toBeDefined()
       expect(ST_KEYS['fridge_st_faults']).toBeDefined()
     })
 
@@ -83,6 +88,30 @@ describe('State', () => {
       })
     })
 
+    it('should reference valid S keys in energy', () => {
+      ST_KEYS['fridge_st_energy'].forEach((key) => {
+        expect(S[key]).toBeDefined()
+      })
+    })
+
+    it('should reference valid S keys in temps', () => {
+      ST_KEYS['fridge_st_temps'].concat(ST_KEYS['fridge_st_thist']).forEach((key) => {
+        expect(S[key]).toBeDefined()
+      })
+    })
+
+    it('should reference valid S keys in days', () => {
+      ST_KEYS['fridge_st_days'].forEach((key) => {
+        expect(S[key]).toBeDefined()
+      })
+    })
+
+    it('should reference valid S keys in excursion log', () => {
+      ST_KEYS['fridge_st_exc'].forEach((key) => {
+        expect(S[key]).toBeDefined()
+      })
+    })
+
     it('should reference valid S keys in faults', () => {
       ST_KEYS['fridge_st_faults'].forEach((key) => {
         expect(S[key]).toBeDefined()
@@ -296,6 +325,15 @@ describe('State', () => {
       expect(S.sys_relayOnTs).toBe(0)
     })
 
+    it('should drop open excursion with invalid start', () => {
+      S.exc_startTs = Date.now() / 1000 + 120
+
+      loadState(() => {})
+      loadChunksSeqCallback({ 'fridge_st_core': {} })
+
+      expect(S.exc_startTs).toBe(0)
+    })
+
     it('should keep valid timestamps', () => {
       let completed = false
       const validTime = Date.now() / 1000 - 3600 // 1 hour ago
@@ -378,12 +416,14 @@ describe('State', () => {
       S.sts_hourTotalSec = -100
       S.sts_hourRunSec = -50
       S.sts_cycleCnt = -1
+      S.sts_lifeCycleCnt = -1
       loadState(() => {})
       loadChunksSeqCallback({})
 
       expect(S.sts_hourTotalSec).toBe(0)
       expect(S.sts_hourRunSec).toBe(0)
       expect(S.sts_cycleCnt).toBe(0)
+      expect(S.sts_lifeCycleCnt).toBe(0)
     })
 
     // ----------------------------------------------------------
@@ -438,6 +478,48 @@ describe('State', () => {
       expect(S.flt_warnArr.length).toBe(0)
     })
 
+    it('should reset corrupted energy history and counters', () => {
+      S.nrg_histArr = [1, 2, 3]
+      S.nrg_hourWh = -4
+      S.nrg_lifeWh = 'x'
+      loadState(() => {})
+      loadChunksSeqCallback({})
+
+      expect(S.nrg_histArr.length).toBe(24)
+      expect(S.nrg_histArr[0]).toBe(0)
+      expect(S.nrg_hourWh).toBe(0)
+      expect(S.nrg_lifeWh).toBe(0)
+    })
+
+    it('should reset corrupted day history', () => {
+      S.sts_dayArr = 'x'
+      loadState(() => {})
+      loadChunksSeqCallback({})
+
+      expect(S.sts_dayArr).toEqual([])
+    })
+
+    it('should reset corrupted excursion log', () => {
+      S.exc_logArr = {}
+      loadState(() => {})
+      loadChunksSeqCallback({})
+
+      expect(S.exc_logArr).toEqual([])
+    })
+
+    it('should reset corrupted temperature history and counts', () => {
+      S.sts_tempHistArr = [[1, 2, 3, 4, 5, 6, 0]]
+      S.sts_hourAirCnt = -1
+      S.sts_hourEvpCnt = 'x'
+      loadState(() => {})
+      loadChunksSeqCallback({})
+
+      expect(S.sts_tempHistArr.length).toBe(24)
+      expect(S.sts_tempHistArr[0]).toBeNull()
+      expect(S.sts_hourAirCnt).toBe(0)
+      expect(S.sts_hourEvpCnt).toBe(0)
+    })
+
     it('should handle mixed valid/invalid fault arrays', () => {
       S.flt_fatalArr = ['WELD']  // Valid - should preserve
       S.flt_critArr = 'corrupted'  // Invalid - should reset
@@ -0,0 +1,146 @@
+// ==============================================================================
+// CRYPTO UTILITIES
+// SHA-256 and HMAC-SHA256 for MQTT command signing.
+// Shelly scripting has no crypto API, so this is a compact pure implementation.
+// Operates on byte strings (mJS strings are bytes; ASCII in tests).
+// ==============================================================================
+
+// ----------------------------------------------------------
+// SHA-256
+// Round constants are built per call so they don't sit on the heap.
+// ----------------------------------------------------------
+
+/**
+ * sha256 - Hash a byte array
+ * @param {number[]} b - Message bytes (0-255)
+ * @returns {number[]} - 32-byte digest
+ */
+function sha256(b) {
+  let k = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+  ]
+  let h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]
+
+  // Pad: 0x80, zeros to 56 mod 64, then 64-bit big-endian bit length
+  let len = b.length
+  let m = []
+  for (let i = 0; i < len; i++) m.push(b[i])
+  m.push(0x80)
+  while (m.length % 64 !== 56) m.push(0)
+  let bits = len * 8
+  let hi = Math.floor(bits / 0x100000000)
+  m.push((hi >>> 24) & 255, (hi >>> 16) & 255, (hi >>> 8) & 255, hi & 255)
+  m.push((bits >>> 24) & 255, (bits >>> 16) & 255, (bits >>> 8) & 255, bits & 255)
+
+  let w = []
+  for (let off = 0; off < m.length; off += 64) {
+    for (let i = 0; i < 16; i++) {
+      let j = off + i * 4
+      w[i] = (m[j] << 24) | (m[j + 1] << 16) | (m[j + 2] << 8) | m[j + 3]
+    }
+    for (let i = 16; i < 64; i++) {
+      let x = w[i - 15]
+      let y = w[i - 2]
+      let s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3)
+      let s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10)
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0
+    }
+
+    let a = h[0]
+    let bb = h[1]
+    let c = h[2]
+    let d = h[3]
+    let e = h[4]
+    let f = h[5]
+    let g = h[6]
+    let hh = h[7]
+    for (let i = 0; i < 64; i++) {
+      let S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7))
+      let ch = (e & f) ^ (~e & g)
+      let t1 = (hh + S1 + ch + k[i] + w[i]) | 0
+      let S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10))
+      let maj = (a & bb) ^ (a & c) ^ (bb & c)
+      let t2 = (S0 + maj) | 0
+      hh = g
+      g = f
+      f = e
+      e = (d + t1) | 0
+      d = c
+      c = bb
+      bb = a
+      a = (t1 + t2) | 0
+    }
+    h[0] = (h[0] + a) | 0
+    h[1] = (h[1] + bb) | 0
+    h[2] = (h[2] + c) | 0
+    h[3] = (h[3] + d) | 0
+    h[4] = (h[4] + e) | 0
+    h[5] = (h[5] + f) | 0
+    h[6] = (h[6] + g) | 0
+    h[7] = (h[7] + hh) | 0
+  }
+
+  let out = []
+  for (let i = 0; i < 8; i++) {
+    out.push((h[i] >>> 24) & 255, (h[i] >>> 16) & 255, (h[i] >>> 8) & 255, h[i] & 255)
+  }
+  return out
+}
+
+// ----------------------------------------------------------
+// HMAC-SHA256
+// ----------------------------------------------------------
+
+/**
+ * strBytes - Convert byte string to byte array
+ * @param {string} s - Input string
+ * @returns {number[]} - Byte values
+ */
+function strBytes(s) {
+  let b = []
+  for (let i = 0; i < s.length; i++) b.push(s.charCodeAt(i) & 255)
+  return b
+}
+
+/**
+ * hmacSha256Hex - Compute HMAC-SHA256 as lowercase hex
+ * @param {string} key - Shared secret
+ * @param {string} msg - Message to sign
+ * @returns {string} - 64-char hex digest
+ */
+function hmacSha256Hex(key, msg) {
+  let kb = strBytes(key)
+  if (kb.length > 64) kb = sha256(kb)
+  while (kb.length < 64) kb.push(0)
+
+  let inner = []
+  let outer = []
+  for (let i = 0; i < 64; i++) {
+    inner.push(kb[i] ^ 0x36)
+    outer.push(kb[i] ^ 0x5c)
+  }
+  for (let i = 0; i < msg.length; i++) inner.push(msg.charCodeAt(i) & 255)
+  let ih = sha256(inner)
+  for (let i = 0; i < 32; i++) outer.push(ih[i])
+  let digest = sha256(outer)
+
+  let hex = '0123456789abcdef'
+  let out = ''
+  for (let i = 0; i < digest.length; i++) {
+    out += hex.charAt(digest[i] >>> 4) + hex.charAt(digest[i] & 15)
+  }
+  return out
+}
+
+// ----------------------------------------------------------
+// EXPORTS
+// ----------------------------------------------------------
+
+export { sha256, hmacSha256Hex }
@@ -0,0 +1,74 @@
+// ==============================================================================
+// CRYPTO UTILITIES TESTS
+// Tests SHA-256 and HMAC-SHA256 against known vectors and Node crypto.
+// ==============================================================================
+
+import { createHash, createHmac } from 'node:crypto'
+import { describe, it, expect } from 'vitest'
+import { sha256, hmacSha256Hex } from './crypto.js'
+
+/**
+ * toHex - Convert byte array to hex string
+ * @param {number[]} b - Bytes
+ * @returns {string} - Lowercase hex
+ */
+function toHex(b) {
+  return b.map(x => x.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * bytesOf - Convert ASCII string to byte array
+ * @param {string} s - Input string
+ * @returns {number[]} - Bytes
+ */
+function bytesOf(s) {
+  return Array.from(Buffer.from(s, 'latin1'))
+}
+
+// ----------------------------------------------------------
+// SHA-256
+// ----------------------------------------------------------
+
+describe('sha256', () => {
+  it('should hash empty input (FIPS 180-2 vector)', () => {
+    expect(toHex(sha256([]))).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855')
+  })
+
+  it('should hash "abc" (FIPS 180-2 vector)', () => {
+    expect(toHex(sha256(bytesOf('abc')))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+  })
+
+  it('should match Node crypto across block boundaries', () => {
+    for (const n of [55, 56, 63, 64, 65, 119, 256]) {
+      const s = 'x'.repeat(n)
+      expect(toHex(sha256(bytesOf(s)))).toBe(createHash('sha256').update(s).digest('hex'))
+    }
+  })
+
+  it('should not mutate input', () => {
+    const b = bytesOf('abc')
+    sha256(b)
+    expect(b).toEqual([97, 98, 99])
+  })
+})
+
+// ----------------------------------------------------------
+// HMAC-SHA256
+// ----------------------------------------------------------
+
+describe('hmacSha256Hex', () => {
+  it('should match RFC 4231 test case 2', () => {
+    expect(hmacSha256Hex('Jefe', 'what do ya want for nothing?'))
+      .toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843')
+  })
+
+  it('should match Node crypto for command payloads', () => {
+    const msg = '{"cmd":"setpoint","value":3.5,"ts":1700000000,"nonce":"a1b2"}'
+    expect(hmacSha256Hex('s3cret', msg)).toBe(createHmac('sha256', 's3cret').update(msg).digest('hex'))
+  })
+
+  it('should hash keys longer than block size', () => {
+    const key = 'k'.repeat(100)
+    expect(hmacSha256Hex(key, 'msg')).toBe(createHmac('sha256', key).update('msg').digest('hex'))
+  })
+})
@@ -0,0 +1,138 @@
+// ==============================================================================
+// WEBHOOKS
+// HTTP POST notifications for alarm raise/clear events, for setups
+// without a watched MQTT broker (ntfy, Gotify, generic endpoints).
+// ==============================================================================
+
+import { C } from './config.js'
+
+// Pending deliveries, oldest first. A newer event for the same alarm and URL
+// replaces the last pending one of the same kind (raise/clear); a clear is
+// queued behind its raise so the raise is still delivered.
+// Bounded so an unreachable endpoint costs at most 6 small entries.
+let WHK_QUEUE_MAX = 6
+let whkQueue = []
+let whkBusy = false
+let whkTimer = null
+
+// ----------------------------------------------------------
+// PAYLOAD
+// ----------------------------------------------------------
+
+/**
+ * sevRank - Order severities for the whk_minSev filter
+ * @param {string} sev - Severity level
+ * @returns {number} - 3 fatal, 2 critical, 1 error, 0 warning
+ */
+function sevRank(sev) {
+  if (sev === 'fatal') return 3
+  if (sev === 'critical') return 2
+  if (sev === 'error') return 1
+  return 0
+}
+
+/**
+ * renderWebhook - Fill whk_body template with event fields
+ * Placeholders: {ev} {alarm} {sev} {ts} {dur} {detail}
+ *
+ * @param {object} evt - Alarm event (see publishAlarmEvent)
+ * @returns {string} - Request body
+ */
+function renderWebhook(evt) {
+  let keys = ['ev', 'alarm', 'sev', 'ts', 'dur', 'detail']
+  let out = C.whk_body
+  for (let i = 0; i < keys.length; i++) {
+    out = out.split('{' + keys[i] + '}').join('' + evt[keys[i]])
+  }
+  return out
+}
+
+// ----------------------------------------------------------
+// DELIVERY
+// Single request in flight. Failures retry with doubling backoff
+// (whk_retrySec, 2x, 4x ...) and are dropped after whk_retryMax.
+// ----------------------------------------------------------
+
+/**
+ * dropWebhook - Remove the oldest queued delivery
+ */
+function dropWebhook() {
+  for (let i = 1; i < whkQueue.length; i++) whkQueue[i - 1] = whkQueue[i]
+  whkQueue.length = whkQueue.length - 1
+}
+
+/**
+ * sendWebhook - POST the oldest queued delivery
+ * Any 2xx response counts as delivered.
+ */
+function sendWebhook() {
+  whkTimer = null
+  if (whkBusy || whkQueue.length === 0) return
+  let e = whkQueue[0]
+  whkBusy = true
+  Shelly.call('HTTP.POST', {
+    url: e.url,
+    body: e.body,
+    content_type: e.body.charAt(0) === '{' ? 'application/json' : 'text/plain',
+    timeout: 10,
+  }, function ($_res, $_err) {
+    whkBusy = false
+    // Entry may have been replaced by a newer event while in flight
+    if (whkQueue[0] !== e) {
+      sendWebhook()
+      return
+    }
+    if ($_err === 0 && $_res && $_res.code >= 200 && $_res.code < 300) {
+      dropWebhook()
+      sendWebhook()
+      return
+    }
+    e.tries++
+    if (e.tries > C.whk_retryMax) {
+      print('⚠️ HOOK  : Giving up on ' + e.alarm + ' after ' + e.tries + ' tries')
+      dropWebhook()
+      sendWebhook()
+      return
+    }
+    let waitSec = C.whk_retrySec * (1 << (e.tries - 1))
+    print('⚠️ HOOK  : Delivery failed (' + ($_err !== 0 ? $_err : $_res.code) + '), retry in ' + waitSec + 's')
+    whkTimer = Timer.set(waitSec * 1000, false, sendWebhook)
+  })
+}
+
+/**
+ * queueWebhook - Queue an alarm event for every configured URL
+ * Skipped below whk_minSev. Replaces the last pending delivery of the
+ * same alarm to the same URL when it is the same kind of event, otherwise
+ * queues behind it; when full, the oldest delivery is dropped.
+ *
+ * @param {object} evt - Alarm event (ev, alarm, sev, ts, dur, detail)
+ */
+function queueWebhook(evt) {
+  if (C.whk_urls.length === 0 || sevRank(evt.sev) < sevRank(C.whk_minSev)) return
+  let body = renderWebhook(evt)
+  for (let u = 0; u < C.whk_urls.length; u++) {
+    let url = C.whk_urls[u]
+    let last = -1
+    for (let i = 0; i < whkQueue.length; i++) {
+      if (whkQueue[i].url === url && whkQueue[i].alarm === evt.alarm) last = i
+    }
+    if (last >= 0 && whkQueue[last].ev === evt.ev) {
+      whkQueue[last] = { url: url, alarm: evt.alarm, ev: evt.ev, body: body, tries: whkQueue[last].tries }
+      continue
+    }
+    if (whkQueue.length >= WHK_QUEUE_MAX) {
+      print('⚠️ HOOK  : Queue full, dropping oldest')
+      dropWebhook()
+    }
+    whkQueue.push({ url: url, alarm: evt.alarm, ev: evt.ev, body: body, tries: 0 })
+  }
+  if (whkTimer === null) sendWebhook()
+}
+
+export {
+  sevRank,
+  renderWebhook,
+  sendWebhook,
+  queueWebhook,
+}
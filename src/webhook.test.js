@@ -0,0 +1,214 @@
+// ==============================================================================
+// WEBHOOK TESTS
+// Validates severity filter, templating, retry backoff, and de-duplication.
+// ==============================================================================
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+describe('Webhooks', () => {
+  let sevRank, renderWebhook, queueWebhook
+  let mockC
+
+  /**
+   * Build an alarm event like publishAlarmEvent does
+   */
+  function evt(ev, alarm, sev) {
+    return { ev: ev, alarm: alarm, sev: sev, ts: 1000, dur: ev === 'clear' ? 600 : 0, detail: '12C/10m' }
+  }
+
+  /**
+   * Complete the in-flight HTTP.POST call number n
+   */
+  function respond(n, err, code) {
+    global.Shelly.call.mock.calls[n][2](err === 0 ? { code: code } : null, err)
+  }
+
+  beforeEach(async () => {
+    vi.resetModules()
+
+    mockC = {
+      whk_urls: ['http://ntfy.lan/fridge'],
+      whk_minSev: 'critical',
+      whk_body: '{alarm} {ev}',
+      whk_retryMax: 2,
+      whk_retrySec: 30,
+    }
+
+    global.print = vi.fn()
+    global.Shelly = { call: vi.fn() }
+    global.Timer = { set: vi.fn(() => 1) }
+
+    vi.doMock('./config.js', () => ({ C: mockC }))
+
+    const module = await import('./webhook.js')
+    sevRank = module.sevRank
+    renderWebhook = module.renderWebhook
+    queueWebhook = module.queueWebhook
+  })
+
+  // ----------------------------------------------------------
+  // PAYLOAD
+  // ----------------------------------------------------------
+
+  describe('sevRank', () => {
+    it.each([
+      ['fatal', 3],
+      ['critical', 2],
+      ['error', 1],
+      ['warning', 0],
+    ])('should rank %s as %i', (sev, rank) => {
+      expect(sevRank(sev)).toBe(rank)
+    })
+  })
+
+  describe('renderWebhook', () => {
+    it('should fill every placeholder', () => {
+      mockC.whk_body = '{"title":"{alarm}","message":"{ev} {sev} {ts} {dur} {detail}"}'
+
+      expect(renderWebhook(evt('clear', 'ALARM_HIGH_TEMP', 'critical'))).toBe(
+        '{"title":"ALARM_HIGH_TEMP","message":"clear critical 1000 600 12C/10m"}')
+    })
+
+    it('should replace repeated placeholders', () => {
+      mockC.whk_body = '{alarm}/{alarm}'
+
+      expect(renderWebhook(evt('raise', 'X', 'fatal'))).toBe('X/X')
+    })
+  })
+
+  // ----------------------------------------------------------
+  // DELIVERY
+  // ----------------------------------------------------------
+
+  describe('queueWebhook', () => {
+    it('should POST to each URL as plain text', () => {
+      mockC.whk_urls = ['http://a', 'https://b']
+
+      queueWebhook(evt('raise', 'ALARM_HIGH_TEMP', 'critical'))
+
+      expect(global.Shelly.call).toHaveBeenCalledTimes(1)
+      expect(global.Shelly.call.mock.calls[0][0]).toBe('HTTP.POST')
+      expect(global.Shelly.call.mock.calls[0][1]).toEqual({
+        url: 'http://a', body: 'ALARM_HIGH_TEMP raise', content_type: 'text/plain', timeout: 10,
+      })
+
+      respond(0, 0, 200)
+
+      expect(global.Shelly.call).toHaveBeenCalledTimes(2)
+      expect(global.Shelly.call.mock.calls[1][1].url).toBe('https://b')
+    })
+
+    it('should send JSON templates as application/json', () => {
+      mockC.whk_body = '{"m":"{alarm}"}'
+
+      queueWebhook(evt('raise', 'ALARM_HIGH_TEMP', 'critical'))
+
+      expect(global.Shelly.call.mock.calls[0][1].content_type).toBe('application/json')
+    })
+
+    it('should skip events below whk_minSev', () => {
+      queueWebhook(evt('raise', 'ALARM_SENSOR_FAIL', 'error'))
+
+      expect(global.Shelly.call).not.toHaveBeenCalled()
+    })
+
+    it('should send fatal events at critical minimum', () => {
+      queueWebhook(evt('raise', 'ALARM_RELAY_WELD', 'fatal'))
+
+      expect(global.Shelly.call).toHaveBeenCalledTimes(1)
+    })
+
+    it('should do nothing without URLs', () => {
+      mockC.whk_urls = []
+
+      queueWebhook(evt('raise', 'ALARM_RELAY_WELD', 'fatal'))
+
+      expect(global.Shelly.call).not.toHaveBeenCalled()
+    })
+
+    it('should retry with doubling backoff, then give up', () => {
+      queueWebhook(evt('raise', 'ALARM_HIGH_TEMP', 'critical'))
+
+      respond(0, -104, 0)
+      expect(global.Timer.set).toHaveBeenLastCalledWith(30000, false, expect.any(Function))
+      global.Timer.set.mock.calls[0][2]()
+
+      respond(1, 0, 503)
+      expect(global.Timer.set).toHaveBeenLastCalledWith(60000, false, expect.any(Function))
+      global.Timer.set.mock.calls[1][2]()
+
+      respond(2, 0, 500)
+      expect(global.Timer.set).toHaveBeenCalledTimes(2)
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Giving up on ALARM_HIGH_TEMP'))
+    })
+
+    it('should wait for the backoff timer before sending new events', () => {
+      queueWebhook(evt('raise', 'ALARM_HIGH_TEMP', 'critical'))
+      respond(0, -104, 0)
+
+      queueWebhook(evt('raise', 'ALARM_LOW_TEMP', 'critical'))
+
+      expect(global.Shelly.call).toHaveBeenCalledTimes(1)
+    })
+
+    it('should replace a pending event of the same kind for the same alarm', () => {
+      mockC.whk_body = '{alarm} {ev} {detail}'
+      queueWebhook(evt('raise', 'ALARM_HIGH_TEMP', 'critical'))
+      respond(0, -104, 0)
+
+      queueWebhook(Object.assign(evt('raise', 'ALARM_HIGH_TEMP', 'critical'), { detail: '14C/20m' }))
+      global.Timer.set.mock.calls[0][2]()
+
+      expect(global.Shelly.call.mock.calls[1][1].body).toBe('ALARM_HIGH_TEMP raise 14C/20m')
+      respond(1, 0, 200)
+      expect(global.Shelly.call).toHaveBeenCalledTimes(2)
+    })
+
+    it('should queue a clear behind its pending raise', () => {
+      queueWebhook(evt('raise', 'ALARM_HIGH_TEMP', 'critical'))
+      respond(0, -104, 0)
+
+      queueWebhook(evt('clear', 'ALARM_HIGH_TEMP', 'critical'))
+      global.Timer.set.mock.calls[0][2]()
+      expect(global.Shelly.call.mock.calls[1][1].body).toBe('ALARM_HIGH_TEMP raise')
+      respond(1, 0, 200)
+
+      expect(global.Shelly.call.mock.calls[2][1].body).toBe('ALARM_HIGH_TEMP clear')
+    })
+
+    it('should replace only the last pending event of an alarm', () => {
+      queueWebhook(evt('raise', 'ALARM_HIGH_TEMP', 'critical'))
+      queueWebhook(evt('clear', 'ALARM_HIGH_TEMP', 'critical'))
+      queueWebhook(evt('raise', 'ALARM_HIGH_TEMP', 'critical'))
+      queueWebhook(evt('raise', 'ALARM_HIGH_TEMP', 'critical'))
+
+      respond(0, 0, 200)
+      respond(1, 0, 200)
+      respond(2, 0, 200)
+
+      expect(global.Shelly.call.mock.calls.map(c => c[1].body)).toEqual([
+        'ALARM_HIGH_TEMP raise', 'ALARM_HIGH_TEMP clear', 'ALARM_HIGH_TEMP raise',
+      ])
+    })
+
+    it('should send the replacement after an in-flight delivery completes', () => {
+      queueWebhook(evt('raise', 'ALARM_HIGH_TEMP', 'critical'))
+      queueWebhook(evt('clear', 'ALARM_HIGH_TEMP', 'critical'))
+
+      respond(0, 0, 200)
+
+      expect(global.Shelly.call).toHaveBeenCalledTimes(2)
+      expect(global.Shelly.call.mock.calls[1][1].body).toBe('ALARM_HIGH_TEMP clear')
+    })
+
+    it('should drop the oldest delivery when the queue is full', () => {
+      mockC.whk_minSev = 'warning'
+      let alarms = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'A7']
+      alarms.forEach(a => queueWebhook(evt('raise', a, 'warning')))
+
+      expect(global.print).toHaveBeenCalledWith(expect.stringContaining('Queue full'))
+      respond(0, 0, 200)
+      expect(global.Shelly.call.mock.calls[1][1].body).toBe('A2 raise')
+    })
+  })
+})
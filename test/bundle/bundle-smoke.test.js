@@ -28,8 +28,9 @@ beforeAll(() => {
  *
  * Key behavior: Timer.set(0, false, cb) callbacks are auto-executed
  * to simulate Shelly's async deferral pattern used in KVS operations.
+ * kvs maps KVS keys to stored JSON strings (missing keys read as '{}').
  */
-function createShellyContext(overrides = {}) {
+function createShellyContext(overrides = {}, kvs = {}) {
   const printLog = []
   const shellyCallLog = []
   const mqttPublishLog = []
@@ -50,7 +51,7 @@ function createShellyContext(overrides = {}) {
           } else if (method === 'Switch.GetStatus') {
             callback({ output: false, apower: 0, temperature: { tC: 25 } }, 0, '')
           } else if (method === 'KVS.Get') {
-            callback({ value: '{}' }, 0, '')
+            callback({ value: kvs[params.key] || '{}' }, 0, '')
           } else {
             callback({}, 0, '')
           }
@@ -62,6 +63,7 @@ function createShellyContext(overrides = {}) {
         if (type === 'Temperature') return { tC: id === 101 ? 5.0 : -10.0 }
         return {}
       }),
+      getComponentConfig: vi.fn(() => ({ topic_prefix: 'shelly-test' })),
       getUptimeMs: vi.fn(() => 10000),
       emitEvent: vi.fn(),
     },
@@ -95,6 +97,12 @@ function createShellyContext(overrides = {}) {
         mqttPublishLog.push({ topic, payload })
       }),
       subscribe: vi.fn(),
+      setConnectHandler: vi.fn(),
+    },
+
+    // Script HTTP server mock
+    HTTPServer: {
+      registerEndpoint: vi.fn(),
     },
 
     // Console mock
@@ -351,3 +359,27 @@ describe.skipIf(!BUNDLE_EXISTS)('Bundle Execution: Timer Callbacks', () => {
     expect(printLogAfter.length).toBeGreaterThan(printLogBefore.length)
   })
 })
+
+// ----------------------------------------------------------
+// COMMAND LOCK TESTS
+// ----------------------------------------------------------
+
+describe.skipIf(!BUNDLE_EXISTS)('Bundle Execution: Command Lock', () => {
+  it('should subscribe to commands without a stored secret', () => {
+    const context = createShellyContext()
+    vm.runInContext(bundleCode, context, { timeout: 5000 })
+    drainImmediateTimers(context)
+
+    expect(context.MQTT.subscribe).toHaveBeenCalled()
+  })
+
+  // Default build has no sign feature, so a stored secret must not fail open
+  it('should not subscribe while a secret is stored', () => {
+    const context = createShellyContext({}, { fridge_cfg_sec: '{"sys_mqttSecret":"k"}' })
+    vm.runInContext(bundleCode, context, { timeout: 5000 })
+    drainImmediateTimers(context)
+
+    expect(context.MQTT.subscribe).not.toHaveBeenCalled()
+    expect(context.__test__.printLog.some((m) => m.includes('Commands disabled'))).toBe(true)
+  })
+})
@@ -0,0 +1,113 @@
+// ==============================================================================
+// FEATURE FENCE TESTS
+// Tests the build-time feature selection in tools/concat.cjs.
+// These run against the build tool, NOT dist/ (no build needed).
+// ==============================================================================
+
+import { describe, it, expect } from 'vitest'
+import { createRequire } from 'module'
+
+const require = createRequire(import.meta.url)
+const { FEATURES, DEFAULT_FEATURES, selectFeatures, stripFeatures } = require('../../tools/concat.cjs')
+
+// ----------------------------------------------------------
+// HELPERS
+// ----------------------------------------------------------
+
+function strip(lines, names) {
+  return stripFeatures(lines.join('\n'), 'src/x.js', new Set(names)).split('\n')
+}
+
+// ----------------------------------------------------------
+// FENCE PARSER
+// ----------------------------------------------------------
+
+describe('stripFeatures', () => {
+  it('should keep a fenced block when its feature is selected', () => {
+    expect(strip(['a', '// #if pid', 'b', '// #endif', 'c'], ['pid'])).toEqual(['a', 'b', 'c'])
+  })
+
+  it('should drop a fenced block when its feature is not selected', () => {
+    expect(strip(['a', '// #if pid', 'b', '// #endif', 'c'], [])).toEqual(['a', 'c'])
+  })
+
+  it('should accept indented fences', () => {
+    expect(strip(['  // #if pid', '  b', '  // #endif'], [])).toEqual([''])
+  })
+
+  it('should keep an a,b block when any listed feature is selected', () => {
+    let lines = ['// #if door,dooresc', 'b', '// #endif']
+    expect(strip(lines, ['door'])).toEqual(['b'])
+    expect(strip(lines, ['dooresc'])).toEqual(['b'])
+    expect(strip(lines, ['door', 'dooresc'])).toEqual(['b'])
+    expect(strip(lines, ['pid'])).toEqual([''])
+  })
+
+  it('should keep a nested block only when both features are selected', () => {
+    let lines = ['// #if queue', 'q', '// #if sign', 's', '// #endif', 'q2', '// #endif']
+    expect(strip(lines, ['queue', 'sign'])).toEqual(['q', 's', 'q2'])
+    expect(strip(lines, ['queue'])).toEqual(['q', 'q2'])
+    expect(strip(lines, ['sign'])).toEqual([''])
+  })
+
+  it('should leave plain comments that are not fences alone', () => {
+    expect(strip(['// #ifdef x', '// #if-less comment'], [])).toEqual(['// #ifdef x', '// #if-less comment'])
+  })
+
+  it('should throw on #endif without #if', () => {
+    expect(() => strip(['a', '// #endif'], [])).toThrow('src/x.js:2: #endif without #if')
+  })
+
+  it('should throw on an unclosed #if', () => {
+    expect(() => strip(['// #if pid', '// #if sign', '// #endif'], [])).toThrow('src/x.js: unclosed #if')
+  })
+
+  it('should throw on an unknown feature', () => {
+    expect(() => strip(['// #if pid,nope', '// #endif'], [])).toThrow('src/x.js:1: unknown feature nope')
+  })
+})
+
+// ----------------------------------------------------------
+// FEATURE SELECTION
+// ----------------------------------------------------------
+
+describe('selectFeatures', () => {
+  it('should use the default features when FEATURES is unset', () => {
+    expect(Array.from(selectFeatures(undefined))).toEqual(DEFAULT_FEATURES)
+  })
+
+  it('should select every feature for all', () => {
+    expect(Array.from(selectFeatures('all')).sort()).toEqual(Object.keys(FEATURES).sort())
+  })
+
+  it('should select nothing for none or an empty list', () => {
+    expect(selectFeatures('none').size).toBe(0)
+    expect(selectFeatures('').size).toBe(0)
+  })
+
+  it('should trim names and skip empty entries', () => {
+    expect(Array.from(selectFeatures(' pid , ,vacation')).sort()).toEqual(['pid', 'vacation'])
+  })
+
+  it('should add direct dependencies', () => {
+    expect(Array.from(selectFeatures('http')).sort()).toEqual(['config', 'http'])
+  })
+
+  it('should add dependencies of dependencies', () => {
+    expect(Array.from(selectFeatures('prom')).sort()).toEqual(['config', 'http', 'prom'])
+    expect(Array.from(selectFeatures('summary')).sort()).toEqual(['energy', 'history', 'summary', 'tempstats'])
+  })
+
+  it('should throw on an unknown feature', () => {
+    expect(() => selectFeatures('pid,nope')).toThrow('Unknown feature: nope')
+  })
+
+  it('should only list known features as dependencies', () => {
+    let names = Object.keys(FEATURES)
+    for (let i = 0; i < names.length; i++) {
+      for (let j = 0; j < FEATURES[names[i]].length; j++) {
+        expect(FEATURES[FEATURES[names[i]][j]]).toBeDefined()
+      }
+    }
+  })
+})
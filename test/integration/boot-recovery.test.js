@@ -666,3 +666,49 @@ describe('Boot Recovery: Multi-Fault Scenarios', () => {
     expect(fatalMsg.message).toContain('ALARM_RELAY_WELD')
   })
 })
+
+// ----------------------------------------------------------
+// BOOT: MQTT AVAILABILITY
+// Retained online at boot, restored on broker reconnect.
+// ----------------------------------------------------------
+
+describe('Boot: MQTT Availability', () => {
+  let runtime
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+  })
+
+  it('should publish retained online after boot completes', async () => {
+    const script = await setupForBootRecovery(runtime, { hardwareRelayOn: false })
+    runtime.advanceTime(2000)
+
+    const msg = runtime.getLastMqttMessage(script.C.sys_mqttAvail)
+    expect(msg).not.toBeNull()
+    expect(msg.payload).toBe('online')
+    expect(msg.retain).toBe(true)
+  })
+
+  it('should republish online when broker reconnects', async () => {
+    const script = await setupForBootRecovery(runtime, { hardwareRelayOn: false })
+    runtime.advanceTime(2000)
+    runtime.mqttMessages = []
+
+    runtime.mqttConnect()
+
+    const msg = runtime.getLastMqttMessage(script.C.sys_mqttAvail)
+    expect(msg).not.toBeNull()
+    expect(msg.payload).toBe('online')
+  })
+
+  it('should publish HA discovery with firmware LWT availability', async () => {
+    await setupForBootRecovery(runtime, { hardwareRelayOn: false })
+    runtime.advanceTime(2000)
+
+    const msg = runtime.getLastMqttMessage('homeassistant/sensor/fridge/tAirSmt/config')
+    expect(msg).not.toBeNull()
+    const cfg = JSON.parse(msg.payload)
+    expect(cfg.avty[1].t).toBe('shelly-sim/online')
+  })
+})
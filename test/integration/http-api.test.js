@@ -0,0 +1,112 @@
+// ==============================================================================
+// HTTP API INTEGRATION TESTS
+// Exercises script endpoints against real config/state/mqtt modules.
+// Verifies HTTP and MQTT share one dispatcher and one rate limit.
+// ==============================================================================
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { ShellyRuntime } from '../utils/shelly-simulator.js'
+
+// ----------------------------------------------------------
+// TEST SETUP
+// ----------------------------------------------------------
+
+async function setupHttpTest(runtime) {
+  runtime.installGlobals(global)
+  vi.resetModules()
+
+  const config = await import('../../src/config.js')
+  const state = await import('../../src/state.js')
+  const mqtt = await import('../../src/mqtt.js')
+  const http = await import('../../src/http.js')
+
+  Object.assign(config.C, config.DEFAULT)
+  mqtt.setupMqttCommands()
+  http.setupHttpApi()
+
+  return { S: state.S, V: state.V, C: config.C }
+}
+
+describe('HTTP API', () => {
+  let runtime
+  let script
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    script = await setupHttpTest(runtime)
+  })
+
+  it('should serve status payload as JSON', () => {
+    script.V.sns_airSmoothDeg = 4.25
+    script.V.hw_hasPM = true
+    script.V.lop_watts = 82
+
+    const res = runtime.httpRequest('status')
+
+    expect(res.sent).toBe(true)
+    expect(res.code).toBe(200)
+    const body = JSON.parse(res.body)
+    expect(body.tAirSmt).toBe(4.25)
+    expect(body.watts).toBe(82)
+  })
+
+  it('should read and write config', () => {
+    let res = runtime.httpRequest('config', 'POST', JSON.stringify({ values: { ctl_targetDeg: 3.5 } }))
+    expect(res.code).toBe(200)
+    expect(script.C.ctl_targetDeg).toBe(3.5)
+    runtime.advanceTime(100)
+    expect(runtime.getKvsValue('fridge_cfg_ctl').ctl_targetDeg).toBe(3.5)
+
+    res = runtime.httpRequest('config', 'GET', '', 'key=ctl_targetDeg')
+    expect(JSON.parse(res.body)).toEqual({ ctl_targetDeg: 3.5 })
+  })
+
+  it('should reject invalid config without persisting', () => {
+    const res = runtime.httpRequest('config', 'POST', JSON.stringify({ key: 'ctl_targetDeg', value: 99 }))
+
+    expect(res.code).toBe(400)
+    expect(JSON.parse(res.body).error).toBe('validation')
+    expect(script.C.ctl_targetDeg).toBe(4)
+  })
+
+  it('should serve fault arrays', () => {
+    script.S.flt_critArr = [{ a: 'ALARM_ROTOR_LOCKED', t: 100, d: 'x' }]
+
+    const res = runtime.httpRequest('faults')
+
+    expect(JSON.parse(res.body).critical).toHaveLength(1)
+  })
+
+  it('should run commands and share rate limit with MQTT', () => {
+    let res = runtime.httpRequest('cmd', 'POST', JSON.stringify({ cmd: 'turbo_on', id: 1 }))
+    expect(JSON.parse(res.body)).toMatchObject({ id: 1, cmd: 'turbo_on', ok: true })
+    expect(script.V.trb_isActive).toBe(true)
+
+    runtime.mqttReceive('fridge/cmd', JSON.stringify({ cmd: 'turbo_off' }))
+    expect(script.V.trb_isActive).toBe(true)
+
+    res = runtime.httpRequest('cmd', 'POST', JSON.stringify({ cmd: 'status' }))
+    expect(res.code).toBe(429)
+  })
+
+  it('should serve Prometheus metrics', () => {
+    script.S.sts_lifeCycleCnt = 7
+
+    const res = runtime.httpRequest('metrics')
+
+    expect(res.headers[0][1]).toContain('text/plain')
+    expect(res.body).toContain('fridge_cycles_total 7\n')
+    expect(res.body).toContain('fridge_alarm{alarm="ALARM_HIGH_TEMP"} 0\n')
+    expect(res.body).not.toContain('alarm="NONE"')
+  })
+
+  it('should require signature when secret is set', () => {
+    script.C.sys_mqttSecret = 'k'
+
+    const res = runtime.httpRequest('cmd', 'POST', JSON.stringify({ cmd: 'turbo_on' }))
+
+    expect(res.code).toBe(401)
+    expect(script.V.trb_isActive).toBe(false)
+  })
+})
@@ -1400,6 +1400,10 @@ describe('Alarm State Machine Scenarios', () => {
     vi.resetModules()
     runtime = new ShellyRuntime()
     runtime.installGlobals(global)
+
+    // Edges publish events and webhooks, which read config
+    const { C, DEFAULT } = await import('../../src/config.js')
+    Object.assign(C, DEFAULT)
   })
 
   it('should persist fatal alarms through clearNonFatalAlarms', async () => {
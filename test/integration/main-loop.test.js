@@ -341,6 +341,87 @@ describe('Main Loop: Status Reporting', () => {
   })
 })
 
+describe('Main Loop: Energy', () => {
+  let runtime
+  let script
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    script = await setupMainLoop(runtime, { airTemp: 8.0, evapTemp: -5.0, power: 72 })
+  })
+
+  it('should integrate switch power and publish energy with cost', () => {
+    script.C.pwr_tariffPerKwh = 0.3
+    for (let i = 0; i < 10; i++) script.mainLoopTick()
+
+    // 10 loops x 5s x 72W = 1 Wh
+    expect(script.S.nrg_hourWh).toBeCloseTo(1, 6)
+    const payload = JSON.parse(runtime.getLastMqttMessage(script.C.sys_mqttTopic).payload)
+    expect(payload.whHr).toBe(1)
+    expect(payload.whDay).toBe(1)
+    expect(payload.costDay).toBe(0)
+
+    script.S.nrg_hourWh = 2000
+    script.mainLoopTick()
+    expect(JSON.parse(runtime.getLastMqttMessage(script.C.sys_mqttTopic).payload).costDay).toBe(0.6)
+  })
+})
+
+describe('Main Loop: Temperature Stats', () => {
+  let runtime
+  let script
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    script = await setupMainLoop(runtime, { airTemp: 9.0, evapTemp: -5.0 })
+  })
+
+  it('should log hourly air/evap stats and time above the limit', () => {
+    for (let i = 0; i < 4; i++) script.mainLoopTick()
+
+    expect(script.S.sts_hourAirCnt).toBe(4)
+    expect(script.S.sts_hourAboveSec).toBe(4 * script.C.sys_loopSec)
+
+    let idx = script.S.sts_histIdx
+    script.S.sts_hourTotalSec = 3600
+    script.mainLoopTick()
+
+    expect(script.S.sts_tempHistArr[idx]).toEqual([9, 9, 9, -5, -5, -5, 5 * script.C.sys_loopSec])
+    expect(script.S.sts_hourAirCnt).toBe(0)
+  })
+
+  it('should publish retained hourly and daily summaries at rollover', () => {
+    script.S.sts_histIdx = 23
+    script.S.sts_hourTotalSec = 3600
+    script.mainLoopTick()
+
+    const hour = runtime.getLastMqttMessage('fridge/stats/hour')
+    expect(hour.retain).toBe(true)
+    expect(JSON.parse(hour.payload)).toMatchObject({ airMin: 9, evpAvg: -5, aboveSec: 5 })
+    const day = JSON.parse(runtime.getLastMqttMessage('fridge/stats/day').payload)
+    expect(script.S.sts_dayArr.length).toBe(1)
+    expect(day).toMatchObject({ airMax: 9, aboveSec: 5 })
+  })
+
+  it('should log an excursion from crossing the limit until return', () => {
+    script.mainLoopTick()
+    expect(script.S.exc_startTs).toBeGreaterThan(0)
+
+    runtime.setTemperature(script.C.sys_sensAirId, 3.0)
+    for (let i = 0; i < 60 && script.S.exc_startTs > 0; i++) {
+      runtime.advanceTime(script.C.sys_loopSec * 1000)
+      script.mainLoopTick()
+    }
+
+    expect(script.S.exc_startTs).toBe(0)
+    const rec = script.S.exc_logArr[0]
+    expect(rec[1]).toBeGreaterThan(rec[0])
+    expect(rec[2]).toBe(9)
+  })
+})
+
 // ----------------------------------------------------------
 // TURBO SWITCH INPUT
 // ----------------------------------------------------------
@@ -664,6 +745,216 @@ describe('Main Loop: Periodic State Save', () => {
 // FULL LOOP EXECUTION
 // ----------------------------------------------------------
 
+describe('Main Loop: Heater Output', () => {
+  let runtime
+  let script
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    runtime.switches[1] = { output: false, apower: 0, voltage: 230, current: 0 }
+    script = await setupMainLoop(runtime, { airTemp: 1.0, evapTemp: 0.5 })
+    script.C.htr_enable = true
+  })
+
+  it('should heat below band and report HEATING', () => {
+    script.mainLoopTick()
+
+    expect(runtime.switches[1].output).toBe(true)
+    expect(runtime.switches[0].output).toBe(false)
+    expect(script.V.sys_status).toBe('HEATING')
+    expect(JSON.parse(runtime.mqttMessages[runtime.mqttMessages.length - 1].payload).heaterOn).toBe(1)
+  })
+
+  it('should raise runaway alarm and cut heater on overshoot', () => {
+    script.mainLoopTick()
+    runtime.advanceTime(120000)
+
+    script.V.sns_airSmoothDeg = 9.5
+    script.V.sns_airBuf = [9.5, 9.5, 9.5]
+    runtime.setTemperature(script.C.sys_sensAirId, 9.5)
+    script.mainLoopTick()
+    expect(runtime.switches[1].output).toBe(false)
+
+    runtime.advanceTime(script.C.sys_loopSec * 1000)
+    script.mainLoopTick()
+    expect(script.V.sys_alarm).toBe('ALARM_HEATER_RUNAWAY')
+  })
+})
+
+describe('Main Loop: Door Contact', () => {
+  let runtime
+  let script
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    runtime.inputs[1] = { state: false }
+    script = await setupMainLoop(runtime, { airTemp: 8.0, evapTemp: -5.0 })
+    script.C.dor_inputId = 1
+  })
+
+  it('should pause cooling while open and count the opening', () => {
+    runtime.setInput(1, true)
+    script.mainLoopTick()
+
+    expect(script.V.sys_statusReason).toBe('PROT_DOOR_OPEN')
+    expect(runtime.switches[0].output).toBe(false)
+    expect(script.S.dor_openCnt).toBe(1)
+
+    runtime.advanceTime(60000)
+    runtime.setInput(1, false)
+    script.mainLoopTick()
+
+    expect(script.V.dor_pauseRemSec).toBe(0)
+    expect(script.S.dor_openTotalSec).toBe(60)
+    expect(JSON.parse(runtime.mqttMessages[runtime.mqttMessages.length - 1].payload).doorCnt).toBe(1)
+  })
+
+  it('should raise door alarm when left open', () => {
+    runtime.setInput(1, true)
+    script.mainLoopTick()
+    runtime.advanceTime(script.C.dor_alarmSec * 1000)
+    script.mainLoopTick()
+
+    expect(script.V.sys_alarm).toBe('ALARM_DOOR_OPEN')
+
+    runtime.setInput(1, false)
+    runtime.advanceTime(script.C.sys_loopSec * 1000)
+    script.mainLoopTick()
+    expect(script.V.sys_alarm).toBe('NONE')
+  })
+})
+
+describe('Main Loop: Door Escalation', () => {
+  let runtime
+  let script
+
+  /**
+   * tickAt - Set air temperature, advance clock and run one loop
+   * @param {number} air - Air temperature
+   * @param {number} sec - Seconds to advance before the tick
+   */
+  function tickAt(air, sec) {
+    runtime.setTemperature(script.C.sys_sensAirId, air)
+    runtime.advanceTime(sec * 1000)
+    script.mainLoopTick()
+  }
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    script = await setupMainLoop(runtime, { airTemp: 4.0, evapTemp: -5.0 })
+    script.mainLoopTick()
+  })
+
+  it('should escalate unrecovered door event, resume cooling and log fault', () => {
+    tickAt(8.0, 5)
+    tickAt(8.0, 5)
+    expect(script.V.sys_statusReason).toBe('PROT_DOOR_OPEN')
+
+    tickAt(8.0, script.C.dor_escSec)
+    expect(script.V.sys_alarm).toBe('ALARM_DOOR_OPEN')
+    expect(script.V.sys_statusReason).not.toBe('PROT_DOOR_OPEN')
+
+    tickAt(4.0, 5)
+    tickAt(4.0, 5)
+    expect(script.V.sys_alarm).toBe('NONE')
+    expect(script.S.flt_warnArr[0].a).toBe('ALARM_DOOR_OPEN')
+  })
+})
+
+describe('Main Loop: Low Temp Alarm', () => {
+  let runtime
+  let script
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    script = await setupMainLoop(runtime, { airTemp: -2.0, evapTemp: -8.0 })
+    script.C.alm_lowDelaySec = 60
+  })
+
+  it('should keep low temp alarm raised in the same loop and log it', () => {
+    for (let i = 0; i < 20; i++) {
+      script.mainLoopTick()
+      runtime.advanceTime(script.C.sys_loopSec * 1000)
+    }
+
+    expect(script.V.sys_alarm).toBe('ALARM_LOW_TEMP')
+
+    runtime.setTemperature(script.C.sys_sensAirId, 4.0)
+    script.V.sns_airBuf = [4.0, 4.0, 4.0]
+    script.V.sns_airSmoothDeg = 4.0
+    script.mainLoopTick()
+    runtime.advanceTime(script.C.alm_holdSec * 1000)
+    script.mainLoopTick()
+    expect(script.V.sys_alarm).toBe('NONE')
+    expect(script.S.flt_critArr[0].a).toBe('ALARM_LOW_TEMP')
+  })
+})
+
+describe('Main Loop: Alarm Latching', () => {
+  let runtime
+  let script
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    script = await setupMainLoop(runtime, { airTemp: 12.0, evapTemp: -5.0, power: 80 })
+    script.C.alm_highDelaySec = 60
+  })
+
+  it('should keep high temp alarm through the loop and hold it after recovery', () => {
+    for (let i = 0; i < 14; i++) {
+      script.mainLoopTick()
+      runtime.advanceTime(script.C.sys_loopSec * 1000)
+    }
+    expect(script.V.sys_alarm).toBe('ALARM_HIGH_TEMP')
+
+    runtime.setTemperature(script.C.sys_sensAirId, 4.0)
+    script.V.sns_airBuf = [4.0, 4.0, 4.0]
+    script.V.sns_airSmoothDeg = 4.0
+    script.mainLoopTick()
+    expect(script.V.sys_alarm).toBe('ALARM_HIGH_TEMP')
+
+    runtime.advanceTime(script.C.alm_holdSec * 1000)
+    script.mainLoopTick()
+    expect(script.V.sys_alarm).toBe('NONE')
+    expect(script.S.flt_critArr[0].a).toBe('ALARM_HIGH_TEMP')
+
+    // One raise and one clear event for the whole incident
+    const events = runtime.mqttMessages
+      .filter(m => m.topic === script.C.sys_mqttEvent)
+      .map(m => JSON.parse(m.payload))
+    expect(events.map(e => e.ev)).toEqual(['raise', 'clear'])
+    expect(events[1]).toMatchObject({ alarm: 'ALARM_HIGH_TEMP', sev: 'critical', ts: events[0].ts })
+    expect(events[1].dur).toBeGreaterThanOrEqual(script.C.alm_holdSec)
+  })
+
+  it('should post webhook on raise and retry failed clear', () => {
+    script.C.whk_urls = ['http://ntfy.lan/fridge']
+    for (let i = 0; i < 14; i++) {
+      script.mainLoopTick()
+      runtime.advanceTime(script.C.sys_loopSec * 1000)
+    }
+    expect(runtime.httpPosts.map(p => p.body)).toEqual(['Fridge ALARM_HIGH_TEMP raise (critical) 12C/0m'])
+
+    runtime.httpPostCode = 503
+    runtime.setTemperature(script.C.sys_sensAirId, 4.0)
+    script.V.sns_airBuf = [4.0, 4.0, 4.0]
+    script.V.sns_airSmoothDeg = 4.0
+    runtime.advanceTime(script.C.alm_holdSec * 1000)
+    script.mainLoopTick()
+    expect(runtime.httpPosts.length).toBe(2)
+
+    runtime.httpPostCode = 200
+    runtime.advanceTime(script.C.whk_retrySec * 1000)
+    expect(runtime.httpPosts.length).toBe(3)
+    expect(runtime.httpPosts[2].body).toMatch(/^Fridge ALARM_HIGH_TEMP clear \(critical\) 12C\/\d+m$/)
+  })
+})
+
 describe('Main Loop: Full Execution', () => {
   let runtime
   let script
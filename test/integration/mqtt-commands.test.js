@@ -1,7 +1,7 @@
 // ==============================================================================
 // MQTT COMMAND INTEGRATION TESTS
 // Tests all MQTT command handling in setupMqttCommands().
-// Validates turbo_on, turbo_off, status, reset_alarms commands.
+// Validates turbo_on, turbo_off, status, reset_alarms and ack_alarm commands.
 // ==============================================================================
 
 import { describe, it, expect, beforeEach, vi } from 'vitest'
@@ -183,32 +183,39 @@ describe('MQTT: Reset Alarms Command', () => {
     expect(prints.some((p) => p.message.includes('Alarms reset'))).toBe(true)
   })
 
-  it('should reset WELD alarm (fatal alarms clearable via MQTT)', () => {
-    // Design decision: MQTT reset_alarms clears ALL alarms including fatal.
-    // This allows remote recovery without physical device access.
+  it('should refuse reset_alarms for fatal WELD alarm', () => {
     script.V.sys_alarm = script.ALM.WELD
+    script.V.alm_latch = script.ALM.WELD
 
     runtime.mqttReceive(
       script.DEFAULT.sys_mqttCmd,
       JSON.stringify({ cmd: 'reset_alarms' }),
     )
 
-    expect(script.V.sys_alarm).toBe(script.ALM.NONE) // Cleared
-
-    const prints = runtime.getPrintHistory()
-    expect(prints.some((p) => p.message.includes('Alarms reset'))).toBe(true)
+    expect(script.V.sys_alarm).toBe(script.ALM.WELD)
   })
 
-  it('should reset LOCKED alarm (fatal alarms clearable via MQTT)', () => {
-    // Design decision: MQTT reset_alarms clears ALL alarms including fatal.
+  it('should clear fatal LOCKED alarm only with ack_alarm confirmation', () => {
     script.V.sys_alarm = script.ALM.LOCKED
+    script.V.alm_latch = script.ALM.LOCKED
+    script.V.alm_latchTs = 1234
 
     runtime.mqttReceive(
       script.DEFAULT.sys_mqttCmd,
-      JSON.stringify({ cmd: 'reset_alarms' }),
+      JSON.stringify({ cmd: 'ack_alarm', alarm: 'ALARM_ROTOR_LOCKED', id: 1 }),
+    )
+    const ack = JSON.parse(runtime.mqttMessages[runtime.mqttMessages.length - 1].payload)
+    expect(ack).toMatchObject({ ok: false, error: 'confirm', value: 1234 })
+    expect(script.V.sys_alarm).toBe(script.ALM.LOCKED)
+
+    runtime.advanceTime(3000)
+    runtime.mqttReceive(
+      script.DEFAULT.sys_mqttCmd,
+      JSON.stringify({ cmd: 'ack_alarm', alarm: 'ALARM_ROTOR_LOCKED', confirm: ack.value }),
     )
 
-    expect(script.V.sys_alarm).toBe(script.ALM.NONE) // Cleared
+    expect(script.V.sys_alarm).toBe(script.ALM.NONE)
+    expect(script.V.alm_latch).toBe(script.ALM.NONE)
   })
 
   it('should reset FAIL alarm (non-fatal)', () => {
@@ -390,11 +397,11 @@ describe('MQTT: Command Edge Cases', () => {
     expect(prints.some((p) => p.message.includes('Unknown cmd'))).toBe(true)
   })
 
-  it('should rate limit rapid commands (second command ignored)', () => {
+  it('should queue rapid commands and run them at the next slot', () => {
     script.C.trb_enable = true
     script.V.trb_isActive = false
 
-    // Send turbo, then turbo_off rapidly - second should be rate limited
+    // Send turbo, then turbo_off rapidly - second waits for the 2s window
     runtime.mqttReceive(
       script.DEFAULT.sys_mqttCmd,
       JSON.stringify({ cmd: 'turbo_on' }),
@@ -404,11 +411,245 @@ describe('MQTT: Command Edge Cases', () => {
       JSON.stringify({ cmd: 'turbo_off' }),
     )
 
-    // First command (turbo) executes, second (turbo_off) is rate limited
+    // First command (turbo) executes, second (turbo_off) is queued
     expect(script.V.trb_isActive).toBe(true)
     expect(script.V.trb_remSec).toBe(script.C.trb_maxTimeSec)
 
     const prints = runtime.getPrintHistory()
-    expect(prints.some((p) => p.message.includes('Rate limited'))).toBe(true)
+    expect(prints.some((p) => p.message.includes('command queued'))).toBe(true)
+
+    runtime.advanceTime(2000)
+
+    expect(script.V.trb_isActive).toBe(false)
+  })
+})
+
+// ----------------------------------------------------------
+// DEFROST COMMANDS
+// ----------------------------------------------------------
+
+describe('MQTT: Manual Defrost Commands', () => {
+  let runtime
+  let script
+  let control
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    script = await setupMqttTest(runtime)
+    control = await import('../../src/control.js')
+  })
+
+  it('should hold compressor off with DEFR_MAN reason', () => {
+    script.V.trb_isActive = true
+    script.V.trb_remSec = 600
+
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify({ cmd: 'defrost_now', value: 900 }))
+
+    expect(script.V.dfr_manRemSec).toBe(900)
+    expect(script.V.trb_isActive).toBe(false)
+
+    const mode = control.determineMode(8.0, -10.0, 1000000)
+    expect(mode.wantOn).toBe(false)
+    expect(mode.reason).toBe(script.constants.RSN.DEFR_MAN)
+  })
+
+  it('should respect cmp_minOnSec before stopping compressor', () => {
+    const now = 1000000
+    script.S.sys_isRelayOn = true
+    script.S.sys_relayOnTs = now - 30
+
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify({ cmd: 'defrost_now' }))
+    const mode = control.determineMode(8.0, -10.0, now)
+    const result = control.executeSwitchDecision(mode.wantOn, now, 8.0, -10.0, false)
+
+    expect(script.V.dfr_manRemSec).toBeGreaterThan(0)
+    expect(result.blocked).toBe(true)
+    expect(result.reason).toBe(script.constants.RSN.PROT_MIN_ON)
+    expect(script.S.sys_isRelayOn).toBe(true)
+  })
+
+  it('should cancel manual defrost', () => {
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify({ cmd: 'defrost_now' }))
+    runtime.advanceTime(2000)
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify({ cmd: 'defrost_cancel' }))
+
+    expect(script.V.dfr_manRemSec).toBe(0)
+  })
+})
+
+// ----------------------------------------------------------
+// SETPOINT SCHEDULE
+// ----------------------------------------------------------
+
+describe('MQTT: Setpoint Schedule', () => {
+  let runtime
+  let script
+  let control
+
+  beforeEach(async () => {
+    vi.resetModules()
+    // Friday 23:00 local time
+    runtime = new ShellyRuntime({ startTime: new Date(2024, 0, 5, 23, 0, 0).getTime() })
+    script = await setupMqttTest(runtime)
+    control = await import('../../src/control.js')
+  })
+
+  it('should apply night window target to thermostat decision', () => {
+    script.C.adt_enable = false
+    // 5.1C is above default 4.0 + 1.0 hysteresis → cooling
+    expect(control.determineMode(5.1, -10, 1000000).wantOn).toBe(true)
+
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify({
+      cmd: 'schedule_set', windows: [[0b0111110, 2200, 600, 6.0, 0]],
+    }))
+
+    expect(script.C.sch_windows).toHaveLength(1)
+    expect(control.determineMode(5.1, -10, 1000000).wantOn).toBe(false)
+  })
+
+  it('should persist schedule in its own KVS chunk', () => {
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify({
+      cmd: 'schedule_set', index: 0, window: [127, 2200, 600, 6.0, 2.0],
+    }))
+    runtime.advanceTime(100)
+
+    expect(runtime.getKvsValue('fridge_cfg_sch')).toEqual({ sch_windows: [[127, 2200, 600, 6.0, 2.0]] })
+  })
+})
+
+// ----------------------------------------------------------
+// VACATION MODE
+// ----------------------------------------------------------
+
+describe('MQTT: Vacation Mode', () => {
+  let runtime
+  let script
+  let control
+  let features
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    script = await setupMqttTest(runtime)
+    control = await import('../../src/control.js')
+    features = await import('../../src/features.js')
+    script.C.adt_enable = false
+  })
+
+  it('should relax thermostat band and persist across reboot', () => {
+    expect(control.determineMode(5.5, -10, 1000000).wantOn).toBe(true)
+
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify({ cmd: 'vacation_on' }))
+    runtime.advanceTime(100)
+
+    // Target 4 + 3, hysteresis 1 + 1 → cools above 9C
+    expect(control.determineMode(8.5, -10, 1000000).wantOn).toBe(false)
+    expect(control.determineMode(9.5, -10, 1000000).wantOn).toBe(true)
+    expect(runtime.getKvsValue('fridge_st_core').vac_isActive).toBe(true)
+  })
+
+  it('should revert automatically at end date', () => {
+    const until = Math.floor(Date.now() / 1000) + 3600
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify({ cmd: 'vacation_on', until }))
+    expect(script.S.vac_untilTs).toBe(until)
+
+    features.checkVacationExpiry(until)
+
+    expect(script.S.vac_isActive).toBe(false)
+    expect(features.getEffectiveTarget()).toBe(script.C.ctl_targetDeg)
+  })
+
+  it('should keep safety alarms active', () => {
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify({ cmd: 'vacation_on' }))
+    script.V.sys_alarm = script.ALM.WELD
+
+    const mode = control.determineMode(12, -10, 1000000)
+
+    expect(mode.wantOn).toBe(false)
+    expect(mode.detail).toContain('FATAL')
+  })
+})
+
+// ----------------------------------------------------------
+// PROFILES
+// ----------------------------------------------------------
+
+describe('MQTT: Profiles', () => {
+  let runtime
+  let script
+
+  /**
+   * send - Deliver command outside the rate-limit window
+   * @param {object} cmd - Command object
+   */
+  function send(cmd) {
+    runtime.advanceTime(2000)
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify(cmd))
+    runtime.advanceTime(100)
+  }
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    script = await setupMqttTest(runtime)
+  })
+
+  it('should switch to built-in profile and persist config and name', () => {
+    send({ cmd: 'profile_use', name: 'wine' })
+
+    expect(script.C.ctl_targetDeg).toBe(12)
+    expect(script.C.pid_enable).toBe(true)
+    expect(script.S.prf_name).toBe('wine')
+    expect(runtime.getKvsValue('fridge_cfg_ctl').ctl_targetDeg).toBe(12)
+    expect(runtime.getKvsValue('fridge_st_core').prf_name).toBe('wine')
+  })
+
+  it('should save user profile to KVS and apply it with async ack', () => {
+    send({ cmd: 'profile_save', name: 'cellar', values: { ctl_targetDeg: 10, alm_highDeg: 16 } })
+    expect(runtime.getKvsValue('fridge_prf_cellar')).toEqual({ ctl_targetDeg: 10, alm_highDeg: 16 })
+
+    send({ cmd: 'profile_use', name: 'cellar', id: 7 })
+
+    expect(script.C.ctl_targetDeg).toBe(10)
+    expect(script.C.alm_highDeg).toBe(16)
+    const ack = runtime.mqttMessages.filter(m => m.topic === script.DEFAULT.sys_mqttCmd + '/ack')
+    expect(JSON.parse(ack[ack.length - 1].payload)).toMatchObject({ id: 7, ok: true, value: 'cellar' })
+  })
+
+  it('should reject profile that fails merged validation', () => {
+    // Type check passes at save time; the range check runs on apply
+    send({ cmd: 'profile_save', name: 'bad', values: { ctl_targetDeg: 40 } })
+    send({ cmd: 'profile_use', name: 'bad' })
+
+    expect(script.C.ctl_targetDeg).toBe(4)
+    expect(script.S.prf_name).toBe('')
+  })
+})
+
+// ----------------------------------------------------------
+// LIVE SYS CONFIG
+// ----------------------------------------------------------
+
+describe('MQTT: Live sys_ Config', () => {
+  let runtime
+  let script
+
+  beforeEach(async () => {
+    vi.resetModules()
+    runtime = new ShellyRuntime()
+    script = await setupMqttTest(runtime)
+  })
+
+  it('should take commands on the new topic right after sys_mqttCmd changes', () => {
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd,
+      JSON.stringify({ cmd: 'config_set', key: 'sys_mqttCmd', value: 'cellar/command' }))
+    runtime.advanceTime(2000)
+
+    runtime.mqttReceive(script.DEFAULT.sys_mqttCmd, JSON.stringify({ cmd: 'turbo_on' }))
+    expect(script.V.trb_isActive).toBe(false)
+
+    runtime.mqttReceive('cellar/command', JSON.stringify({ cmd: 'turbo_on' }))
+    expect(script.V.trb_isActive).toBe(true)
   })
 })
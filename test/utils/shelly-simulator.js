@@ -1,7 +1,7 @@
 // ==============================================================================
 // SHELLY RUNTIME SIMULATOR
 // Complete virtual Shelly environment for integration testing.
-// Simulates all Shelly APIs: KVS, MQTT, Switch, Sensors, Timers, Input.
+// Simulates all Shelly APIs: KVS, MQTT, HTTPServer, Switch, Sensors, Timers, Input.
 // Designed to be extracted as a reusable boilerplate for any Shelly project.
 // ==============================================================================
 
@@ -48,6 +48,15 @@ class ShellyRuntime {
     // MQTT subscriptions and message log
     this.mqttSubscriptions = new Map()
     this.mqttMessages = []
+    this.mqttConnectHandler = null
+    this.mqttTopicPrefix = 'shelly-sim'
+
+    // Script HTTP endpoints
+    this.httpEndpoints = new Map()
+
+    // Outbound HTTP.POST log and the status code returned to the script
+    this.httpPosts = []
+    this.httpPostCode = 200
 
     // History tracking for assertions
     this.history = {
@@ -88,6 +97,10 @@ class ShellyRuntime {
         return self._getComponentStatus(type, id)
       },
 
+      getComponentConfig: (type) => {
+        return type === 'mqtt' ? { topic_prefix: self.mqttTopicPrefix } : null
+      },
+
       emitEvent: (name, data) => {
         self._recordHistory('event', { name, data })
       },
@@ -110,9 +123,24 @@ class ShellyRuntime {
         self.mqttSubscriptions.set(topic, callback)
       },
 
+      unsubscribe: (topic) => {
+        self.mqttSubscriptions.delete(topic)
+      },
+
       publish: (topic, payload, qos, retain) => {
         self._mqttPublish(topic, payload, qos, retain)
       },
+
+      setConnectHandler: (callback) => {
+        self.mqttConnectHandler = callback
+      },
+    }
+
+    // Mock HTTPServer object
+    this.HTTPServer = {
+      registerEndpoint: (name, callback) => {
+        self.httpEndpoints.set(name, callback)
+      },
     }
 
     // Mock print function
@@ -213,6 +241,12 @@ class ShellyRuntime {
         break
       }
 
+      case 'HTTP.POST': {
+        this.httpPosts.push({ time: this.uptimeMs, url: params.url, body: params.body, contentType: params.content_type })
+        cb({ code: this.httpPostCode, body: '' }, 0, '')
+        break
+      }
+
       default:
         console.warn(`Unhandled Shelly.call: ${method}`)
         cb(null, -1, 'Not implemented')
@@ -295,6 +329,13 @@ class ShellyRuntime {
     this.history.mqtt.push(msg)
   }
 
+  // Simulate broker (re)connect
+  mqttConnect() {
+    if (this.mqttConnectHandler) {
+      this.mqttConnectHandler()
+    }
+  }
+
   // Simulate receiving an MQTT message
   mqttReceive(topic, message) {
     const callback = this.mqttSubscriptions.get(topic)
@@ -303,6 +344,20 @@ class ShellyRuntime {
     }
   }
 
+  // ----------------------------------------------------------
+  // HTTP HANDLING
+  // ----------------------------------------------------------
+
+  // Simulate HTTP request to /script/<id>/<name>; returns response
+  httpRequest(name, method = 'GET', body = '', query = '') {
+    const callback = this.httpEndpoints.get(name)
+    if (!callback) return { code: 404, body: '' }
+    const res = { code: 200, headers: [], body: '', sent: false }
+    res.send = () => { res.sent = true }
+    callback({ method, body, query }, res)
+    return res
+  }
+
   // ----------------------------------------------------------
   // HISTORY TRACKING
   // ----------------------------------------------------------
@@ -436,6 +491,7 @@ class ShellyRuntime {
     scope.Shelly = this.Shelly
     scope.Timer = this.Timer
     scope.MQTT = this.MQTT
+    scope.HTTPServer = this.HTTPServer
     scope.print = this.print
     scope.Date = this.DateConstructor
   }
@@ -447,6 +503,7 @@ class ShellyRuntime {
     delete scope.Shelly
     delete scope.Timer
     delete scope.MQTT
+    delete scope.HTTPServer
     delete scope.print
     // Don't delete Date - restore original
   }
@@ -496,6 +553,10 @@ class ShellyRuntime {
     this.timerIdCounter = 1
     this.mqttSubscriptions.clear()
     this.mqttMessages = []
+    this.mqttConnectHandler = null
+    this.httpEndpoints.clear()
+    this.httpPosts = []
+    this.httpPostCode = 200
     this.history = {
       relay: [],
       alarms: [],
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// ==============================================================================
+// FEATURE SMOKE CHECK
+// Builds the default bundle, every single feature and FEATURES=all, then
+// for each: lints the concatenated bundle with no-undef and no-unused-vars
+// (catches code left outside a fence that calls into a stripped feature, or
+// that nothing calls any more), minifies it and runs the bundle validator.
+// FEATURES=all skips the size check.
+// Output: dist/features/<name>/{bundle,main}.js
+// ==============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ESLint } = require('eslint');
+const { FEATURES } = require('./concat.cjs');
+
+// ----------------------------------------------------------
+// CONFIGURATION
+// ----------------------------------------------------------
+const ROOT = path.join(__dirname, '..');
+const OUT = path.join(ROOT, 'dist', 'features');
+
+// Shelly runtime globals (see eslint.config.ts)
+const SHELLY_GLOBALS = {
+  Shelly: 'readonly', Timer: 'readonly', KVS: 'readonly', Script: 'readonly',
+  print: 'readonly', HTTPServer: 'readonly', MQTT: 'readonly', BLE: 'readonly',
+  Webhook: 'readonly', Virtual: 'readonly', AES: 'readonly',
+  btoa: 'readonly', atob: 'readonly', btoh: 'readonly',
+};
+
+// Top-level functions kept for tests and debugging, unused in every build
+const KEEP_UNUSED = '^(setIdleState|stopMainLoop|isLoopRunning)$';
+
+// '' is the default build (FEATURES unset)
+const BUILDS = [''].concat(Object.keys(FEATURES), ['all']);
+
+// ----------------------------------------------------------
+// BUILD STEPS
+// ----------------------------------------------------------
+function run(tool, env) {
+  const merged = Object.assign({}, process.env, env);
+  Object.keys(merged).forEach((k) => {
+    if (merged[k] === undefined) delete merged[k];
+  });
+  execFileSync(process.execPath, [path.join(__dirname, tool)], { cwd: ROOT, env: merged, stdio: 'pipe' });
+}
+
+// Unused locals (a use fenced off in this build) are harmless and
+// dropped by Terser, so no-unused-vars only counts top-level declarations.
+async function lintBundle(eslint, file) {
+  const lines = fs.readFileSync(file, 'utf-8').split('\n');
+  const results = await eslint.lintFiles([file]);
+  return results[0].messages
+    .filter(m => m.ruleId !== 'no-unused-vars' || /^\S/.test(lines[m.line - 1]))
+    .map(m => m.line + ':' + m.column + ' ' + m.message);
+}
+
+// ----------------------------------------------------------
+// MAIN
+// ----------------------------------------------------------
+async function main() {
+  const eslint = new ESLint({
+    cwd: ROOT,
+    ignore: false,
+    overrideConfigFile: true,
+    allowInlineConfig: false,
+    overrideConfig: {
+      languageOptions: { ecmaVersion: 2015, sourceType: 'script', globals: SHELLY_GLOBALS },
+      rules: {
+        'no-undef': 'error',
+        'no-unused-vars': ['error', { vars: 'all', args: 'none', caughtErrors: 'none', varsIgnorePattern: KEEP_UNUSED }],
+      },
+    },
+  });
+
+  const failed = [];
+  for (const spec of BUILDS) {
+    const name = spec === '' ? 'default' : spec;
+    const dir = path.join(OUT, name);
+    const bundle = path.join(dir, 'bundle.js');
+    const env = {
+      FEATURES: spec === '' ? undefined : spec,
+      BUNDLE_PATH: bundle,
+      OUTPUT_PATH: path.join(dir, 'main.js'),
+      SKIP_SIZE_CHECK: spec === 'all' ? '1' : '',
+    };
+
+    let errors = [];
+    try {
+      run('concat.cjs', env);
+      errors = await lintBundle(eslint, bundle);
+      if (errors.length === 0) {
+        run('minify.cjs', env);
+        run('validate-bundle.cjs', env);
+      }
+    } catch (err) {
+      const out = (err.stdout ? err.stdout.toString() : '') + (err.stderr ? err.stderr.toString() : '');
+      errors = [out.trim() || err.message];
+    }
+
+    if (errors.length === 0) {
+      console.log('✓ ' + name);
+    } else {
+      console.error('✗ ' + name);
+      errors.forEach(e => console.error('    ' + e));
+      failed.push(name);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.error('\nFeature check failed: ' + failed.join(', '));
+    process.exit(1);
+  }
+  console.log('\nAll ' + BUILDS.length + ' feature builds passed');
+}
+
+main();
@@ -2,7 +2,8 @@
 // ==============================================================================
 // CONCATENATION BUILD TOOL
 // Concatenates all source files in dependency order into a single bundle.
-// Strips ES module import/export statements (used only for testing).
+// Strips ES module import/export statements (used only for testing) and
+// optional features that are not selected for this build.
 // Output: dist/bundle.js (unminified, for debugging)
 // ==============================================================================
 
@@ -17,6 +18,45 @@ const ROOT = path.join(__dirname, '..');
 const DIST = path.join(ROOT, 'dist');
 const BUNDLE_PATH = process.env.BUNDLE_PATH || path.join(DIST, 'bundle.js');
 
+// Optional features: name -> features it needs (built in along with it).
+// The default build must stay inside the 32KB budget (check:bundle-size),
+// so features are opt-in via FEATURES=name,name (or FEATURES=all).
+const FEATURES = {
+  ha: [],          // Home Assistant MQTT discovery
+  config: [],      // config_set / config_get commands
+  sign: [],        // HMAC-signed commands (sys_mqttSecret)
+  queue: [],       // queue rate-limited commands (else rejected)
+  mandefrost: [],  // defrost_now / defrost_cancel commands
+  http: ['config'], // local HTTP API (POST /config is config_set)
+  prom: ['http'],  // Prometheus /metrics endpoint
+  schedule: [],    // setpoint schedule (sch_windows)
+  vacation: [],    // vacation mode
+  pid: [],         // PI(D) time-proportioning control
+  heater: [],      // heater output
+  profiles: [],    // config profiles
+  door: [],        // door contact input
+  dooresc: [],     // door escalation without contact
+  lowtemp: [],     // low temperature alarm
+  latch: [],       // alarm latching policy and ack_alarm
+  events: [],      // alarm raise/clear events on sys_mqttEvent
+  webhook: [],     // alarm webhooks
+  energy: [],      // energy accounting
+  history: ['tempstats'], // daily history rollups (air stats come from tempstats)
+  tempstats: [],   // per-hour temperature statistics
+  excursion: [],   // temperature excursion log
+  summary: ['history', 'energy', 'tempstats'], // hourly and daily summary publications
+};
+const DEFAULT_FEATURES = [];
+
+// Source files that belong to a single optional feature
+const OPTIONAL_FILES = {
+  'src/utils/crypto.js': 'sign',
+  'src/http.js': 'http',
+  'src/heater.js': 'heater',
+  'src/webhook.js': 'webhook',
+  'src/excursion.js': 'excursion',
+};
+
 // File concatenation order - MUST respect dependency hierarchy
 // Later files may depend on earlier ones. ES imports/exports are stripped.
 const FILE_ORDER = [
@@ -29,6 +69,7 @@ const FILE_ORDER = [
   // Tier 2: Pure utilities (no dependencies)
   'src/utils/math.js',
   'src/utils/kvs.js',
+  'src/utils/crypto.js',
 
   // Tier 3: State (depends on constants, config)
   'src/state.js',
@@ -36,7 +77,10 @@ const FILE_ORDER = [
   // Tier 4: Sensors (depends on math, state)
   'src/sensors.js',
 
-  // Tier 5: Alarms (depends on constants, state, config)
+  // Tier 5: Webhooks (depends on config)
+  'src/webhook.js',
+
+  // Tier 5b: Alarms (depends on constants, state, config, webhook)
   'src/alarms.js',
 
   // Tier 6: Protection (depends on constants, state, config, alarms)
@@ -48,18 +92,27 @@ const FILE_ORDER = [
   // Tier 8: Metrics (depends on state, config)
   'src/metrics.js',
 
+  // Tier 8b: Excursion log (depends on constants, state, config, features)
+  'src/excursion.js',
+
   // Tier 9: Reporting (depends on state, config, constants, metrics, features)
   'src/reporting.js',
 
   // Tier 10: Control (depends on constants, state, config, protection, features, metrics)
   'src/control.js',
 
+  // Tier 10b: Heater (depends on constants, state, config, features)
+  'src/heater.js',
+
   // Tier 11: Loop (depends on everything)
   'src/loop.js',
 
   // Tier 12: MQTT (depends on constants, config, state)
   'src/mqtt.js',
 
+  // Tier 12b: HTTP API (depends on mqtt, reporting)
+  'src/http.js',
+
   // Tier 13: Entry point (depends on everything)
   'src/main.js',
 ];
@@ -107,13 +160,69 @@ function stripEsModules(content) {
   return content;
 }
 
+// ----------------------------------------------------------
+// FEATURE SELECTION
+// Source keeps every feature (tests run against all of them); the
+// bundle only gets the ones selected here.
+// ----------------------------------------------------------
+function selectFeatures(spec) {
+  const names = spec === undefined ? DEFAULT_FEATURES
+    : spec === 'all' ? Object.keys(FEATURES)
+      : spec.split(',').map(f => f.trim()).filter(f => f !== '' && f !== 'none');
+  const selected = new Set();
+  const add = (name) => {
+    if (!FEATURES[name]) {
+      throw new Error('Unknown feature: ' + name + ' (known: ' + Object.keys(FEATURES).join(', ') + ')');
+    }
+    if (selected.has(name)) return;
+    selected.add(name);
+    FEATURES[name].forEach(add);
+  };
+  names.forEach(add);
+  return selected;
+}
+
+// ----------------------------------------------------------
+// FEATURE FENCES
+// Lines between '// #if <feature>' and '// #endif' are kept only when
+// the feature is selected. '// #if a,b' matches if any of the listed
+// features is selected. Fences nest. There is no #else: tests run the
+// source with every feature present, so the fallback must be the code
+// that follows the fence.
+// ----------------------------------------------------------
+function stripFeatures(content, file, selected) {
+  const out = [];
+  const stack = [];
+  const lines = content.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const open = line.match(/^\s*\/\/ #if ([\w,]+)\s*$/);
+    if (open) {
+      const names = open[1].split(',');
+      names.forEach(n => {
+        if (!FEATURES[n]) throw new Error(file + ':' + (i + 1) + ': unknown feature ' + n);
+      });
+      stack.push(names.some(n => selected.has(n)));
+      continue;
+    }
+    if (/^\s*\/\/ #endif\s*$/.test(line)) {
+      if (stack.length === 0) throw new Error(file + ':' + (i + 1) + ': #endif without #if');
+      stack.pop();
+      continue;
+    }
+    if (stack.every(Boolean)) out.push(line);
+  }
+  if (stack.length > 0) throw new Error(file + ': unclosed #if');
+  return out.join('\n');
+}
+
 // ----------------------------------------------------------
 // MAIN
 // ----------------------------------------------------------
 function main() {
-  // Ensure dist/ exists
-  if (!fs.existsSync(DIST)) {
-    fs.mkdirSync(DIST, { recursive: true });
+  // Ensure the output directory exists
+  if (!fs.existsSync(path.dirname(BUNDLE_PATH))) {
+    fs.mkdirSync(path.dirname(BUNDLE_PATH), { recursive: true });
   }
 
   // Check all files exist
@@ -131,6 +240,15 @@ function main() {
     process.exit(1);
   }
 
+  let selected;
+  try {
+    selected = selectFeatures(process.env.FEATURES);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const files = FILE_ORDER.filter(f => !OPTIONAL_FILES[f] || selected.has(OPTIONAL_FILES[f]));
+
   // Concatenate
   const parts = [];
 
@@ -142,11 +260,17 @@ function main() {
   parts.push(' */');
   parts.push('');
 
-  for (const file of FILE_ORDER) {
+  for (const file of files) {
     const fullPath = path.join(ROOT, file);
     let content = fs.readFileSync(fullPath, 'utf-8');
 
-    // Strip ES module syntax
+    // Strip unselected features, then ES module syntax
+    try {
+      content = stripFeatures(content, file, selected);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
     content = stripEsModules(content);
 
     // Add file marker (removed in minification)
@@ -158,8 +282,13 @@ function main() {
   const output = parts.join('\n');
   fs.writeFileSync(BUNDLE_PATH, output);
 
-  console.log('Concatenated ' + FILE_ORDER.length + ' files -> ' + BUNDLE_PATH);
+  console.log('Features: ' + (selected.size > 0 ? Array.from(selected).join(',') : 'none'));
+  console.log('Concatenated ' + files.length + ' files -> ' + BUNDLE_PATH);
   console.log('Size: ' + output.length + ' bytes');
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = { FEATURES, DEFAULT_FEATURES, selectFeatures, stripFeatures };
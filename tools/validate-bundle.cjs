@@ -16,6 +16,9 @@ const vm = require('vm')
 
 const ROOT = path.join(__dirname, '..')
 const OUTPUT_PATH = process.env.OUTPUT_PATH || path.join(ROOT, 'dist', 'main.js')
+// Feature smoke builds (check-features.cjs) validate FEATURES=all, which
+// is not meant to fit the size limit
+const SKIP_SIZE = process.env.SKIP_SIZE_CHECK === '1'
 
 // Size thresholds (bytes)
 // The actual OOM limit is peak RUNTIME memory, not script file size.
@@ -190,7 +193,9 @@ function main() {
   console.log('\n2. Size Check')
   const size = validateSize(code)
   console.log(`   Size: ${size.size} bytes (${(size.size / 1024).toFixed(2)} KB)`)
-  if (size.valid) {
+  if (SKIP_SIZE) {
+    console.log('   - Skipped (SKIP_SIZE_CHECK=1)')
+  } else if (size.valid) {
     console.log(`   ✓ Under ${MAX_SIZE} byte limit`)
     if (size.warnings) {
       for (const w of size.warnings) {